@@ -0,0 +1,145 @@
+/**
+ * ============================================================
+ * Batch runs - several blogs into several Medium accounts
+ * ============================================================
+ *
+ * A manifest (JSON) lists jobs that run one after another:
+ *
+ *   {
+ *     "defaults": { "autoPublish": true, "visibility": "unlisted" },
+ *     "jobs": [
+ *       { "name": "engineering", "urlsFile": "eng_urls.txt",
+ *         "publication": "Acme Engineering" },
+ *       { "name": "marketing", "urlsFile": "mkt_urls.txt",
+ *         "profileDir": "profiles/marketing",
+ *         "cookiesFile": "marketing_cookies.json" }
+ *     ]
+ *   }
+ *
+ * Any CONFIG setting can go in "defaults" or a job. Every job
+ * gets its own progress file, Chrome profile (= Medium
+ * account), debug folder and mapping export, named after the
+ * job unless the manifest says otherwise. A cookie file set
+ * in "defaults" or on the command line becomes one per job
+ * too (<name>_cookies.json) - it's a login. Two jobs sharing
+ * a progress file, profile or cookie file is an error, so one
+ * job's state can never leak into another's.
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Settings that hold per-job state, and how they're named by default
+// (`inherited` is the value from defaults / the command line)
+const PER_JOB_SETTINGS = {
+    cookiesFile: (name, inherited) => (inherited ? `${name}_cookies.json` : null),
+    progressFile: name => `${name}_progress.json`,
+    profileDir: name => `chrome-medium-profile-${name}`,
+    debugDir: name => path.join('debug', name),
+    mappingFile: name => `${name}_medium_mapping`,
+    verificationFile: name => `${name}_verification_report.json`
+};
+
+function checkKeys(settings, config, where) {
+    Object.keys(settings).forEach(key => {
+        if (!(key in config)) throw new Error(`${where}: unknown setting "${key}"`);
+    });
+}
+
+/**
+ * Reads a manifest and returns [{ name, config }] - the full
+ * CONFIG each job runs with (base < defaults < job).
+ */
+function loadManifest(file, baseConfig) {
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read batch manifest ${file}: ${error.message}`);
+    }
+
+    const defaults = manifest.defaults || {};
+    const jobs = manifest.jobs || [];
+    if (!Array.isArray(jobs) || jobs.length === 0) {
+        throw new Error(`${file} has no "jobs" list`);
+    }
+    checkKeys(defaults, baseConfig, `${file} defaults`);
+
+    const seen = { names: new Set(), progressFile: new Map(), profileDir: new Map(), cookiesFile: new Map() };
+
+    return jobs.map((job, i) => {
+        const { name, ...settings } = job;
+        if (!name || !/^[\w.-]+$/.test(name)) {
+            throw new Error(`${file} job #${i + 1}: "name" is required (letters, digits, . _ -)`);
+        }
+        if (seen.names.has(name)) throw new Error(`${file}: two jobs are named "${name}"`);
+        seen.names.add(name);
+        checkKeys(settings, baseConfig, `${file} job "${name}"`);
+
+        const config = { ...baseConfig, ...defaults, ...settings, useDedicatedProfile: true };
+        Object.entries(PER_JOB_SETTINGS).forEach(([key, defaultFor]) => {
+            if (!(key in settings)) config[key] = defaultFor(name, config[key]);
+        });
+        if (!settings.urlsFile) {
+            throw new Error(`${file} job "${name}": "urlsFile" is required`);
+        }
+
+        ['progressFile', 'profileDir', 'cookiesFile'].forEach(key => {
+            if (!config[key]) return;
+            const target = path.resolve(config[key]);
+            if (seen[key].has(target)) {
+                throw new Error(`${file}: jobs "${seen[key].get(target)}" and "${name}" share ${key} ${config[key]}`);
+            }
+            seen[key].set(target, name);
+        });
+
+        return { name, config };
+    });
+}
+
+/**
+ * One line per job plus totals.
+ * results: [{ name, config, counts, stopReason, error }]
+ */
+function printBatchSummary(results) {
+    const totals = { imported: 0, failed: 0, pending: 0 };
+    const column = Math.max(4, ...results.map(result => result.name.length));
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📦 BATCH SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`   ${'Job'.padEnd(column)}  Imported  Failed  Pending  Notes`);
+
+    results.forEach(result => {
+        const counts = result.counts;
+        let note = result.error ? `❌ ${result.error}` : result.stopReason ? `🛑 ${result.stopReason}` : '';
+        if (!counts) {
+            console.log(`   ${result.name.padEnd(column)}  ${'-'.padStart(8)}  ${'-'.padStart(6)}  ${'-'.padStart(7)}  ${note || 'nothing to do'}`);
+            return;
+        }
+
+        const imported = counts.imported + counts.verified;
+        const failed = counts['failed-retryable'] + counts['failed-permanent'];
+        const pending = counts.pending + counts['in-progress'];
+        totals.imported += imported;
+        totals.failed += failed;
+        totals.pending += pending;
+        if (!note && result.config.publication) note = `→ ${result.config.publication}`;
+        console.log(`   ${result.name.padEnd(column)}  ${String(imported).padStart(8)}  ${String(failed).padStart(6)}  ${String(pending).padStart(7)}  ${note}`);
+    });
+
+    console.log('   ' + '-'.repeat(column + 33));
+    console.log(`   ${'All'.padEnd(column)}  ${String(totals.imported).padStart(8)}  ${String(totals.failed).padStart(6)}  ${String(totals.pending).padStart(7)}`);
+    console.log('\n📂 Progress files:');
+    results.forEach(result => console.log(`   ${result.name}: ${result.config.progressFile}`));
+
+    return totals;
+}
+
+module.exports = {
+    PER_JOB_SETTINGS,
+    loadManifest,
+    printBatchSummary
+};
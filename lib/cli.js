@@ -0,0 +1,211 @@
+/**
+ * ============================================================
+ * Command-line parsing
+ * ============================================================
+ *
+ * Every CONFIG field can be set from the command line as a
+ * kebab-case flag (delayBetweenImports -> --delay-between-imports)
+ * or from a JSON/YAML file passed with --config.
+ *
+ * Precedence: CONFIG defaults < config file < flags
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const COMMANDS = ['import', 'status', 'retry-failed', 'reset', 'mapping', 'report', 'verify', 'fallback', 'discover', 'triage', 'dedupe', 'footer', 'runs', 'login', 'batch'];
+
+function toKebab(key) {
+    return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+function toCamel(flag) {
+    return flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+// What a boolean flag accepts after it: --show-browser false
+const BOOLEAN_WORDS = ['true', 'false', 'yes', 'no', '1', '0'];
+
+// Turns a string from the command line or a YAML file into the
+// same type as the CONFIG default it replaces
+function coerceValue(key, raw, defaults) {
+    const current = defaults[key];
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+
+    if (typeof current === 'boolean') {
+        if (value === true || value === 'true' || value === 'yes' || value === '1') return true;
+        if (value === false || value === 'false' || value === 'no' || value === '0') return false;
+        throw new Error(`--${toKebab(key)} expects true or false, got "${raw}"`);
+    }
+
+    if (typeof current === 'number') {
+        const number = Number(value);
+        if (value === '' || isNaN(number)) {
+            throw new Error(`--${toKebab(key)} expects a number, got "${raw}"`);
+        }
+        return number;
+    }
+
+    if (value === 'null' || value === '') return null;
+    return value;
+}
+
+// ============================================================
+// CONFIG FILES
+// ============================================================
+
+// Only flat "key: value" files are supported - that's all CONFIG needs
+function parseSimpleYaml(text) {
+    const result = {};
+    text.split('\n').forEach((line, i) => {
+        const stripped = line.replace(/\s+#.*$/, '').trim();
+        if (!stripped || stripped.startsWith('#') || stripped === '---') return;
+
+        const match = stripped.match(/^([A-Za-z][\w-]*)\s*:\s*(.*)$/);
+        if (!match) {
+            throw new Error(`Line ${i + 1}: expected "key: value", got "${line.trim()}"`);
+        }
+        result[match[1]] = match[2].replace(/^(["'])(.*)\1$/, '$2');
+    });
+    return result;
+}
+
+function loadConfigFile(filename, defaults) {
+    const content = fs.readFileSync(filename, 'utf-8');
+    const ext = path.extname(filename).toLowerCase();
+    const raw = ext === '.yaml' || ext === '.yml' ? parseSimpleYaml(content) : JSON.parse(content);
+
+    const options = {};
+    for (const [name, value] of Object.entries(raw)) {
+        const key = name.includes('-') ? toCamel(name) : name;
+        if (!(key in defaults)) {
+            throw new Error(`Unknown setting "${name}" in ${filename}`);
+        }
+        options[key] = coerceValue(key, value, defaults);
+    }
+    return options;
+}
+
+// ============================================================
+// ARGUMENTS
+// ============================================================
+
+/**
+ * Parses process.argv.slice(2).
+ * Returns { command, options, configFile, yes, help }.
+ */
+function parseArgs(argv, defaults) {
+    const parsed = { command: 'import', options: {}, configFile: null, yes: false, help: false };
+    const args = [...argv];
+
+    if (args.length && !args[0].startsWith('-')) {
+        parsed.command = args.shift();
+        if (!COMMANDS.includes(parsed.command)) {
+            throw new Error(`Unknown command "${parsed.command}". Use one of: ${COMMANDS.join(', ')}`);
+        }
+    }
+
+    while (args.length) {
+        const arg = args.shift();
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+
+        let [flag, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+        if (flag === 'help') { parsed.help = true; continue; }
+        if (flag === 'yes') { parsed.yes = true; continue; }
+        if (flag === 'config') {
+            parsed.configFile = inlineValue !== undefined ? inlineValue : args.shift();
+            if (!parsed.configFile) throw new Error('--config expects a file name');
+            continue;
+        }
+
+        let negated = false;
+        if (flag.startsWith('no-') && typeof defaults[toCamel(flag.slice(3))] === 'boolean') {
+            flag = flag.slice(3);
+            negated = true;
+        }
+
+        const key = toCamel(flag);
+        if (!(key in defaults)) {
+            throw new Error(`Unknown option --${flag} (see --help)`);
+        }
+
+        let value;
+        if (typeof defaults[key] === 'boolean') {
+            if (negated) {
+                value = false;
+            } else if (inlineValue !== undefined) {
+                value = inlineValue;
+            } else if (args.length && BOOLEAN_WORDS.includes(args[0].toLowerCase())) {
+                value = args.shift().toLowerCase();
+            } else {
+                value = true;
+            }
+        } else if (inlineValue !== undefined) {
+            value = inlineValue;
+        } else if (args.length && !args[0].startsWith('--')) {
+            value = args.shift();
+        } else {
+            throw new Error(`--${flag} expects a value`);
+        }
+
+        parsed.options[key] = coerceValue(key, value, defaults);
+    }
+
+    return parsed;
+}
+
+/**
+ * Defaults, then the config file, then flags.
+ */
+function resolveConfig(argv, defaults) {
+    const parsed = parseArgs(argv, defaults);
+    const fromFile = parsed.configFile ? loadConfigFile(parsed.configFile, defaults) : {};
+    return {
+        ...parsed,
+        config: { ...defaults, ...fromFile, ...parsed.options }
+    };
+}
+
+function printHelp(defaults) {
+    console.log('Usage: node medium-importer.js [command] [options]');
+    console.log('');
+    console.log('Commands:');
+    console.log('  import         Import every URL in the URLs file (default)');
+    console.log('  status         Show completed and failed counts from the progress file');
+    console.log('  retry-failed   Import only the URLs that failed last time');
+    console.log('  reset          Delete the progress file and start over');
+    console.log('  mapping        Export the WordPress → Medium mapping as CSV and JSON');
+    console.log('  report         Write a Markdown + HTML report: totals, trend, failures by cause');
+    console.log('  verify         Compare imported drafts with the original WordPress posts');
+    console.log('  fallback       Convert posts Medium refused into paste-ready HTML files');
+    console.log('  discover       List every post on --site-url (REST API, sitemaps or RSS)');
+    console.log('  triage         Pre-check URLs and split them into likely / risky / blocked');
+    console.log('  dedupe         List posts that have more than one story on Medium');
+    console.log('  footer         Add --draft-footer / series links to drafts imported earlier');
+    console.log('  runs           List past runs from --log-dir: duration, outcome, what changed');
+    console.log('  login          Sign into Medium and save the session to --cookies-file');
+    console.log('  batch          Run the jobs in --batch-file (one blog/account each) in turn');
+    console.log('');
+    console.log('Options:');
+    console.log('  --config <file>   Load settings from a .json or .yaml file');
+    console.log('  --yes             Don\'t ask - resume, import and close the browser automatically');
+    console.log('  --help            Show this help');
+    for (const [key, value] of Object.entries(defaults)) {
+        const flag = typeof value === 'boolean' ? `--[no-]${toKebab(key)}` : `--${toKebab(key)} <value>`;
+        console.log(`  ${flag.padEnd(36)} (default: ${value})`);
+    }
+}
+
+module.exports = {
+    COMMANDS,
+    parseArgs,
+    parseSimpleYaml,
+    loadConfigFile,
+    resolveConfig,
+    printHelp
+};
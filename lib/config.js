@@ -0,0 +1,200 @@
+/**
+ * ============================================================
+ * Settings - every option the importer understands
+ * ============================================================
+ *
+ * The defaults for all settings. The command line turns each
+ * one into a kebab-case flag (lib/cli.js); embedders pass the
+ * ones they want to change to new Importer({ ... }).
+ *
+ * ============================================================
+ */
+
+const DEFAULTS = {
+    // File containing your WordPress URLs: one per line ("# ..." comments and
+    // "## Section ##" headers allowed), Markdown/bullet list, CSV, JSON,
+    // WordPress export (WXR) or a progress file (its failed URLs)
+    urlsFile: 'urls.txt',
+    
+    // Only import URLs with one of these tags, comma-separated, e.g. 'AWS POSTS,GCP POSTS'
+    // Tags are the list's section headers, or its tags/categories column (null = all)
+    onlyTags: null,
+    
+    // discover command: your WordPress site, e.g. 'https://blog.example.com'
+    siteUrl: null,
+    
+    // discover command: where to write the URL list (a <name>.posts.json copy is written next to it)
+    discoverFile: 'discovered_urls.txt',
+    
+    // triage command: base name for <name>_likely.txt, _risky.txt, _blocked.txt and _report.json
+    triageFile: 'triage',
+    
+    // File to track progress (so you can resume)
+    progressFile: 'import_progress.json',
+    
+    // Base name for the WordPress → Medium mapping export (.json and .csv)
+    mappingFile: 'medium_mapping',
+    
+    // report command: base name for the Markdown and HTML report (.md and .html)
+    reportFile: 'import_report',
+    
+    // Index of the stories already on your Medium account (drafts + published)
+    storyIndexFile: 'medium_stories.json',
+    
+    // What to do when a post is already on Medium (matched by canonical URL or title):
+    // 'skip' = record it as imported, 'flag' = ask before importing (--yes skips), 'off' = don't check
+    duplicateCheck: 'skip',
+    
+    // Per-post pass/warn/fail report written by the verify command
+    verificationFile: 'verification_report.json',
+    
+    // Folder for Medium-ready HTML of posts Medium refuses to import (fallback command)
+    fallbackDir: 'manual_import',
+    
+    // fallback command: also paste each converted post into a new Medium story
+    // false = only write the HTML files for you to paste by hand
+    fallbackPaste: false,
+    
+    // Sort the queue by each post's real publish date (oldest first)
+    // Dates come from the WordPress REST API or the post page's metadata
+    sortByDate: true,
+    
+    // Optional saved REST API response (wp-json/wp/v2/posts) or RSS export
+    // Used before any network lookups, e.g. 'posts.json' or 'feed.xml'
+    datesFile: null,
+    
+    // Cache of publish dates found so far (keeps the order stable between runs)
+    dateCacheFile: 'post_dates.json',
+    
+    // Delay between imports (in milliseconds) - the starting point
+    // Medium may rate-limit if you go too fast, so the delay doubles after
+    // each throttling answer and shrinks again after a run of successes
+    // Recommended: 20000-45000 (20-45 seconds)
+    delayBetweenImports: 25000,
+    
+    // Bounds for the adaptive delay (in milliseconds)
+    minDelayBetweenImports: 15000,
+    maxDelayBetweenImports: 300000,
+    
+    // Successes in a row before the delay shrinks again
+    speedUpAfter: 5,
+    
+    // Throttling answers in a row that pause the whole queue...
+    throttleLimit: 3,
+    
+    // ...for this many minutes
+    cooldownMinutes: 30,
+    
+    // Pauses per run before giving up (the rest stays pending for next time)
+    maxCooldowns: 3,
+    
+    // Most imports per rolling hour / day, counted from the progress file (0 = no cap)
+    hourlyCap: 0,
+    dailyCap: 0,
+    
+    // Longest wait for Medium's answer after clicking Import (in milliseconds)
+    // The importer moves on as soon as the draft editor opens or an error shows
+    importWaitTime: 60000,
+    
+    // Longest wait for the import page's URL field to appear (in milliseconds)
+    importPageTimeout: 20000,
+    
+    // Number of retries if import fails
+    maxRetries: 2,
+    
+    // Delay before the first retry of a failed import (in milliseconds)
+    // Doubles with every further retry
+    retryDelay: 10000,
+    
+    // Whether to auto-publish imported posts or leave as drafts
+    // true = publish immediately, false = leave as drafts (safer)
+    autoPublish: false,
+    
+    // When publishing: use the WordPress post's tags/categories as Medium topics (max 5)
+    publishTags: true,
+    
+    // When publishing: name of a Medium publication to submit to (null = your profile)
+    publication: null,
+    
+    // When publishing: 'public' or 'unlisted'
+    visibility: 'public',
+    
+    // Line added to the end of every imported draft (null = none), e.g.
+    // 'Originally published on {site} on {date}.'
+    // {site} and {url} link to the original post; {title} and {date} are filled in.
+    // Never added twice - the footer command adds it to drafts imported earlier
+    draftFooter: null,
+    
+    // Second footer line, e.g. 'Enjoyed "{title}"? Follow me for more posts like it.'
+    footerCallToAction: null,
+    
+    // JSON file of post series, e.g. { "AWS networking": ["https://.../part-1/", "https://.../part-2/"] }
+    // Each part's footer gets "Part N of M in <series>" with links to the other parts
+    seriesFile: null,
+    
+    // Rehearse: check login, find the field and button and type each URL,
+    // but never click Import. The progress file is left untouched.
+    dryRun: false,
+    
+    // Tabs importing at the same time (1 = one after another)
+    // They share one queue and one rate limit, so Medium isn't hit harder -
+    // more workers only overlap the waiting
+    workers: 1,
+    
+    // Port for a local dashboard while the import runs (0 = off), e.g. 8090
+    // Open http://localhost:8090 to watch the queue and the browser tab,
+    // and to pause, resume, skip a URL or stop waiting ("retry now")
+    dashboardPort: 0,
+    
+    // Skip posts that fail and continue with next
+    continueOnError: true,
+    
+    // Show browser window (set to false for headless mode)
+    showBrowser: true,
+    
+    // Folder for per-failure debug bundles (screenshot, HTML, console log, element counts)
+    debugDir: 'debug',
+    
+    // Folder for run logs: one JSON-lines file per run, with every step's timing
+    // and the diagnostics the console leaves out. The runs command lists them.
+    // Set to null to keep no log files
+    logDir: 'logs',
+    
+    // What the console shows: 'debug' (everything, like the log file), 'info',
+    // 'warn' or 'error'
+    logLevel: 'info',
+    
+    // Where Medium lives. Point this at the mock server to test locally:
+    //   node lib/mock-medium-server.js 8080  ->  'http://localhost:8080'
+    mediumBaseUrl: 'https://medium.com',
+    
+    // Path to Chrome. Leave null to use the default install location for your OS
+    chromePath: null,
+    
+    // Start from specific URL number (useful for resuming)
+    // Set to 0 to start from beginning; URLs already imported are always skipped
+    startFromIndex: 0,
+    
+    // Cookie file for unattended/headless runs, e.g. 'medium_cookies.json'
+    // Loaded before checking the session and re-saved after every sign-in
+    // Create it with the login command, or export cookies from your browser
+    // (JSON or cookies.txt). Keep it private - it's a login.
+    cookiesFile: null,
+    
+    // Use a dedicated profile for automation (avoids conflicts with running Chrome)
+    // Set to true to use separate profile, false to use your main Chrome profile
+    // NOTE: If using dedicated profile, you'll need to log into Medium the first time
+    useDedicatedProfile: true,
+    
+    // Folder for the dedicated profile - one per Medium account
+    profileDir: 'chrome-medium-profile',
+    
+    // Plugins to load, comma-separated module paths, e.g. './notify-slack.js'
+    // Each one can change the URL list and act on results (see lib/importer.js)
+    plugins: null,
+    
+    // batch command: JSON manifest of jobs (URL list, profile, progress file, publication...)
+    batchFile: null,
+};
+
+module.exports = { DEFAULTS };
@@ -0,0 +1,316 @@
+/**
+ * ============================================================
+ * Dashboard - watch and steer a run from the browser
+ * ============================================================
+ *
+ * With CONFIG.dashboardPort set, the import command serves a
+ * page on http://localhost:<port> while the queue runs:
+ *
+ *   - what's being imported (URL, attempt, for how long) and a
+ *     screenshot of that tab, refreshed every few seconds
+ *   - the queue with each URL's state, attempts and last error
+ *     (straight from the progress store)
+ *   - counts and an ETA from the current gap between imports
+ *     (delayBetweenImports, as the pacer has adapted it) plus
+ *     how long imports have taken so far
+ *   - Pause / Resume / Retry now, and Skip per URL
+ *     (see lib/run-control.js for what each one does)
+ *
+ * It only listens on 127.0.0.1 and only answers requests for
+ * localhost:<port> or 127.0.0.1:<port> - a web page that points
+ * its own domain name at 127.0.0.1 (DNS rebinding) gets nothing,
+ * not even the screenshot. The buttons POST JSON, which other
+ * web pages can't send here without the browser asking first.
+ *
+ * ============================================================
+ */
+
+const http = require('http');
+
+// ============================================================
+// STATE
+// ============================================================
+
+/**
+ * Snapshot of the run for the page: { running, paused, counts,
+ * current, queue, eta, delay, workers }.
+ */
+function describeRun(importer) {
+    const { store, currentRun: run, control } = importer;
+    const active = [...importer.active.values()];
+    const queue = (importer.queue || []).map(({ url, n }) => {
+        const item = store && store.get(url);
+        return {
+            n,
+            url,
+            state: item ? item.state : 'pending',
+            attempts: item ? item.attempts.length : 0,
+            error: item && !['imported', 'verified'].includes(item.state) ? store.lastError(url) : null,
+            skipRequested: control.isSkipped(url)
+        };
+    });
+
+    const delay = run ? run.pacer.currentDelay() : importer.config.delayBetweenImports;
+    const workers = Math.max(1, importer.config.workers);
+    const times = run ? run.importTimes : [];
+    const perImport = times.length ? times.reduce((sum, ms) => sum + ms, 0) / times.length : 0;
+    const left = queue.filter(entry => entry.state === 'pending' && !entry.skipRequested
+        && !importer.active.has(entry.url)).length
+        + (run && run.retryEarlierFailures ? queue.filter(entry => entry.state === 'failed-retryable').length : 0);
+
+    return {
+        running: Boolean(run),
+        paused: control.isPaused(),
+        stopReason: run ? run.stopReason : null,
+        counts: store ? store.counts() : null,
+        current: active.map(({ url, n, total, attempt, since }) => ({ url, n, total, attempt, seconds: Math.round((Date.now() - since) / 1000) })),
+        queue,
+        delay,
+        workers,
+        eta: {
+            remaining: left,
+            ms: Math.round(left * (delay + perImport) / workers)
+        }
+    };
+}
+
+// ============================================================
+// PAGE
+// ============================================================
+
+function dashboardPage() {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Medium importer</title>
+<style>
+    body { font: 14px/1.4 -apple-system, "Segoe UI", sans-serif; margin: 24px; color: #222; }
+    h1 { font-size: 20px; margin: 0 0 12px; }
+    button { font: inherit; padding: 4px 12px; margin-right: 6px; cursor: pointer; }
+    #summary span { margin-right: 16px; }
+    #current { margin: 12px 0; padding: 8px 12px; background: #f4f4f4; white-space: pre-line; }
+    #shot { max-width: 640px; border: 1px solid #ccc; display: block; margin-top: 8px; }
+    table { border-collapse: collapse; margin-top: 16px; width: 100%; }
+    td, th { text-align: left; padding: 3px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+    .state-imported, .state-verified { color: #1a7f37; }
+    .state-failed-retryable, .state-failed-permanent { color: #cf222e; }
+    .state-in-progress { color: #9a6700; font-weight: bold; }
+    .state-skipped { color: #888; }
+    .error { color: #cf222e; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>📥 Medium importer</h1>
+<div>
+    <button id="pause">⏸️ Pause</button>
+    <button id="resume">▶️ Resume</button>
+    <button id="retry-now">⏩ Retry now</button>
+    <span id="status"></span>
+</div>
+<p id="summary"></p>
+<div id="current"></div>
+<img id="shot" alt="">
+<table>
+    <thead><tr><th>#</th><th>URL</th><th>State</th><th>Attempts</th><th></th></tr></thead>
+    <tbody id="queue"></tbody>
+</table>
+<script>
+    const $ = id => document.getElementById(id);
+    const minutes = ms => ms < 60000 ? Math.round(ms / 1000) + 's' : Math.round(ms / 60000) + ' min';
+
+    function cell(row, text, className) {
+        const td = row.insertCell();
+        td.textContent = text;
+        if (className) td.className = className;
+        return td;
+    }
+
+    async function post(action, body = {}) {
+        const response = await fetch('/' + action, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        $('status').textContent = (await response.json()).message || '';
+        refresh();
+    }
+
+    function render(state) {
+        if (!state.running) {
+            $('summary').textContent = 'No run in progress.';
+        } else {
+            const c = state.counts;
+            $('summary').innerHTML = '';
+            [
+                (state.paused ? '⏸️ Paused' : '▶️ Running'),
+                '✅ ' + (c.imported + c.verified) + ' imported',
+                '❌ ' + (c['failed-retryable'] + c['failed-permanent']) + ' failed',
+                '⏭️ ' + c.skipped + ' skipped',
+                '⏳ ' + state.eta.remaining + ' to go, ETA ' + minutes(state.eta.ms),
+                '⏱️ ' + Math.round(state.delay / 1000) + 's between imports'
+            ].concat(state.stopReason ? ['🛑 ' + state.stopReason] : []).forEach(text => {
+                const span = document.createElement('span');
+                span.textContent = text;
+                $('summary').appendChild(span);
+            });
+        }
+
+        $('current').textContent = state.current.length
+            ? state.current.map(item => '[' + item.n + '/' + item.total + '] attempt ' + item.attempt + ', ' + item.seconds + 's: ' + item.url).join('\\n')
+            : 'Nothing being imported right now.';
+
+        const body = $('queue');
+        body.innerHTML = '';
+        state.queue.forEach(item => {
+            const row = body.insertRow();
+            cell(row, item.n);
+            const link = cell(row, item.url);
+            if (item.error) {
+                const error = document.createElement('div');
+                error.className = 'error';
+                error.textContent = item.error;
+                link.appendChild(error);
+            }
+            cell(row, item.skipRequested && item.state !== 'skipped' ? item.state + ' (skip requested)' : item.state, 'state-' + item.state);
+            cell(row, item.attempts);
+            const actions = row.insertCell();
+            if (!['imported', 'verified', 'skipped'].includes(item.state) && !item.skipRequested) {
+                const button = document.createElement('button');
+                button.textContent = 'Skip';
+                button.onclick = () => post('skip', { url: item.url });
+                actions.appendChild(button);
+            }
+        });
+    }
+
+    async function refresh() {
+        try {
+            render(await (await fetch('/state')).json());
+        } catch (error) {
+            $('summary').textContent = 'The importer is not running.';
+        }
+    }
+
+    $('pause').onclick = () => post('pause');
+    $('resume').onclick = () => post('resume');
+    $('retry-now').onclick = () => post('retry-now');
+
+    refresh();
+    setInterval(refresh, 2000);
+    setInterval(() => { $('shot').src = '/screenshot.png?' + Date.now(); }, 4000);
+    $('shot').src = '/screenshot.png';
+</script>
+</body>
+</html>`;
+}
+
+// ============================================================
+// SERVER
+// ============================================================
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function createDashboard(importer) {
+    const { control } = importer;
+
+    const actions = {
+        pause: () => (control.pause() ? 'Paused after the current attempt' : 'Already paused'),
+        resume: () => (control.resume() ? 'Resumed' : 'Not paused'),
+        'retry-now': () => (control.retryNow() ? 'Stopped waiting' : 'Nothing is waiting'),
+        skip: ({ url }) => {
+            if (!url) throw new Error('Which URL? Send { "url": ... }');
+            control.skip(url);
+            console.log(`\n⏭️  Skip requested: ${url}`);
+            return importer.active.has(url) ? 'Skipping after the current attempt' : 'Will be skipped';
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        // Nothing the dashboard does may take the import down with it
+        handle(req, res).catch(error => {
+            console.log(`⚠️  Dashboard request failed: ${error.message}`);
+            if (res.headersSent) return res.destroy();
+            res.writeHead(500);
+            res.end();
+        });
+    });
+
+    async function handle(req, res) {
+        const path = req.url.split('?')[0];
+        const send = (status, body, type = 'text/html') => {
+            res.writeHead(status, { 'Content-Type': `${type}; charset=utf-8`, 'Cache-Control': 'no-store' });
+            res.end(body);
+        };
+        const sendJson = (status, json) => send(status, JSON.stringify(json), 'application/json');
+
+        const { port } = server.address();
+        if (![`localhost:${port}`, `127.0.0.1:${port}`].includes(String(req.headers.host).toLowerCase())) {
+            return send(403, 'Open the dashboard at http://localhost:' + port, 'text/plain');
+        }
+
+        try {
+            if (req.method === 'GET' && path === '/') {
+                return send(200, dashboardPage());
+            }
+
+            if (req.method === 'GET' && path === '/state') {
+                return sendJson(200, describeRun(importer));
+            }
+
+            if (req.method === 'GET' && path === '/screenshot.png') {
+                const [working] = importer.active.values();
+                const page = (working && working.page) || importer.page;
+                if (!page || page.isClosed()) {
+                    return send(404, 'No browser page open', 'text/plain');
+                }
+                // The tab can close or navigate mid-screenshot - only answer once we have it
+                const png = await page.screenshot({ type: 'png' });
+                res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'no-store' });
+                return res.end(png);
+            }
+
+            const action = path.slice(1);
+            if (req.method === 'POST' && actions[action]) {
+                if (!/^application\/json/.test(req.headers['content-type'] || '')) {
+                    return sendJson(415, { message: 'Send JSON' });
+                }
+                const body = await readBody(req);
+                return sendJson(200, { message: actions[action](body ? JSON.parse(body) : {}) });
+            }
+
+            send(404, 'Not found', 'text/plain');
+        } catch (error) {
+            if (res.headersSent) return res.destroy();
+            sendJson(500, { message: error.message });
+        }
+    }
+
+    return {
+        listen(port = 0) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, '127.0.0.1', () => {
+                    resolve(`http://localhost:${server.address().port}`);
+                });
+            });
+        },
+
+        close() {
+            return new Promise(resolve => {
+                server.close(() => resolve());
+                // The page keeps polling (closeAllConnections is Node 18.2+)
+                if (server.closeAllConnections) server.closeAllConnections();
+            });
+        }
+    };
+}
+
+module.exports = { createDashboard, describeRun };
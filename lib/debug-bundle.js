@@ -0,0 +1,91 @@
+/**
+ * ============================================================
+ * Debug bundles - what the page looked like when it failed
+ * ============================================================
+ *
+ * Every failed import attempt saves a folder:
+ *
+ *   <debugDir>/<timestamp>_<slug>/
+ *     screenshot.png      full-page screenshot
+ *     page.html           the DOM at that moment (like debug-page.html)
+ *     console.log         the page's console messages
+ *     elements.json       element counts + selector strategies tried
+ *     info.json           source URL, error, page URL, selector version
+ *
+ * so a broken run can be diagnosed offline instead of from a
+ * single debug-screenshot.png that the next failure overwrites.
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSlug } = require('./wordpress');
+const { SELECTOR_VERSION, countElements } = require('./selectors');
+
+const MAX_CONSOLE_LINES = 500;
+
+const consoleLogs = new WeakMap();
+
+/**
+ * Starts keeping the page's console messages (the last 500)
+ * so they can go into a bundle. Call once per page.
+ */
+function recordConsole(page) {
+    const lines = [];
+    consoleLogs.set(page, lines);
+
+    const push = line => {
+        lines.push(`${new Date().toISOString()} ${line}`);
+        if (lines.length > MAX_CONSOLE_LINES) lines.shift();
+    };
+    page.on('console', message => push(`[${message.type()}] ${message.text()}`));
+    page.on('pageerror', error => push(`[pageerror] ${error.message}`));
+    page.on('requestfailed', request => {
+        const failure = request.failure();
+        push(`[requestfailed] ${request.url()} ${failure ? failure.errorText : ''}`);
+    });
+}
+
+// Each piece is saved on its own so one failure (e.g. a detached
+// frame) doesn't cost the rest of the bundle
+async function trySave(file, produce) {
+    try {
+        const content = await produce();
+        if (content !== undefined) fs.writeFileSync(file, content);
+    } catch (error) {
+        fs.writeFileSync(`${file}.error.txt`, error.message);
+    }
+}
+
+/**
+ * Saves a bundle for a failed attempt and returns its folder.
+ * details.error and details.tried (selector strategies) are optional.
+ */
+async function saveDebugBundle(page, url, dir, details = {}) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const folder = path.join(dir, `${stamp}_${getSlug(url) || 'page'}`);
+    fs.mkdirSync(folder, { recursive: true });
+
+    await trySave(path.join(folder, 'screenshot.png'), async () => {
+        await page.screenshot({ path: path.join(folder, 'screenshot.png'), fullPage: true });
+    });
+    await trySave(path.join(folder, 'page.html'), () => page.content());
+    await trySave(path.join(folder, 'console.log'), () => (consoleLogs.get(page) || []).join('\n') + '\n');
+    await trySave(path.join(folder, 'elements.json'), async () => JSON.stringify({
+        counts: await countElements(page),
+        tried: details.tried || null
+    }, null, 2));
+
+    fs.writeFileSync(path.join(folder, 'info.json'), JSON.stringify({
+        url,
+        error: details.error || null,
+        pageUrl: page.url(),
+        selectorVersion: SELECTOR_VERSION,
+        savedAt: new Date().toISOString()
+    }, null, 2));
+
+    return folder;
+}
+
+module.exports = { recordConsole, saveDebugBundle };
@@ -0,0 +1,242 @@
+/**
+ * ============================================================
+ * URL discovery - find every post on a WordPress site
+ * ============================================================
+ *
+ * The Node version of netjoints_url_extractor.html, for any
+ * site and without pasting anything:
+ *
+ * 1. REST API  - pages through /wp-json/wp/v2/posts (best:
+ *                every post, with dates and titles)
+ * 2. Sitemaps  - /wp-sitemap.xml, /sitemap_index.xml, ...
+ *                following sitemap indexes to the post sitemaps
+ * 3. RSS       - /feed/ (recent posts only, but dated)
+ *
+ * Sitemaps and RSS are only used when the REST API is off.
+ * Results are merged, de-duplicated and sorted oldest first.
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fetchText, normalizeDate, parseRestPosts, parseRssItems } = require('./wordpress');
+
+const PER_PAGE = 100;
+const MAX_PAGES = 50;
+const MAX_SITEMAP_DEPTH = 3;
+
+const SITEMAP_PATHS = ['/wp-sitemap.xml', '/sitemap_index.xml', '/sitemap.xml', '/post-sitemap.xml'];
+
+// URLs that are never blog posts: archives, feeds, the REST API, sitemaps
+const NON_POST_PATTERN = /\/(category|tag|author|page|users?|attachment|feed|wp-json|wp-admin|wp-content)\//i;
+const NON_POST_FILE = /\.(xml|rss|atom)$/i;
+
+// Child sitemaps for pages, categories, authors ... rather than posts
+const NON_POST_SITEMAP_PATTERN = /(page|categor|tag|author|user|taxonom|attachment)[^/]*$/i;
+
+function siteOrigin(siteUrl) {
+    const withProtocol = /^https?:\/\//i.test(siteUrl) ? siteUrl : `https://${siteUrl}`;
+    return new URL(withProtocol).origin;
+}
+
+// Query parameters that only say where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|_hsenc|_hsmi|ref|share)$/i;
+
+// http/https, www, trailing slashes, tracking parameters and the
+// #fragment don't make a different post - ?p=123 does
+function dedupeKey(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return String(url).replace(/^https?:\/\/(www\.)?/i, '').replace(/#.*$/, '').replace(/\/+$/, '').toLowerCase();
+    }
+
+    const params = [...parsed.searchParams]
+        .filter(([key]) => !TRACKING_PARAMS.test(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length ? `?${new URLSearchParams(params)}` : '';
+    return `${parsed.host.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}${query}`.toLowerCase();
+}
+
+// Whether `url` can be a post (on `origin`'s site, if given). The
+// home page only counts with a ?p= or ?page_id= permalink
+function isPostUrl(url, origin = url) {
+    try {
+        const host = value => new URL(value).hostname.replace(/^www\./, '');
+        const { pathname: path, searchParams } = new URL(url);
+        return host(url) === host(origin)
+            && (path.replace(/\/+$/, '') !== '' || searchParams.has('p') || searchParams.has('page_id'))
+            && !NON_POST_PATTERN.test(path.replace(/\/?$/, '/'))
+            && !NON_POST_FILE.test(path);
+    } catch (error) {
+        return false;
+    }
+}
+
+// ============================================================
+// SOURCES
+// ============================================================
+
+async function fromRestApi(origin) {
+    const posts = [];
+    for (let page = 1; page <= MAX_PAGES; page++) {
+        let json;
+        try {
+            json = JSON.parse(await fetchText(
+                `${origin}/wp-json/wp/v2/posts?per_page=${PER_PAGE}&page=${page}&_fields=link,date,date_gmt,title`
+            ));
+        } catch (error) {
+            // WordPress answers 400 once you page past the end
+            if (page > 1 && /HTTP 400/.test(error.message)) break;
+            throw error;
+        }
+        const batch = parseRestPosts(json);
+        posts.push(...batch);
+        console.log(`  📄 REST API page ${page}: ${batch.length} post(s)`);
+        if (batch.length < PER_PAGE) break;
+    }
+    return posts;
+}
+
+function sitemapLocs(xml, tag) {
+    const blocks = xml.match(new RegExp(`<${tag}[\\s>][\\s\\S]*?</${tag}>`, 'gi')) || [];
+    return blocks.map(block => {
+        const loc = block.match(/<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/i);
+        return loc ? loc[1].trim().replace(/&amp;/g, '&') : null;
+    }).filter(Boolean);
+}
+
+async function readSitemap(url, origin, seen, depth) {
+    if (seen.has(url) || depth > MAX_SITEMAP_DEPTH) return [];
+    seen.add(url);
+
+    const xml = await fetchText(url);
+    const children = sitemapLocs(xml, 'sitemap');
+
+    // Sitemap index - follow the post sitemaps only
+    if (children.length) {
+        const posts = [];
+        for (const child of children.filter(child => !NON_POST_SITEMAP_PATTERN.test(child.replace(/\.xml.*$/, '')))) {
+            try {
+                posts.push(...await readSitemap(child, origin, seen, depth + 1));
+            } catch (error) {
+                console.log(`  ⚠️  Skipping sitemap ${child}: ${error.message}`);
+            }
+        }
+        return posts;
+    }
+
+    return sitemapLocs(xml, 'url')
+        .filter(loc => isPostUrl(loc, origin))
+        .map(loc => ({ url: loc, title: '', date: null }));
+}
+
+async function fromSitemaps(origin) {
+    const seen = new Set();
+    for (const path of SITEMAP_PATHS) {
+        try {
+            const posts = await readSitemap(`${origin}${path}`, origin, seen, 0);
+            if (posts.length) {
+                console.log(`  🗺️  ${path}: ${posts.length} URL(s)`);
+                return posts;
+            }
+        } catch (error) {
+            // Try the next well-known location
+        }
+    }
+    return [];
+}
+
+async function fromRss(origin) {
+    const posts = parseRssItems(await fetchText(`${origin}/feed/`));
+    console.log(`  📰 RSS feed: ${posts.length} post(s)`);
+    return posts;
+}
+
+// ============================================================
+// MERGE + OUTPUT
+// ============================================================
+
+function mergePosts(lists) {
+    const merged = new Map();
+    lists.flat().forEach(post => {
+        const key = dedupeKey(post.url);
+        const existing = merged.get(key);
+        merged.set(key, {
+            url: (existing && existing.url) || post.url,
+            title: (existing && existing.title) || post.title || '',
+            date: (existing && existing.date) || normalizeDate(post.date)
+        });
+    });
+
+    return [...merged.values()].sort((a, b) => {
+        if (a.date && b.date) return a.date.localeCompare(b.date);
+        return a.date ? -1 : b.date ? 1 : 0;
+    });
+}
+
+/**
+ * Finds every post on `siteUrl`.
+ * Returns [{ url, title, date }] sorted oldest first.
+ */
+async function discoverPosts(siteUrl) {
+    const origin = siteOrigin(siteUrl);
+    console.log(`\n🔍 Discovering posts on ${origin}...`);
+
+    try {
+        const posts = await fromRestApi(origin);
+        if (posts.length) return mergePosts([posts]);
+    } catch (error) {
+        console.log(`  ⚠️  REST API unavailable (${error.message}) - trying sitemaps and RSS`);
+    }
+
+    const lists = [];
+    for (const source of [fromSitemaps, fromRss]) {
+        try {
+            lists.push(await source(origin));
+        } catch (error) {
+            console.log(`  ⚠️  ${source.name.replace('from', '')} unavailable: ${error.message}`);
+        }
+    }
+    return mergePosts(lists);
+}
+
+/**
+ * Writes the URL list the importer reads (one URL per line, with
+ * date and title as a trailing comment) and a JSON copy in the
+ * REST API's shape, which works as CONFIG.datesFile. The copy is
+ * <base>.posts.json, so a list named *.json isn't overwritten.
+ */
+function writeDiscoveredPosts(posts, filename, siteUrl) {
+    const lines = [
+        `# Posts discovered on ${siteOrigin(siteUrl)} on ${new Date().toISOString().slice(0, 10)}`,
+        `# ${posts.length} post(s), oldest first`,
+        ''
+    ];
+    posts.forEach(post => {
+        const day = post.date ? post.date.slice(0, 10) : 'no date';
+        lines.push(`${post.url}  # ${day}  ${post.title.replace(/\s+/g, ' ')}`.trim());
+    });
+    fs.writeFileSync(filename, lines.join('\n') + '\n');
+
+    const { dir, name } = path.parse(filename);
+    const jsonFile = path.join(dir, `${name}.posts.json`);
+    fs.writeFileSync(jsonFile, JSON.stringify(posts.map(post => ({
+        link: post.url,
+        date: post.date,
+        title: { rendered: post.title }
+    })), null, 2));
+
+    return [filename, jsonFile];
+}
+
+module.exports = {
+    TRACKING_PARAMS,
+    dedupeKey,
+    isPostUrl,
+    mergePosts,
+    discoverPosts,
+    writeDiscoveredPosts
+};
@@ -0,0 +1,232 @@
+/**
+ * ============================================================
+ * Draft footer - a visible "originally published" note
+ * ============================================================
+ *
+ * Medium's canonical link is invisible to readers. After each
+ * successful import (and with the footer command, on drafts
+ * imported before) the end of the story gets:
+ *
+ *   Originally published on netjoints.com on March 4, 2019.
+ *                                         (CONFIG.draftFooter)
+ *   Follow me for more cloud networking posts.
+ *                                  (CONFIG.footerCallToAction)
+ *   Part 2 of 3 in AWS networking: Part 1 · Part 3
+ *                                         (CONFIG.seriesFile)
+ *
+ * Templates can use {site}, {url}, {title} and {date}; {site}
+ * and {url} become links to the original post.
+ *
+ * The draft's text is checked for the start of the footer's
+ * first line before anything is added, so running it again
+ * on the same draft never adds a second footer.
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const { dedupeKey } = require('./discover');
+
+const PLACEHOLDER = /\{(site|url|title|date)\}/g;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 2019-03-04T... -> "March 4, 2019"
+function formatDate(iso) {
+    if (!iso) return null;
+    return new Date(iso).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function siteName(url) {
+    return new URL(url).hostname.replace(/^www\./, '');
+}
+
+// ============================================================
+// SERIES
+// ============================================================
+
+/**
+ * Reads { "<series name>": [url, url, ...] } (in reading order)
+ * and returns a map of dedupeKey(url) -> { name, part, urls }.
+ */
+function loadSeries(filename) {
+    const series = new Map();
+    if (!filename) return series;
+
+    let json;
+    try {
+        json = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read series file ${filename}: ${error.message}`);
+    }
+
+    Object.entries(json).forEach(([name, urls]) => {
+        if (!Array.isArray(urls)) {
+            throw new Error(`${filename}: "${name}" should be a list of URLs`);
+        }
+        urls.forEach((url, i) => series.set(dedupeKey(url), { name, part: i + 1, urls }));
+    });
+    return series;
+}
+
+// ============================================================
+// FOOTER TEXT
+// ============================================================
+
+// One template line as { html, text }
+function renderTemplate(template, post) {
+    const link = label => `<a href="${escapeHtml(post.url)}">${escapeHtml(label)}</a>`;
+    const values = {
+        site: siteName(post.url),
+        url: post.url,
+        title: post.title || '',
+        date: formatDate(post.date) || 'an earlier date'
+    };
+
+    const html = template.split(PLACEHOLDER).map((part, i) => {
+        // split() with a capture group puts the placeholder names at odd indexes
+        if (i % 2 === 0) return escapeHtml(part);
+        return part === 'site' || part === 'url' ? link(values[part]) : escapeHtml(values[part]);
+    }).join('');
+
+    return { html, text: template.replace(PLACEHOLDER, (_, name) => values[name]) };
+}
+
+// The start of a template line that doesn't change between runs - a
+// date found later mustn't make the footer look missing
+function markerFor(template, post) {
+    const stable = renderTemplate(template.split(/\{(?:title|date)\}/)[0], post).text.trim();
+    return stable.length >= 10 ? stable : renderTemplate(template, post).text.trim();
+}
+
+function renderSeries(entry, linkFor) {
+    const others = entry.urls
+        .map((url, i) => ({ url, part: i + 1 }))
+        .filter(other => other.part !== entry.part);
+    const intro = `Part ${entry.part} of ${entry.urls.length} in ${entry.name}`;
+
+    return {
+        marker: intro,
+        html: `${escapeHtml(intro)}: ${others.map(other => `<a href="${escapeHtml(linkFor(other.url))}">Part ${other.part}</a>`).join(' · ')}`,
+        text: `${intro}: ${others.map(other => `Part ${other.part}`).join(' · ')}`
+    };
+}
+
+/**
+ * The footer for one post, or null if there's nothing to add.
+ *
+ * post               - { url, title, date }
+ * settings.template  - CONFIG.draftFooter
+ * settings.callToAction - CONFIG.footerCallToAction
+ * settings.series    - loadSeries() map
+ * settings.linkFor   - url -> where a series link should point
+ *
+ * Returns { html, text, marker } - marker is the start of the
+ * first line, which is what makes a draft count as "has the footer".
+ */
+function buildFooter(post, settings = {}) {
+    const lines = [settings.template, settings.callToAction]
+        .filter(Boolean)
+        .map(template => ({ ...renderTemplate(template, post), marker: markerFor(template, post) }));
+
+    const entry = settings.series && settings.series.get(dedupeKey(post.url));
+    if (entry && entry.urls.length > 1) {
+        lines.push(renderSeries(entry, settings.linkFor || (url => url)));
+    }
+
+    if (lines.length === 0) return null;
+    return {
+        html: lines.map(line => `<p><em>${line.html}</em></p>`).join(''),
+        text: lines.map(line => line.text).join('\n'),
+        marker: lines[0].marker
+    };
+}
+
+// ============================================================
+// EDITOR
+// ============================================================
+
+// Runs in the browser: text of the story body (the editable
+// element with the most text - the title can be a separate one)
+function readStoryText() {
+    const editors = [...document.querySelectorAll('[contenteditable="true"]')];
+    const body = editors.sort((a, b) => b.innerText.length - a.innerText.length)[0];
+    return body ? body.innerText.replace(/\s+/g, ' ') : null;
+}
+
+// Runs in the browser: puts the caret at the end of the story body
+function placeCaretAtEnd() {
+    const editors = [...document.querySelectorAll('[contenteditable="true"]')];
+    const body = editors.sort((a, b) => b.innerText.length - a.innerText.length)[0];
+    if (!body) return false;
+
+    const blocks = body.querySelectorAll('p, h1, h2, h3, h4, blockquote, li, pre');
+    const last = blocks.length ? blocks[blocks.length - 1] : body;
+    body.focus();
+    const range = document.createRange();
+    range.selectNodeContents(last);
+    range.collapse(false);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return true;
+}
+
+/**
+ * Adds `footer` (from buildFooter) to the end of the draft open
+ * in the editor. Returns 'added' or 'already there'; throws if
+ * the editor can't be found or the footer doesn't show up.
+ */
+async function addFooter(page, footer) {
+    const text = await page.evaluate(readStoryText);
+    if (text === null) {
+        throw new Error('Could not find the story editor');
+    }
+    const marker = footer.marker.replace(/\s+/g, ' ');
+    if (text.includes(marker)) return 'already there';
+
+    if (!await page.evaluate(placeCaretAtEnd)) {
+        throw new Error('Could not find the end of the story');
+    }
+    await page.keyboard.press('Enter');
+    await sleep(300);
+
+    // Same trick as the fallback paste: Medium reads HTML from the paste event
+    await page.evaluate((html, plain) => {
+        const data = new DataTransfer();
+        data.setData('text/html', html);
+        data.setData('text/plain', plain);
+        document.activeElement.dispatchEvent(new ClipboardEvent('paste', {
+            clipboardData: data,
+            bubbles: true,
+            cancelable: true
+        }));
+    }, footer.html, footer.text);
+
+    // Medium autosaves a moment after the last change
+    await page.waitForFunction(() => /\bSaved\b/.test(document.body.innerText), { timeout: 10000 })
+        .catch(() => sleep(3000));
+
+    const after = await page.evaluate(readStoryText);
+    if (!after || !after.includes(marker)) {
+        throw new Error('The footer did not show up in the draft');
+    }
+    return 'added';
+}
+
+module.exports = {
+    formatDate,
+    loadSeries,
+    buildFooter,
+    addFooter
+};
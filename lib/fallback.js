@@ -0,0 +1,226 @@
+/**
+ * ============================================================
+ * Manual fallback - WordPress post → Medium-ready HTML
+ * ============================================================
+ *
+ * For posts Medium's importer refuses ("cannot be imported").
+ * Loads the post in the browser, pulls out the article body
+ * and rewrites it into the small set of HTML Medium's editor
+ * keeps when you paste:
+ *
+ *   h3 / h4 (Medium's two heading sizes), p, blockquote, pre,
+ *   ul / ol / li, strong, em, code, a, figure / img /
+ *   figcaption, hr
+ *
+ * Everything else is unwrapped. Embeds (YouTube, gists, ...)
+ * become a bare link on its own line, which Medium turns back
+ * into an embed. A footer links back to the original post.
+ *
+ * Each post is saved as <fallbackDir>/<slug>.html - open it,
+ * select all, copy and paste into a new Medium story. The
+ * importer can also paste it for you (CONFIG.fallbackPaste).
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSlug } = require('./wordpress');
+
+const TITLE_SELECTORS = ['h1.entry-title', 'article h1', '.post-title', 'h1'];
+const BODY_SELECTORS = ['article .entry-content', '.entry-content', '.post-content', 'article', 'main'];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Runs inside the browser on the WordPress post
+function extractArticleInPage({ titleSelectors, bodySelectors }) {
+    const first = list => list.map(selector => document.querySelector(selector)).find(Boolean);
+    const titleEl = first(titleSelectors);
+    const root = first(bodySelectors);
+    if (!root) return null;
+
+    const absolute = value => {
+        try { return new URL(value, location.href).href; } catch (error) { return null; }
+    };
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const attr = text => escape(text).replace(/"/g, '&quot;');
+
+    // Lazy-loading plugins keep the real image in data-* attributes
+    const imageSource = img => {
+        const srcset = img.getAttribute('srcset') || img.getAttribute('data-srcset');
+        if (srcset) {
+            const largest = srcset.split(',')
+                .map(part => part.trim().split(/\s+/))
+                .sort((a, b) => parseInt(b[1] || '0', 10) - parseInt(a[1] || '0', 10))[0];
+            if (largest && largest[0]) return absolute(largest[0]);
+        }
+        return absolute(img.getAttribute('data-src') || img.getAttribute('data-lazy-src') || img.getAttribute('src') || '');
+    };
+
+    const SKIP = 'script, style, noscript, form, button, .sharedaddy, .jp-relatedposts, .wp-block-buttons';
+    const HEADINGS = { H1: 'h3', H2: 'h3', H3: 'h4', H4: 'h4', H5: 'h4', H6: 'h4' };
+    const INLINE = { STRONG: 'strong', B: 'strong', EM: 'em', I: 'em', CODE: 'code' };
+    const BLOCKS = { P: 'p', BLOCKQUOTE: 'blockquote', UL: 'ul', OL: 'ol', LI: 'li' };
+
+    const children = node => [...node.childNodes].map(convert).join('');
+
+    function convert(node) {
+        if (node.nodeType === Node.TEXT_NODE) return escape(node.textContent);
+        if (node.nodeType !== Node.ELEMENT_NODE || node.matches(SKIP)) return '';
+
+        const tag = node.tagName;
+
+        if (HEADINGS[tag]) {
+            const text = node.innerText.trim();
+            return text ? `<${HEADINGS[tag]}>${escape(text)}</${HEADINGS[tag]}>\n` : '';
+        }
+        if (tag === 'PRE' || node.classList.contains('syntaxhighlighter')) {
+            const lines = node.querySelectorAll('.line');
+            const code = lines.length ? [...lines].map(line => line.innerText).join('\n') : node.innerText;
+            return `<pre>${escape(code.replace(/\n+$/, ''))}</pre>\n`;
+        }
+        if (tag === 'IMG') {
+            const src = imageSource(node);
+            return src ? `<figure><img src="${attr(src)}" alt="${attr(node.alt || '')}"></figure>\n` : '';
+        }
+        if (tag === 'FIGURE') {
+            const img = node.querySelector('img');
+            const caption = node.querySelector('figcaption');
+            const embed = node.querySelector('iframe');
+            if (embed) return convert(embed);
+            if (!img) return children(node);
+            const src = imageSource(img);
+            if (!src) return '';
+            const captionHtml = caption && caption.innerText.trim()
+                ? `<figcaption>${escape(caption.innerText.trim())}</figcaption>` : '';
+            return `<figure><img src="${attr(src)}" alt="${attr(img.alt || '')}">${captionHtml}</figure>\n`;
+        }
+        if (tag === 'IFRAME' || tag === 'VIDEO' || tag === 'EMBED') {
+            const src = absolute(node.getAttribute('src') || node.getAttribute('data-src') || '');
+            return src ? `<p><a href="${attr(src)}">${escape(src)}</a></p>\n` : '';
+        }
+        if (tag === 'HR') return '<hr>\n';
+        if (tag === 'BR') return '<br>';
+        if (tag === 'A') {
+            const href = absolute(node.getAttribute('href') || '');
+            const inner = children(node);
+            return href && inner.trim() ? `<a href="${attr(href)}">${inner}</a>` : inner;
+        }
+        if (INLINE[tag]) {
+            const inner = children(node);
+            return inner.trim() ? `<${INLINE[tag]}>${inner}</${INLINE[tag]}>` : inner;
+        }
+        if (BLOCKS[tag]) {
+            const inner = children(node).trim();
+            return inner ? `<${BLOCKS[tag]}>${inner}</${BLOCKS[tag]}>\n` : '';
+        }
+        // div, span, section, table ... - keep the content, drop the wrapper
+        return children(node);
+    }
+
+    return {
+        title: titleEl ? titleEl.innerText.trim() : document.title,
+        html: children(root).replace(/\n{3,}/g, '\n\n').trim()
+    };
+}
+
+/**
+ * Loads `url` in `page` and returns { title, html } ready for Medium,
+ * including the "originally published" footer.
+ */
+async function convertPost(page, url) {
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 45000 });
+
+    // Trigger lazy-loaded images before reading the DOM
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await sleep(1500);
+
+    const article = await page.evaluate(extractArticleInPage, {
+        titleSelectors: TITLE_SELECTORS,
+        bodySelectors: BODY_SELECTORS
+    });
+    if (!article || !article.html) {
+        throw new Error('Could not find the article body on the page');
+    }
+
+    const footer = `<hr>\n<p><em>Originally published at <a href="${escapeHtml(url)}">${escapeHtml(url)}</a>.</em></p>`;
+    return { title: article.title, html: `${article.html}\n${footer}` };
+}
+
+function toDocument(url, article) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(article.title)}</title>
+<link rel="canonical" href="${escapeHtml(url)}">
+</head>
+<body>
+<!-- Select everything below, copy, and paste into a new Medium story.
+     Then set the canonical link in story settings to: ${escapeHtml(url)} -->
+<h1>${escapeHtml(article.title)}</h1>
+${article.html}
+</body>
+</html>
+`;
+}
+
+/**
+ * Converts `url` and writes <dir>/<slug>.html.
+ * Returns { file, title, html }.
+ */
+async function saveFallbackPost(page, url, dir) {
+    const article = await convertPost(page, url);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const file = path.join(dir, `${getSlug(url) || 'post'}.html`);
+    fs.writeFileSync(file, toDocument(url, article));
+    return { file, ...article };
+}
+
+/**
+ * Opens a new Medium story and pastes the converted post into it.
+ * Returns the editor URL.
+ */
+async function pasteIntoNewStory(page, baseUrl, article) {
+    await page.goto(`${baseUrl}/new-story`, { waitUntil: 'networkidle2', timeout: 30000 });
+    await sleep(3000);
+
+    const editor = await page.$('[contenteditable="true"][role="textbox"], article [contenteditable="true"], [contenteditable="true"]');
+    if (!editor) {
+        throw new Error('Could not find the story editor');
+    }
+    await editor.click();
+
+    // Medium reads pasted HTML from the clipboard event, so hand it one directly
+    await page.evaluate(html => {
+        const data = new DataTransfer();
+        data.setData('text/html', html);
+        data.setData('text/plain', html.replace(/<[^>]+>/g, ''));
+        document.activeElement.dispatchEvent(new ClipboardEvent('paste', {
+            clipboardData: data,
+            bubbles: true,
+            cancelable: true
+        }));
+    }, `<h1>${escapeHtml(article.title)}</h1>${article.html}`);
+
+    // Medium only assigns the story its /p/<id>/edit URL once it autosaves
+    await page.waitForFunction(() => /\/p\/[^/]+\/edit/.test(location.href), { timeout: 30000 });
+    return page.url().split('?')[0];
+}
+
+module.exports = {
+    convertPost,
+    saveFallbackPost,
+    pasteIntoNewStory
+};
@@ -0,0 +1,111 @@
+/**
+ * ============================================================
+ * Typing into Medium's URL field - on every platform
+ * ============================================================
+ *
+ * Select-all is Cmd+A on macOS but Ctrl+A on Linux/Windows, so
+ * the old Meta+A did nothing there and the URL got appended to
+ * whatever was already in the field.
+ *
+ * Clearing now goes through the DOM first (works the same
+ * everywhere), falls back to the platform's select-all keys,
+ * and the field is read back after typing. The URL is only
+ * submitted if the field holds exactly that URL.
+ *
+ * ============================================================
+ */
+
+const MAX_ENTRY_ATTEMPTS = 2;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The key that goes with "A" for select-all on this OS
+function selectAllModifier(platform = process.platform) {
+    return platform === 'darwin' ? 'Meta' : 'Control';
+}
+
+// Text in the field, with the invisible characters editors add stripped
+async function readFieldValue(element) {
+    return element.evaluate(node => {
+        const raw = ['INPUT', 'TEXTAREA'].includes(node.tagName) ? node.value : node.innerText;
+        return (raw || '').replace(/[\u200B\uFEFF]/g, '').replace(/\u00A0/g, ' ').trim();
+    });
+}
+
+async function clearWithDom(element) {
+    await element.evaluate(node => {
+        node.focus();
+        if (['INPUT', 'TEXTAREA'].includes(node.tagName)) {
+            node.select();
+        } else {
+            const range = document.createRange();
+            range.selectNodeContents(node);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+        // execCommand goes through the editor's own input handling,
+        // unlike setting innerHTML behind its back
+        document.execCommand('delete');
+    });
+}
+
+async function clearWithKeyboard(page) {
+    const modifier = selectAllModifier();
+    await page.keyboard.down(modifier);
+    await page.keyboard.press('a');
+    await page.keyboard.up(modifier);
+    await sleep(100);
+    await page.keyboard.press('Backspace');
+    await sleep(100);
+}
+
+/**
+ * Empties the field. Returns what's left in it ('' on success).
+ */
+async function clearField(page, element) {
+    await clearWithDom(element);
+    await sleep(100);
+    if (await readFieldValue(element) === '') return '';
+
+    await element.click();
+    await clearWithKeyboard(page);
+    return readFieldValue(element);
+}
+
+/**
+ * Clears the field, types `url` and checks the field now holds
+ * exactly `url`. Throws if it still doesn't after a retry.
+ */
+async function enterUrl(page, element, url) {
+    let value = '';
+
+    for (let attempt = 1; attempt <= MAX_ENTRY_ATTEMPTS; attempt++) {
+        await element.click();
+        await sleep(300);
+
+        const leftover = await clearField(page, element);
+        if (leftover) {
+            console.log(`  ⚠️  Field not empty after clearing: "${leftover.slice(0, 60)}"`);
+        }
+
+        await page.keyboard.type(url, { delay: 30 });
+        await sleep(200);
+
+        value = await readFieldValue(element);
+        if (value === url) return;
+
+        console.log(`  ⚠️  Field holds "${value.slice(0, 80)}" instead of the URL (attempt ${attempt}/${MAX_ENTRY_ATTEMPTS})`);
+    }
+
+    throw new Error(`URL field contains "${value.slice(0, 80)}" instead of the URL`);
+}
+
+module.exports = {
+    selectAllModifier,
+    readFieldValue,
+    clearField,
+    enterUrl
+};
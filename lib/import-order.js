@@ -0,0 +1,114 @@
+/**
+ * ============================================================
+ * Import order - oldest posts first
+ * ============================================================
+ *
+ * Looks up every post's publish date, sorts the queue from
+ * oldest to newest and prints the plan before anything is sent
+ * to Medium.
+ *
+ * Dates are cached in CONFIG.dateCacheFile so the order stays
+ * the same between runs (resume depends on it) and the site
+ * isn't queried again for posts we already know.
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const { findPostDate, loadDatesFile, keyFor } = require('./wordpress');
+
+function loadDateCache(filename) {
+    try {
+        if (filename && fs.existsSync(filename)) {
+            return JSON.parse(fs.readFileSync(filename, 'utf-8'));
+        }
+    } catch (error) {
+        console.log(`⚠️  Ignoring unreadable date cache: ${error.message}`);
+    }
+    return {};
+}
+
+function saveDateCache(filename, cache) {
+    if (filename) {
+        fs.writeFileSync(filename, JSON.stringify(cache, null, 2));
+    }
+}
+
+/**
+ * Returns [{ url, date, source }] in the same order as `urls`.
+ * options.knownPosts: [{ url, date }] from the URL list itself,
+ * used like the dates file.
+ */
+async function resolvePostDates(urls, options = {}) {
+    const knownPosts = loadDatesFile(options.datesFile);
+    (options.knownPosts || [])
+        .filter(post => post.date && !knownPosts.has(keyFor(post.url)))
+        .forEach(post => knownPosts.set(keyFor(post.url), post));
+    const cache = loadDateCache(options.cacheFile);
+    const entries = [];
+
+    console.log(`\n📅 Looking up publish dates for ${urls.length} posts...`);
+
+    for (let i = 0; i < urls.length; i++) {
+        const url = urls[i];
+
+        if (cache[url] && cache[url].date) {
+            entries.push({ url, date: cache[url].date, source: 'cache' });
+            continue;
+        }
+
+        const { date, source } = await findPostDate(url, knownPosts);
+        entries.push({ url, date, source });
+
+        // Only cache hits - a missing date might be a temporary network problem
+        if (date) {
+            cache[url] = { date, source };
+        } else {
+            console.log(`  ⚠️  [${i + 1}/${urls.length}] No publish date found: ${url}`);
+        }
+    }
+
+    saveDateCache(options.cacheFile, cache);
+    return entries;
+}
+
+/**
+ * Oldest first. Posts without a date keep their file order
+ * and go to the end of the queue.
+ */
+function sortOldestFirst(entries) {
+    return entries
+        .map((entry, index) => ({ entry, index }))
+        .sort((a, b) => {
+            if (a.entry.date && b.entry.date) {
+                return a.entry.date.localeCompare(b.entry.date) || a.index - b.index;
+            }
+            if (a.entry.date) return -1;
+            if (b.entry.date) return 1;
+            return a.index - b.index;
+        })
+        .map(item => item.entry);
+}
+
+function printImportPlan(entries) {
+    const undated = entries.filter(entry => !entry.date).length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('🗓️  IMPORT PLAN (oldest first)');
+    console.log('='.repeat(60));
+    entries.forEach((entry, i) => {
+        const day = entry.date ? entry.date.slice(0, 10) : '   no date';
+        console.log(`  ${String(i + 1).padStart(3)}. ${day}  ${entry.url}`);
+    });
+    console.log('='.repeat(60));
+
+    if (undated > 0) {
+        console.log(`⚠️  ${undated} post(s) without a date will be imported last, in file order.`);
+    }
+}
+
+module.exports = {
+    resolvePostDates,
+    sortOldestFirst,
+    printImportPlan
+};
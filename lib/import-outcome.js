@@ -0,0 +1,129 @@
+/**
+ * ============================================================
+ * Import outcome - what Medium did after Import was clicked
+ * ============================================================
+ *
+ * Instead of sleeping a fixed importWaitTime and then guessing
+ * from the page, this watches for the first real signal:
+ *
+ *   - the page moves to the new draft (/p/<id>/edit)
+ *   - one of Medium's error banners appears
+ *   - Medium's import request comes back with an HTTP error
+ *   - the page goes somewhere else (e.g. the sign-in page)
+ *
+ * and gives up after `timeout` ms. Banner text that was already
+ * on the import page before the click is ignored, so help text
+ * like "try again later" can't be mistaken for a failure.
+ *
+ * ============================================================
+ */
+
+const POLL_INTERVAL = 500;
+
+// After an HTTP error from the import request, give the page
+// this long to show its own banner (which says more)
+const RESPONSE_GRACE = 3000;
+
+// Checked in order - the first match wins
+const ERROR_BANNERS = [
+    { pattern: /server stopped responding/i, error: 'server stopped responding - try again', retryable: true },
+    { pattern: /sorry[\s\S]*cannot be imported/i, error: 'page cannot be imported by Medium', retryable: false },
+    { pattern: /could not be imported|could not import/i, error: 'could not be imported', retryable: true },
+    { pattern: /something went wrong/i, error: 'something went wrong', retryable: true },
+    { pattern: /try again/i, error: 'failed - try again', retryable: true }
+];
+
+const EDITOR_PATH = /\/p\/[^/?#]+\/edit/;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Null while the page is between documents
+async function readPage(page) {
+    try {
+        return await page.evaluate(() => ({
+            url: window.location.href,
+            text: document.body ? document.body.innerText : ''
+        }));
+    } catch (error) {
+        return null;
+    }
+}
+
+function matchBanner(text, before) {
+    return ERROR_BANNERS.find(banner => banner.pattern.test(text) && !banner.pattern.test(before)) || null;
+}
+
+function isImportPage(url) {
+    return /\/p\/import/.test(url);
+}
+
+/**
+ * Runs `submit` (clicks Import) and waits for Medium's answer.
+ *
+ * Resolves to one of:
+ *   { type: 'editor', url }                       - draft created
+ *   { type: 'error', error, retryable, banner }   - error banner or HTTP error
+ *   { type: 'redirected', url }                   - left the import page, no draft
+ *   { type: 'timeout' }                           - nothing within `timeout` ms
+ * plus { elapsed, response } (the import request's status, if one was seen).
+ */
+async function waitForImportOutcome(page, submit, { timeout }) {
+    const before = await readPage(page);
+    const beforeText = before ? before.text : '';
+    let response = null;
+
+    const onResponse = res => {
+        if (res.request().method() === 'POST' && /import/i.test(res.url())) {
+            response = { status: res.status(), url: res.url(), at: Date.now() };
+        }
+    };
+    page.on('response', onResponse);
+
+    const started = Date.now();
+    const finish = outcome => ({
+        ...outcome,
+        elapsed: Date.now() - started,
+        response: response && { status: response.status, url: response.url }
+    });
+
+    try {
+        await submit();
+
+        while (Date.now() - started < timeout) {
+            const seen = await readPage(page);
+
+            if (seen) {
+                if (EDITOR_PATH.test(seen.url)) {
+                    return finish({ type: 'editor', url: seen.url });
+                }
+
+                const banner = matchBanner(seen.text, beforeText);
+                if (banner) {
+                    return finish({ type: 'error', error: banner.error, retryable: banner.retryable, banner: banner.pattern.source });
+                }
+
+                if (!isImportPage(seen.url)) {
+                    return finish({ type: 'redirected', url: seen.url });
+                }
+            }
+
+            if (response && response.status >= 400 && Date.now() - response.at >= RESPONSE_GRACE) {
+                return finish({ type: 'error', error: `import request failed (HTTP ${response.status})`, retryable: true });
+            }
+
+            await sleep(POLL_INTERVAL);
+        }
+
+        return finish({ type: 'timeout' });
+    } finally {
+        page.off('response', onResponse);
+    }
+}
+
+module.exports = {
+    ERROR_BANNERS,
+    matchBanner,
+    waitForImportOutcome
+};
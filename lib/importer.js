@@ -0,0 +1,1502 @@
+/**
+ * ============================================================
+ * Importer - the import engine, for scripts and CI
+ * ============================================================
+ *
+ * medium-importer.js is a thin command line around this class.
+ * To drive an import from your own code:
+ *
+ *   const { Importer } = require('./lib/importer');
+ *
+ *   const importer = new Importer({ urlsFile: 'urls.txt', showBrowser: false,
+ *                                   cookiesFile: 'medium_cookies.json' }, { yes: true });
+ *   importer.on('imported', ({ url, result }) => console.log(url, result.story.editUrl));
+ *   const { counts, stopReason } = await importer.run();
+ *
+ * Settings are the same as the command line's (lib/config.js).
+ * Options: yes (answer every y/n question "y"), ask(question)
+ * (answer them yourself, "have you signed in?" included;
+ * resolves true/false), closeBrowser.
+ *
+ *   run({ urls })    the whole queue, like the import command -
+ *                    urls (optional) replaces CONFIG.urlsFile
+ *   importOne(url)   one URL with the same retries, pacing and
+ *                    progress records; call close() when done
+ *   loadSources(s)   the URL list(s) as [{ url, title, date, tags }]
+ *   runLog           this run's log - runId, file and debug/info/
+ *                    warn/error(msg, fields) (lib/run-log.js)
+ *   control          pause(), resume(), skip(url), retryNow() on the
+ *                    running queue (lib/run-control.js) - what the
+ *                    dashboard's buttons call
+ *
+ * EVENTS - listeners may be async. They're awaited in order,
+ * and one that throws is reported, not fatal:
+ *
+ *   beforeImport  { url, index, total, attempt }
+ *   retry         { url, attempt, reason, error }
+ *                 reason: 'error', 'throttled' or 'signed-out'
+ *   imported      { url, result, attempts }
+ *   failed        { url, result, attempts }
+ *   done          { counts, stopReason }
+ *
+ * PLUGINS - importer.use(plugin), or CONFIG.plugins with module
+ * paths. A plugin is a function called with the importer, or an
+ * object with any of:
+ *
+ *   transformUrls(entries, importer)  returns the list to import
+ *                                     (filter, reorder, add...)
+ *   beforeImport / retry / imported / failed / done
+ *                                     listeners for those events
+ *
+ * Nothing here exits the process - problems are thrown.
+ *
+ * ============================================================
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { DEFAULTS } = require('./config');
+const { waitForUserInput, askYesNo } = require('./prompt');
+const { resolvePostDates, sortOldestFirst, printImportPlan } = require('./import-order');
+const { publishDraft, VISIBILITIES } = require('./medium-publisher');
+const { fetchPostTerms, findPostDate } = require('./wordpress');
+const { parseStoryId } = require('./mapping');
+const { createProgressStore, FAILED_STATES } = require('./progress-store');
+const { dedupeKey } = require('./discover');
+const { waitForUrlInput, findImportButton, countElements, SELECTOR_VERSION } = require('./selectors');
+const { recordConsole, saveDebugBundle } = require('./debug-bundle');
+const { enterUrl } = require('./field-input');
+const { waitForImportOutcome } = require('./import-outcome');
+const { createPacer } = require('./pacing');
+const { isSignInUrl, importCookies, exportCookies, checkSession } = require('./session');
+const { createStoryIndex, DUPLICATE_CHECKS } = require('./story-index');
+const { loadUrlList, mergeEntries } = require('./url-list');
+const { loadSeries, buildFooter, addFooter } = require('./draft-footer');
+const { createLock, lockFile, createWorkQueue, createRateGate, runAsWorker, installWorkerConsole } = require('./worker-pool');
+const { createRunControl } = require('./run-control');
+const { createDashboard } = require('./dashboard');
+const { createRunLog, LEVELS } = require('./run-log');
+
+const EVENTS = ['beforeImport', 'retry', 'imported', 'failed', 'done'];
+
+// Sign-ins per URL before giving up - if Medium still sends us to the
+// sign-in page after that, the session check is fooled (stale cookies)
+// and signing in again won't help
+const MAX_SIGN_INS_PER_URL = 1;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 'a, b' -> ['a', 'b'] (null stays null)
+function splitList(value) {
+    if (!value) return null;
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+// A story from the index as the progress store keeps it. Stories only
+// seen on the published list have no edit link, but Medium opens any
+// story in the editor at /p/<id>/edit - verify and footer need that
+function indexedStory(story, baseUrl, matchedBy, importedAt = null) {
+    return {
+        storyId: story.id,
+        editUrl: story.editUrl || `${baseUrl}/p/${story.id}/edit`,
+        publishedUrl: story.publishedUrl || null,
+        title: story.title,
+        importedAt,
+        matchedBy
+    };
+}
+
+// Title of the draft open in Medium's editor
+async function getDraftTitle(page) {
+    return page.evaluate(() => {
+        const selectors = ['[data-testid="editorTitleParagraph"]', 'h3.graf--title', 'article h1', 'article h3'];
+        for (const selector of selectors) {
+            const el = document.querySelector(selector);
+            if (el && el.innerText.trim()) return el.innerText.trim();
+        }
+        return document.title.replace(/ [-|–] Medium$/, '').trim();
+    });
+}
+
+class Importer extends EventEmitter {
+    constructor(config = {}, options = {}) {
+        super();
+        this.config = { ...DEFAULTS, ...config };
+        this.options = options;
+        this.transforms = [];
+        this.browser = null;
+        this.page = null;
+        this.single = null;  // importOne()'s store, index and pacer
+        this.store = null;
+        this.posts = new Map();  // dedupeKey(url) -> { url, title, date, tags } from the URL list
+        this.series = null;
+        this.control = createRunControl();
+        this.active = new Map();  // url -> { url, n, total, attempt, since, page } being imported
+        this.queue = null;  // [{ url, n }] this run works through
+        this.currentRun = null;
+        // Console only until a run starts and gets its own log file
+        this.runLog = createRunLog({ level: LEVELS.includes(this.config.logLevel) ? this.config.logLevel : 'info' });
+        this.singleStarted = null;
+
+        (splitList(this.config.plugins) || []).forEach(file => {
+            this.use(require(path.resolve(file)));
+        });
+    }
+
+    // ============================================================
+    // PLUGINS + EVENTS
+    // ============================================================
+
+    use(plugin) {
+        if (typeof plugin === 'function') {
+            plugin(this);
+            return this;
+        }
+        if (!plugin || typeof plugin !== 'object') {
+            throw new Error('A plugin is a function or an object with hooks');
+        }
+
+        if (plugin.transformUrls) this.transforms.push(plugin.transformUrls.bind(plugin));
+        EVENTS.filter(event => typeof plugin[event] === 'function')
+            .forEach(event => this.on(event, plugin[event].bind(plugin)));
+        return this;
+    }
+
+    // Runs the listeners one after another and waits for async ones
+    async dispatch(event, payload) {
+        for (const listener of this.rawListeners(event)) {
+            try {
+                await listener.call(this, payload);
+            } catch (error) {
+                console.log(`  ⚠️  A "${event}" listener failed: ${error.message}`);
+            }
+        }
+    }
+
+    async ask(question) {
+        if (this.options.ask && !this.options.yes) {
+            const answer = await this.options.ask(question);
+            console.log(`${question}${answer ? 'y' : 'n'}`);
+            return answer;
+        }
+        return askYesNo(question, this.options.yes);
+    }
+
+    // ============================================================
+    // SOURCES
+    // ============================================================
+
+    /**
+     * Reads URL lists - file names, URLs or { url, title, date, tags }
+     * objects, one or an array - normalizes and dedupes them and
+     * applies the plugins' transformUrls. CONFIG.onlyTags filters
+     * what comes from files. Returns [{ url, title, date, tags }].
+     */
+    async loadSources(sources = this.config.urlsFile) {
+        const onlyTags = splitList(this.config.onlyTags);
+        const parsed = [];
+        let invalid = 0;
+        let notPosts = 0;
+        let duplicates = 0;
+
+        for (const source of [].concat(sources)) {
+            if (source && typeof source === 'object') {
+                parsed.push(source);
+            } else if (/^https?:\/\//i.test(source)) {
+                parsed.push({ url: source });
+            } else {
+                let list;
+                try {
+                    list = loadUrlList(source, { onlyTags });
+                } catch (error) {
+                    throw new Error(`Could not load URLs from ${source}: ${error.message}`);
+                }
+                const tagged = onlyTags ? `, tagged ${onlyTags.join(' or ')}` : '';
+                console.log(`✅ Loaded ${list.entries.length} URLs from ${source} (${list.format}${tagged})`);
+                invalid += list.dropped.invalid;
+                notPosts += list.dropped.notPosts;
+                duplicates += list.dropped.duplicates;
+                parsed.push(...list.entries);
+            }
+        }
+
+        const merged = mergeEntries(parsed);
+        invalid += merged.dropped.invalid;
+        notPosts += merged.dropped.notPosts;
+        duplicates += merged.dropped.duplicates;
+        if (duplicates) console.log(`   ${duplicates} duplicate(s) dropped`);
+        if (invalid) console.log(`   ${invalid} line(s) without a valid URL ignored`);
+        if (notPosts) console.log(`   ${notPosts} URL(s) that aren't posts (feeds, sitemaps, archives) ignored`);
+
+        let entries = merged.entries;
+        for (const transform of this.transforms) {
+            entries = (await transform(entries, this)) || entries;
+        }
+        entries.forEach(entry => this.posts.set(dedupeKey(entry.url), entry));
+        return entries;
+    }
+
+    openProgressStore() {
+        try {
+            const store = createProgressStore(this.config.progressFile);
+            if (fs.existsSync(this.config.progressFile)) {
+                console.log(`📂 Found progress file with ${store.urls().length} URL(s)`);
+            }
+            return store;
+        } catch (error) {
+            throw new Error(`Could not read ${this.config.progressFile}: ${error.message}. ` +
+                'Fix or move the file (or run "reset") and try again.');
+        }
+    }
+
+    // ============================================================
+    // BROWSER SETUP
+    // ============================================================
+
+    async launchBrowser() {
+        let userDataDir;
+        let executablePath;
+
+        // Set Chrome executable path based on OS
+        if (this.config.chromePath) {
+            executablePath = this.config.chromePath;
+        } else if (process.platform === 'darwin') {
+            executablePath = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
+        } else if (process.platform === 'win32') {
+            executablePath = 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe';
+        } else {
+            executablePath = '/usr/bin/google-chrome';
+        }
+
+        // Set user data directory
+        if (this.config.useDedicatedProfile) {
+            // Use a dedicated profile in the script's directory - avoids conflicts!
+            userDataDir = path.resolve(this.config.profileDir);
+            console.log('\n🚀 Launching browser with DEDICATED Chrome profile...');
+            console.log('   (This avoids conflicts with your regular Chrome)');
+
+            // Check if this is the first run with dedicated profile
+            if (!fs.existsSync(userDataDir)) {
+                console.log('\n⚠️  First run with dedicated profile - you will need to log into Medium');
+            } else {
+                console.log('   (Using saved session from previous runs)');
+            }
+        } else {
+            // Use main Chrome profile (requires closing all Chrome windows)
+            console.log('\n🚀 Launching browser with your existing Chrome profile...');
+            console.log('⚠️  IMPORTANT: Close all other Chrome windows first!\n');
+
+            if (process.platform === 'darwin') {
+                userDataDir = path.join(os.homedir(), 'Library', 'Application Support', 'Google', 'Chrome');
+            } else if (process.platform === 'win32') {
+                userDataDir = path.join(os.homedir(), 'AppData', 'Local', 'Google', 'Chrome', 'User Data');
+            } else {
+                userDataDir = path.join(os.homedir(), '.config', 'google-chrome');
+            }
+        }
+
+        console.log(`📂 Chrome profile location: ${userDataDir}`);
+
+        // Browser launch options
+        const launchOptions = {
+            headless: !this.config.showBrowser,
+            defaultViewport: { width: 1280, height: 800 },
+            executablePath: executablePath,
+            userDataDir: userDataDir,
+            timeout: 60000,  // Increased timeout for slower systems
+            args: [
+                '--start-maximized',
+                '--no-first-run',
+                '--no-default-browser-check',
+                '--disable-blink-features=AutomationControlled',
+            ]
+        };
+
+        // Only add profile-directory flag when NOT using dedicated profile
+        if (!this.config.useDedicatedProfile) {
+            launchOptions.args.push('--profile-directory=Default');
+        }
+
+        // Chrome won't start as root (CI containers) with its sandbox on
+        if (process.getuid && process.getuid() === 0) {
+            launchOptions.args.push('--no-sandbox');
+        }
+
+        try {
+            return await puppeteer.launch(launchOptions);
+        } catch (error) {
+            if (error.message.includes('Timed out') || error.message.includes('WS endpoint')) {
+                console.log('\n❌ Failed to launch Chrome. This usually means:');
+                console.log('   1. Chrome is already running with this profile');
+                console.log('   2. Chrome didn\'t start in time');
+                console.log('\n💡 Solutions:');
+                console.log('   - Close ALL Chrome windows and try again');
+                console.log('   - Or set useDedicatedProfile: true in CONFIG (recommended)');
+                console.log('\nTo close all Chrome processes, run:');
+                if (process.platform === 'darwin') {
+                    console.log('   pkill -f "Google Chrome"');
+                } else if (process.platform === 'win32') {
+                    console.log('   taskkill /F /IM chrome.exe');
+                } else {
+                    console.log('   pkill chrome');
+                }
+            }
+            throw error;
+        }
+    }
+
+    // Asks you to sign in in the browser window until Medium shows a session.
+    // Goes through options.ask like every other question; a --yes run
+    // without one has nobody to sign in, so it gives up straight away.
+    async signIn(page) {
+        const unattended = this.options.yes && !this.options.ask;
+        if (!this.config.showBrowser || unattended) {
+            console.log(unattended
+                ? '\n🔒 Not signed in to Medium, and a --yes run doesn\'t wait for you to sign in.'
+                : '\n🔒 Not signed in to Medium, and the browser is hidden so you can\'t sign in.');
+            console.log('   Run `node medium-importer.js login --cookies-file <file>` once with the browser');
+            console.log('   visible, then use the same --cookies-file for unattended runs.');
+            return false;
+        }
+
+        await page.goto(`${this.config.mediumBaseUrl}/m/signin`, { waitUntil: 'networkidle2' });
+
+        console.log('\n' + '='.repeat(60));
+        console.log('⚠️  IMPORTANT: LOG INTO MEDIUM NOW');
+        console.log('='.repeat(60));
+        console.log('1. The browser window should be open');
+        console.log('2. Log into your Medium account');
+        console.log('3. Make sure you can see your profile/dashboard');
+        console.log('4. Then come back here and press ENTER');
+        if (this.config.useDedicatedProfile || this.config.cookiesFile) {
+            console.log('\n💡 TIP: Your login will be saved for future runs!');
+        }
+        console.log('='.repeat(60));
+
+        for (;;) {
+            if (this.options.ask) {
+                if (!await this.ask('\n✋ Have you logged into Medium in the browser window? (y/n): ')) return false;
+            } else {
+                await waitForUserInput('\n✋ Press ENTER after you have logged into Medium...');
+            }
+
+            console.log('\n🔍 Verifying login...');
+            const session = await checkSession(page, this.config.mediumBaseUrl);
+            if (session.loggedIn) {
+                console.log(`✅ Login verified (${session.via})!`);
+                return true;
+            }
+
+            if (!await this.ask('⚠️  Still not signed in. Try again? (y/n): ')) {
+                return false;
+            }
+            await page.goto(`${this.config.mediumBaseUrl}/m/signin`, { waitUntil: 'networkidle2' });
+        }
+    }
+
+    // Signed in from the cookie file or the browser profile, or after
+    // signing in by hand. Saves the cookies for next time.
+    async ensureSignedIn(page) {
+        if (this.config.cookiesFile) {
+            const count = await importCookies(page, this.config.cookiesFile);
+            if (count) console.log(`🍪 Loaded ${count} cookie(s) from ${this.config.cookiesFile}`);
+        }
+
+        console.log('\n🔍 Checking for a Medium session...');
+        const session = await checkSession(page, this.config.mediumBaseUrl);
+
+        if (session.loggedIn) {
+            console.log(`✅ Already signed in (${session.via})`);
+        } else if (!await this.signIn(page)) {
+            return false;
+        }
+
+        if (this.config.cookiesFile) {
+            const count = await exportCookies(page, this.config.cookiesFile, this.config.mediumBaseUrl);
+            console.log(`🍪 Saved ${count} cookie(s) to ${this.config.cookiesFile}`);
+        }
+        return true;
+    }
+
+    // A new tab with console recording and our user agent
+    async newMediumPage(browser) {
+        const page = await browser.newPage();
+        recordConsole(page);
+
+        // Set a reasonable user agent
+        await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+        return page;
+    }
+
+    // Opens a tab that is signed into Medium (or throws)
+    async openMediumSession(browser) {
+        const page = await this.newMediumPage(browser);
+
+        console.log('\n🔐 Opening Medium...');
+        if (!await this.ensureSignedIn(page)) {
+            throw new Error('Not signed in to Medium');
+        }
+
+        return page;
+    }
+
+    // The browser and a signed-in tab, launched on first use
+    async open() {
+        if (this.page) return this.page;
+
+        this.browser = await this.launchBrowser();
+        try {
+            this.page = await this.openMediumSession(this.browser);
+        } catch (error) {
+            await this.close();
+            throw error;
+        }
+        return this.page;
+    }
+
+    async close() {
+        const browser = this.browser;
+        if (this.single) {
+            this.runLog.event('run-end', { ms: Date.now() - this.singleStarted, counts: this.single.store.counts(), stopReason: this.single.stopReason });
+        }
+        this.browser = null;
+        this.page = null;
+        this.single = null;
+        if (browser) await browser.close();
+    }
+
+    // ============================================================
+    // MAIN IMPORT FUNCTION
+    // ============================================================
+
+    // `log` is the run log for this URL and attempt (lib/run-log.js)
+    async importToMedium(page, url, index, total, log = this.runLog.child({ url })) {
+        log.info(`\n📝 [${index + 1}/${total}] Importing: ${url}`);
+
+        try {
+            // Go to Medium import page
+            log.info('  Navigating to import page...');
+            let stepDone = log.time('navigate');
+            await page.goto(`${this.config.mediumBaseUrl}/p/import`, {
+                waitUntil: 'networkidle2',
+                timeout: 30000
+            });
+
+            // Check the current URL - sometimes Medium redirects
+            const currentPageUrl = page.url();
+            log.debug(`  Current URL: ${currentPageUrl}`, { pageUrl: currentPageUrl });
+
+            if (isSignInUrl(currentPageUrl)) {
+                log.warn('  🔒 Medium sent us to the sign-in page - the session has expired');
+                return { success: false, url, error: 'signed out of Medium', retryable: true, sessionExpired: true };
+            }
+
+            if (!currentPageUrl.includes('import')) {
+                log.warn('  ⚠️  Redirected away from import page, trying again...', { pageUrl: currentPageUrl });
+                await page.goto(`${this.config.mediumBaseUrl}/p/import`, {
+                    waitUntil: 'domcontentloaded',
+                    timeout: 30000
+                });
+            }
+
+            stepDone();
+
+            // Medium's import field is NOT a standard <input> element!
+            // All the guesses about its markup live in lib/selectors.js
+            stepDone = log.time('find-field');
+            const input = await waitForUrlInput(page, this.config.importPageTimeout);
+            stepDone();
+
+            // Check if the page has the expected content
+            const pageText = await page.evaluate(() => document.body.innerText);
+            log.debug(`  Page contains "Import": ${pageText.includes('Import')}`);
+            log.debug(`  Page contains "Enter a link": ${pageText.includes('Enter a link')}`);
+
+            // If page doesn't have import content, something is wrong
+            if (!pageText.includes('Enter a link') && !pageText.includes('See your story')) {
+                const preview = pageText.substring(0, 200).replace(/\n/g, ' ');
+                log.warn(`  ⚠️  Import page content not found. Page text preview:\n  ${preview}`, { preview });
+            }
+
+            const elementCounts = await countElements(page);
+            log.debug(`  DEBUG - Element counts: ${JSON.stringify(elementCounts)}`, { elementCounts });
+
+            if (!input.element) {
+                const error = new Error('Could not find URL input field');
+                error.tried = input.tried;
+                throw error;
+            }
+            const urlInput = input.element;
+            log.info(`  Found URL field via "${input.strategy}" (selectors ${SELECTOR_VERSION})`, { urlField: input.strategy, selectors: SELECTOR_VERSION });
+
+            // Click to focus
+            stepDone = log.time('enter-url');
+            await urlInput.click();
+            await sleep(500);
+
+            // Verify we focused on the right element
+            const focusedElement = await page.evaluate(() => {
+                const el = document.activeElement;
+                return {
+                    tagName: el.tagName,
+                    role: el.getAttribute('role'),
+                    contentEditable: el.contentEditable
+                };
+            });
+            log.debug(`  DEBUG - Focused element: ${JSON.stringify(focusedElement)}`, { focusedElement });
+
+            // Clear the field, type the URL and read it back -
+            // nothing is submitted unless the field holds exactly this URL
+            await enterUrl(page, urlInput, url);
+
+            stepDone();
+            log.info('  ✓ URL entered');
+
+            // Find and click the Import button
+            await sleep(1000);
+
+            stepDone = log.time('find-button');
+            const button = await findImportButton(page);
+            const importButton = button.element;
+            stepDone();
+
+            if (this.config.dryRun) {
+                const submitWith = importButton ? `Import button ("${button.strategy}")` : 'Enter key (no Import button found)';
+                log.info(`  🧪 Dry run - would submit with the ${submitWith}`);
+                return {
+                    success: Boolean(importButton),
+                    dryRun: true,
+                    url,
+                    urlField: input.strategy,
+                    importButton: button.strategy,
+                    ...(importButton ? {} : { error: 'Import button not found - a live run would press Enter', tried: button.tried })
+                };
+            }
+
+            // Submit, then wait for Medium's answer instead of a fixed sleep
+            stepDone = log.time('submit');
+            const outcome = await waitForImportOutcome(page, async () => {
+                if (importButton) {
+                    await importButton.click();
+                    log.info(`  ✓ Import button clicked (found via "${button.strategy}")`);
+                } else {
+                    // Try pressing Enter
+                    await page.keyboard.press('Enter');
+                    log.info('  ✓ Pressed Enter to submit');
+                }
+            }, { timeout: this.config.importWaitTime });
+            stepDone();
+
+            const seconds = Math.round(outcome.elapsed / 1000);
+            const httpStatus = outcome.response ? outcome.response.status : null;
+            if (outcome.response) {
+                log.info(`  Import request answered HTTP ${outcome.response.status}`, { httpStatus });
+            }
+
+            if (outcome.type === 'editor') {
+                log.info(`  ✓ Import successful after ${seconds}s! Now in editor.`, { editorUrl: outcome.url });
+                await page.waitForFunction(() => document.readyState !== 'loading', { timeout: 10000 }).catch(() => {});
+
+                const story = {
+                    storyId: parseStoryId(outcome.url),
+                    editUrl: outcome.url.split('?')[0],
+                    title: await getDraftTitle(page),
+                    importedAt: new Date().toISOString()
+                };
+                log.info(`  📄 Draft: "${story.title}" → ${story.editUrl}`, { story });
+
+                // The footer goes in before publishing, so readers see it from the start
+                stepDone = log.time('footer');
+                const footer = await this.addDraftFooter(page, url, story.title, log);
+                const extra = footer ? { footer } : {};
+                stepDone();
+
+                if (this.config.autoPublish) {
+                    stepDone = log.time('publish');
+                    const published = await this.publishImportedDraft(page, url, log);
+                    stepDone();
+                    return { success: true, url, story, ...extra, ...published };
+                }
+
+                return { success: true, url, story, ...extra };
+            }
+
+            if (outcome.type === 'error') {
+                log.warn(`  ${outcome.retryable ? '⚠️' : '❌'} Medium error after ${seconds}s: ${outcome.error}${outcome.retryable ? '' : ' (not retryable)'}`);
+                return { success: false, url, error: outcome.error, retryable: outcome.retryable, httpStatus };
+            }
+
+            if (outcome.type === 'redirected' && isSignInUrl(outcome.url)) {
+                log.warn('  🔒 Medium sent us to the sign-in page - the session has expired', { redirectUrl: outcome.url });
+                return { success: false, url, error: 'signed out of Medium', retryable: true, sessionExpired: true, httpStatus };
+            }
+
+            if (outcome.type === 'redirected') {
+                log.warn(`  ⚠️ Left the import page without a draft: ${outcome.url}`, { redirectUrl: outcome.url });
+                // Import was clicked, so Medium may have made the draft anyway -
+                // only retried once the drafts list says it didn't
+                return { success: false, url, error: `redirected to ${outcome.url} instead of the editor`, retryable: true, mayHaveImported: true, httpStatus };
+            }
+
+            log.warn(`  ⚠️ No answer from Medium within ${seconds}s`);
+            return { success: false, url, error: `no result within ${seconds}s - timeout`, retryable: true, httpStatus };
+
+        } catch (error) {
+            log.error(`  ❌ Error: ${error.message}`, { stack: error.stack });
+            return { success: false, url, error: error.message, retryable: true, tried: error.tried };
+        }
+    }
+
+    // Publishing is a separate step - if it fails the import still counts,
+    // and the draft is left for you to publish by hand
+    async publishImportedDraft(page, url, log = this.runLog.child({ url })) {
+        let tags = [];
+        if (this.config.publishTags) {
+            try {
+                tags = await fetchPostTerms(url);
+            } catch (error) {
+                log.warn(`  ⚠️ Could not read WordPress tags (${error.message}), publishing without topics`);
+            }
+        }
+
+        try {
+            const published = await publishDraft(page, {
+                tags,
+                publication: this.config.publication,
+                visibility: this.config.visibility
+            }, log);
+            log.info(`  ✓ Published: ${published.publishedUrl}`, { publishedUrl: published.publishedUrl });
+            return { publishedUrl: published.publishedUrl, tags: published.tags };
+        } catch (error) {
+            log.warn(`  ⚠️ Publish failed, left as draft: ${error.message}`);
+            return { publishError: error.message };
+        }
+    }
+
+    // ============================================================
+    // FOOTER
+    // ============================================================
+
+    wantsFooter() {
+        return Boolean(this.config.draftFooter || this.config.footerCallToAction || this.config.seriesFile);
+    }
+
+    // Series links point at the part's Medium story once it's published,
+    // and at the original post until then
+    linkFor(url) {
+        const key = dedupeKey(url);
+        const found = this.store && this.store.entries().find(([source]) => dedupeKey(source) === key);
+        const published = found && found[1].published;
+        return published && published.publishedUrl ? published.publishedUrl : url;
+    }
+
+    /**
+     * Adds the footer (CONFIG.draftFooter, footerCallToAction and
+     * series links) to the draft open in the editor. Returns
+     * { status: 'added' | 'already there' | 'failed', text, error, at },
+     * or null if no footer is set up. Never throws - a missing
+     * footer doesn't make the import fail.
+     */
+    async addDraftFooter(page, url, title, log = this.runLog.child({ url })) {
+        if (!this.wantsFooter()) return null;
+
+        try {
+            if (!this.series) this.series = loadSeries(this.config.seriesFile);
+
+            // A .txt or Markdown list has no titles or dates - the draft's title stands
+            const entry = this.posts.get(dedupeKey(url)) || {};
+            const post = { url, title: entry.title || title, date: entry.date || null };
+            const templates = `${this.config.draftFooter || ''}${this.config.footerCallToAction || ''}`;
+            if (!post.date && templates.includes('{date}')) {
+                post.date = (await findPostDate(url)).date;
+            }
+
+            const footer = buildFooter(post, {
+                template: this.config.draftFooter,
+                callToAction: this.config.footerCallToAction,
+                series: this.series,
+                linkFor: other => this.linkFor(other)
+            });
+            if (!footer) return null;
+
+            const status = await addFooter(page, footer);
+            log.info(status === 'added' ? `  🖋️  Footer added: "${footer.marker}..."` : '  🖋️  Footer already there', { footer: status });
+            return { status, text: footer.text, at: new Date().toISOString() };
+        } catch (error) {
+            log.warn(`  ⚠️ Could not add the footer, draft left without it: ${error.message}`);
+            return { status: 'failed', error: error.message, at: new Date().toISOString() };
+        }
+    }
+
+    // ============================================================
+    // DUPLICATES
+    // ============================================================
+
+    // Reads the account's drafts and published lists into the story index
+    async openStoryIndex(page) {
+        const index = createStoryIndex(this.config.storyIndexFile);
+        console.log('\n📚 Indexing your Medium stories (to avoid duplicate drafts)...');
+        const total = await index.refresh(page, this.config.mediumBaseUrl);
+        index.save();
+        console.log(`   ${total} stor${total === 1 ? 'y' : 'ies'} indexed in ${this.config.storyIndexFile}`);
+        return index;
+    }
+
+    // Returns true if `url` is already on Medium and shouldn't be submitted
+    async handleDuplicate(index, store, url, i, total) {
+        const existing = await index.match(url);
+        if (!existing) return false;
+
+        const { story, matchedBy } = existing;
+        const where = story.editUrl || story.publishedUrl;
+        console.log(`\n⚠️  [${i + 1}/${total}] Already on Medium (matched by ${matchedBy}): ${url}`);
+        console.log(`   → "${story.title}" ${where}`);
+
+        // --yes must not mean "import everything twice": unattended runs skip,
+        // only someone answering the question can choose a second copy
+        if (this.config.duplicateCheck === 'flag') {
+            if (this.options.yes) {
+                console.log('   (--yes: not importing it again)');
+            } else if (await this.ask('   Import it again anyway? (y/n): ')) {
+                return false;
+            }
+        }
+
+        // The draft exists, so the post counts as imported - this also
+        // recovers runs that crashed before saving their progress
+        store.markInProgress(url);
+        store.markImported(url, indexedStory(story, this.config.mediumBaseUrl, matchedBy));
+        store.save();
+        console.log('   ⏭️  Skipped - recorded as imported');
+        return true;
+    }
+
+    // ============================================================
+    // ONE URL
+    // ============================================================
+
+    // Shared state of one run: the store, pacing and how to sign in
+    // again. Workers replace beforeAttempt, coolDown and signIn.
+    createRun(store, index, retryEarlierFailures) {
+        // Caps count every attempt in the progress file, not just this run's
+        const pacer = createPacer(
+            this.config,
+            store.entries().flatMap(([, item]) => item.attempts.map(attempt => attempt.at)),
+            ms => this.control.wait(ms)
+        );
+        return {
+            store,
+            index,
+            pacer,
+            retryEarlierFailures,
+            importTimes: [],  // ms per attempt, for the dashboard's ETA
+            cooldowns: 0,
+            stopReason: null,
+            beforeAttempt: () => pacer.waitForCapacity(),
+            coolDown: () => pacer.coolDown(),
+            signIn: page => this.ensureSignedIn(page)
+        };
+    }
+
+    // Decides whether `url` is imported in this run and, if so, marks it
+    // in-progress. Workers call this under the queue lock.
+    async claimUrl(url, i, total, run) {
+        const { store } = run;
+
+        // Skip anything already imported, verified or skipped
+        if (store.isDone(url)) {
+            console.log(`⏭️  [${i + 1}/${total}] Skipping (${store.state(url)}): ${url}`);
+            return false;
+        }
+
+        if (store.state(url) === 'in-progress') {
+            return false;  // Another worker has it
+        }
+
+        if (this.control.isSkipped(url)) {
+            store.markSkipped(url);
+            store.save();
+            console.log(`⏭️  [${i + 1}/${total}] Skipping (asked to): ${url}`);
+            return false;
+        }
+
+        // Medium said it cannot be imported - that's for the fallback command or a reset
+        if (store.state(url) === 'failed-permanent') {
+            console.log(`⏭️  [${i + 1}/${total}] Skipping (Medium can't import it - see the fallback command): ${url}`);
+            return false;
+        }
+
+        if (!run.retryEarlierFailures && store.state(url) === 'failed-retryable') {
+            console.log(`⏭️  [${i + 1}/${total}] Skipping (failed before): ${url}`);
+            return false;
+        }
+
+        if (run.index && await this.handleDuplicate(run.index, store, url, i, total)) {
+            return false;
+        }
+
+        store.markInProgress(url);
+        store.save();
+        return true;
+    }
+
+    // Imports one URL with retries, backoff and re-sign-in.
+    // Returns { result, attempts }, or null when the whole run has to
+    // stop (run.stopReason says why). A URL skipped from the dashboard
+    // returns a result with skipped: true.
+    async importWithRetries(page, url, i, total, run) {
+        this.active.set(url, { url, n: i + 1, total, attempt: 0, since: Date.now(), page });
+        try {
+            return await this.attemptImport(page, url, i, total, run);
+        } finally {
+            this.active.delete(url);
+        }
+    }
+
+    async attemptImport(page, url, i, total, run) {
+        const { store, pacer } = run;
+
+        // Throttled attempts don't count as retries - the pacer slows down
+        // or pauses the queue instead
+        let result = null;
+        let attempts = 0;
+        let throttled = 0;
+        let tries = 0;
+        let signIns = 0;
+
+        const skipped = () => ({ success: false, url, skipped: true, error: 'Skipped on request' });
+
+        while (attempts <= this.config.maxRetries) {
+            if (run.stopReason) return null;
+            await this.control.whilePaused();
+            if (this.control.isSkipped(url)) return { result: skipped(), attempts: tries };
+            await run.beforeAttempt();
+
+            await this.dispatch('beforeImport', { url, index: i, total, attempt: ++tries });
+            Object.assign(this.active.get(url), { attempt: tries, since: Date.now() });
+            const log = this.runLog.child({ url, attempt: tries });
+            const started = Date.now();
+            result = await this.importToMedium(page, url, i, total, log);
+            run.importTimes.push(Date.now() - started);
+            if (!result.success) {
+                result.debugBundle = await saveDebugBundle(page, url, this.config.debugDir, result);
+                log.info(`  🧰 Debug bundle saved: ${result.debugBundle}`, { debugBundle: result.debugBundle });
+            }
+            if (result.mayHaveImported) {
+                result = await this.findCreatedDraft(page, run.index, url, result, log);
+            }
+            store.recordAttempt(url, result);
+            log.event('attempt', {
+                ok: result.success,
+                error: result.error || null,
+                httpStatus: result.httpStatus || null,
+                ms: Date.now() - started,
+                steps: log.steps
+            });
+
+            // Signed out mid-run: sign in again and retry, instead of
+            // failing this URL and every one after it
+            if (result.sessionExpired) {
+                store.save();
+                if (signIns >= MAX_SIGN_INS_PER_URL) {
+                    run.stopReason = 'Medium keeps sending us to the sign-in page although the session looks signed in - ' +
+                        'sign in again by hand (or refresh the cookie file) and run again.';
+                    return null;
+                }
+                signIns++;
+                if (!await run.signIn(page)) {
+                    run.stopReason = 'Signed out of Medium - sign in again (or refresh the cookie file) and run again.';
+                    return null;
+                }
+                log.event('retry', { reason: 'signed-out' });
+                await this.dispatch('retry', { url, attempt: tries, reason: 'signed-out', error: result.error });
+                continue;
+            }
+
+            const pace = pacer.record(result);
+
+            if (result.success) {
+                break;  // Success, no need to retry
+            }
+
+            if (pace === 'cooldown') {
+                if (run.cooldowns >= this.config.maxCooldowns) {
+                    run.stopReason = `Still throttled after ${this.config.maxCooldowns} pause(s) - stopping. Run again later to continue.`;
+                    return null;
+                }
+                run.cooldowns++;
+                throttled = 0;
+                store.save();
+                await run.coolDown();
+                log.event('retry', { reason: 'throttled' });
+                await this.dispatch('retry', { url, attempt: tries, reason: 'throttled', error: result.error });
+                continue;
+            }
+
+            if (pace === 'throttled') {
+                throttled++;
+                console.log(`  🐢 Throttled by Medium (${throttled} in a row) - slowing down to ${Math.round(pacer.currentDelay() / 1000)} seconds between imports`);
+                await pacer.waitBeforeRetry(throttled);
+                log.event('retry', { reason: 'throttled' });
+                await this.dispatch('retry', { url, attempt: tries, reason: 'throttled', error: result.error });
+                continue;
+            }
+
+            // Medium may have made the draft - another try could make a second one
+            if (result.unverified) {
+                log.warn('  ⛔ Not retrying until your drafts have been checked');
+                break;
+            }
+
+            // Check if error is marked as non-retryable
+            if (!result.retryable) {
+                console.log('  ⛔ Error is not retryable, skipping...');
+                break;
+            }
+
+            attempts++;
+            if (attempts <= this.config.maxRetries) {
+                console.log(`  🔄 Retry attempt ${attempts}/${this.config.maxRetries}...`);
+                await pacer.waitBeforeRetry(attempts);
+                log.event('retry', { reason: 'error' });
+                await this.dispatch('retry', { url, attempt: tries, reason: 'error', error: result.error });
+            }
+        }
+
+        // Asked to skip while the last attempt was running
+        if (!result.success && this.control.isSkipped(url)) {
+            return { result: skipped(), attempts: tries };
+        }
+        return { result, attempts: Math.min(attempts, this.config.maxRetries) + 1 };
+    }
+
+    // After Medium left the import page without a draft: a fresh look at
+    // the drafts list. Returns a success result if the draft is there,
+    // `result` if it isn't, and `result` marked unverified if the list
+    // couldn't be read (no story index with duplicateCheck 'off') - that
+    // stays failed-retryable, but isn't retried in this run.
+    async findCreatedDraft(page, index, url, result, log) {
+        const unverified = reason => {
+            log.warn(`  ⚠️ ${reason} - Medium may have made the draft, check your drafts before retrying`);
+            return { ...result, unverified: true, error: `${result.error} (unverified - the draft may exist)` };
+        };
+        if (!index) return unverified('No story index to check (duplicateCheck is off)');
+
+        log.info('  🔎 Checking your drafts before trying again...');
+        try {
+            await index.refresh(page, this.config.mediumBaseUrl);
+            index.save();
+            const existing = await index.match(url);
+            if (!existing) {
+                log.info('  No draft for it - safe to retry');
+                return result;
+            }
+
+            const { story, matchedBy } = existing;
+            log.info(`  ✓ Medium made the draft after all: "${story.title}" ${story.editUrl || story.publishedUrl}`, { storyId: story.id });
+            return {
+                success: true,
+                url,
+                story: indexedStory(story, this.config.mediumBaseUrl, matchedBy, new Date().toISOString())
+            };
+        } catch (error) {
+            return unverified(`Could not check the drafts (${error.message})`);
+        }
+    }
+
+    // Stores the final result of one URL and saves the progress file
+    async recordResult(url, { result, attempts }, run) {
+        const { store, index } = run;
+
+        const log = this.runLog.child({ url });
+
+        if (result.skipped) {
+            store.markSkipped(url);
+            store.save();
+            log.event('result', { state: 'skipped', attempts });
+            console.log('  ⏭️  Skipped on request');
+            return;
+        }
+
+        if (result.success) {
+            store.markImported(url, result.story);
+            if (result.footer) store.setFooter(url, result.footer);
+            if (index && result.story && result.story.storyId) {
+                index.add({ id: result.story.storyId, title: result.story.title, status: 'draft', editUrl: result.story.editUrl, canonicalUrl: url });
+                index.save();
+            }
+            console.log(`  ✅ Success! (${store.urls('imported', 'verified').length} total imported)`);
+
+            if (result.publishedUrl || result.publishError) {
+                store.setPublished(url, {
+                    publishedUrl: result.publishedUrl || null,
+                    tags: result.tags || [],
+                    publication: this.config.publication,
+                    visibility: this.config.visibility,
+                    error: result.publishError || null
+                });
+            }
+        } else {
+            store.markFailed(url, result.error, result.retryable);
+            console.log(`  ❌ Failed after ${attempts} attempt(s) (${store.state(url)})`);
+        }
+
+        // Save progress after each import
+        store.save();
+        log.event('result', { state: store.state(url), attempts, editUrl: result.story ? result.story.editUrl : null });
+        await this.dispatch(result.success ? 'imported' : 'failed', { url, result, attempts });
+    }
+
+    /**
+     * Imports a single URL with the same retries, pacing and progress
+     * records as run(). Opens the browser on first use - call close()
+     * when done. Returns the final result, or { success, url, skipped }
+     * if the progress file (or Medium) already has it.
+     */
+    async importOne(url) {
+        const page = await this.open();
+        if (!this.single) {
+            this.startRunLog({ importOne: true });
+            this.singleStarted = Date.now();
+            this.store = this.openProgressStore();
+            const index = this.config.duplicateCheck === 'off' ? null : await this.openStoryIndex(page);
+            this.single = this.createRun(this.store, index, true);
+        }
+
+        const run = this.single;
+        const { store } = run;
+        const releaseLock = lockFile(this.config.progressFile);
+        try {
+            if (!await this.claimUrl(url, 0, 1, run)) {
+                const state = store.state(url);
+                return { success: ['imported', 'verified'].includes(state), url, skipped: state };
+            }
+
+            const outcome = await this.importWithRetries(page, url, 0, 1, run);
+            if (!outcome) {
+                store.markPending(url);
+                store.save();
+                throw new Error(run.stopReason);
+            }
+
+            await this.recordResult(url, outcome, run);
+            return outcome.result;
+        } finally {
+            releaseLock();
+        }
+    }
+
+    // ============================================================
+    // WORKER POOL
+    // ============================================================
+
+    // CONFIG.workers tabs pulling from one queue (see lib/worker-pool.js)
+    async runWorkerPool(browser, firstPage, urls, startIndex, run) {
+        const { store } = run;
+        const signInLock = createLock();
+        const gate = createRateGate(run.pacer, this.config.cooldownMinutes * 60000, ms => this.control.wait(ms));
+        Object.assign(run, {
+            beforeAttempt: gate.beforeAttempt,
+            coolDown: gate.coolDown,
+            // One sign-in prompt at a time, and only if still needed
+            signIn: page => signInLock.run(async () => (await checkSession(page, this.config.mediumBaseUrl)).loggedIn || this.ensureSignedIn(page))
+        });
+
+        const items = urls.map((url, i) => ({ url, i })).slice(startIndex);
+        const queue = createWorkQueue(items, item => this.claimUrl(item.url, item.i, urls.length, run));
+        const active = new Map();
+        const started = Date.now();
+        let finished = 0;
+
+        const statusLine = () => {
+            const counts = store.counts();
+            const perUrl = finished ? (Date.now() - started) / finished : 0;
+            const left = queue.remaining() + active.size;
+            const eta = perUrl && left ? ` · ETA ${Math.round(perUrl * left / 60000)} min` : '';
+            return `📊 ${counts.imported + counts.verified} imported · ${counts['failed-retryable'] + counts['failed-permanent']} failed · ` +
+                `${active.size} working · ${queue.remaining()} queued${eta}`;
+        };
+
+        console.log(`👷 ${this.config.workers} workers, ${Math.round(run.pacer.currentDelay() / 1000)} seconds between imports across all of them\n`);
+        const output = installWorkerConsole(statusLine);
+
+        const worker = async (n, page) => {
+            for (;;) {
+                if (run.stopReason) return;
+                const item = await queue.take();
+                if (!item) return;
+
+                active.set(n, item.url);
+                const outcome = await this.importWithRetries(page, item.url, item.i, urls.length, run);
+                active.delete(n);
+
+                if (!outcome) {
+                    store.markPending(item.url);
+                    store.save();
+                    return;
+                }
+
+                await this.recordResult(item.url, outcome, run);
+                finished++;
+                output.refresh();
+
+                if (!outcome.result.success && !outcome.result.skipped && !this.config.continueOnError) {
+                    run.stopReason = 'Stopping due to error (continueOnError is false)';
+                    return;
+                }
+            }
+        };
+
+        try {
+            const pages = [firstPage];
+            for (let n = 1; n < this.config.workers; n++) {
+                pages.push(await this.newMediumPage(browser));
+            }
+            await Promise.all(pages.map((page, n) => runAsWorker(`[w${n + 1}]`, () => worker(n, page))));
+        } finally {
+            output.restore();
+        }
+
+        if (run.stopReason) {
+            console.log(`\n🛑 ${run.stopReason}`);
+        }
+    }
+
+    // ============================================================
+    // WHOLE RUN
+    // ============================================================
+
+    /**
+     * Imports the whole queue. options.urls imports only these
+     * (used by retry-failed) and skips the resume prompt.
+     *
+     * Returns { counts, stopReason }, or null if nothing was started.
+     */
+    async run(options = {}) {
+        if (!VISIBILITIES.includes(this.config.visibility)) {
+            console.log(`❌ visibility must be one of: ${VISIBILITIES.join(', ')}`);
+            return null;
+        }
+
+        if (!DUPLICATE_CHECKS.includes(this.config.duplicateCheck)) {
+            console.log(`❌ duplicateCheck must be one of: ${DUPLICATE_CHECKS.join(', ')}`);
+            return null;
+        }
+
+        if (!LEVELS.includes(this.config.logLevel)) {
+            console.log(`❌ logLevel must be one of: ${LEVELS.join(', ')}`);
+            return null;
+        }
+
+        // A broken series file should stop the run before it starts
+        if (this.config.seriesFile) {
+            this.series = loadSeries(this.config.seriesFile);
+        }
+
+        // Load URLs
+        const retryOnly = Array.isArray(options.urls);
+        const listed = await this.loadSources(retryOnly ? options.urls : this.config.urlsFile);
+        let urls = listed.map(entry => entry.url);
+
+        if (urls.length === 0) {
+            console.log('❌ No URLs found in the file.');
+            return null;
+        }
+
+        // Put the queue in chronological order before anything is imported
+        if (this.config.sortByDate) {
+            const entries = sortOldestFirst(await resolvePostDates(urls, {
+                datesFile: this.config.datesFile,
+                cacheFile: this.config.dateCacheFile,
+                knownPosts: listed
+            }));
+            printImportPlan(entries);
+
+            // Footers use the same dates
+            entries.filter(entry => entry.date).forEach(entry => {
+                const post = this.posts.get(dedupeKey(entry.url));
+                if (post && !post.date) post.date = entry.date;
+            });
+
+            if (!await this.ask('\n📋 Import in this order? (y/n): ')) {
+                console.log('👋 Stopped before importing. Fix the dates or set sortByDate: false.');
+                return null;
+            }
+            urls = entries.map(entry => entry.url);
+        }
+
+        // Load progress
+        const store = this.openProgressStore();
+        this.store = store;
+
+        // Progress from before URLs were normalized is kept under the URL as it was written
+        const known = new Map(store.urls().map(url => [dedupeKey(url), url]));
+        urls = urls.map(url => (store.get(url) ? url : known.get(dedupeKey(url)) || url));
+
+        // "in-progress" on startup means the last run stopped mid-import
+        store.urls('in-progress').forEach(url => {
+            console.log(`⚠️  Last run stopped while importing ${url}`);
+            console.log('   Check your Medium drafts for it before it is imported again.');
+            store.markPending(url);
+        });
+
+        // Determine starting point
+        const startIndex = retryOnly ? 0 : this.config.startFromIndex;
+        const failedBefore = urls.filter(url => store.state(url) === 'failed-retryable');
+        const refused = urls.filter(url => store.state(url) === 'failed-permanent').length;
+        if (refused > 0) {
+            console.log(`\n⛔ Leaving out ${refused} URL(s) Medium said cannot be imported (see the fallback command).`);
+        }
+        let retryEarlierFailures = true;
+        if (!retryOnly && failedBefore.length > 0) {
+            const done = urls.filter(url => store.isDone(url)).length;
+            retryEarlierFailures = await this.ask(
+                `\n📌 Found progress: ${done} done, ${failedBefore.length} failed (retryable).\n` +
+                `   Retry those in this run too? (y/n): `
+            );
+        }
+
+        console.log(`\n📊 Total URLs: ${urls.length}`);
+        console.log(`📍 Starting from: #${startIndex + 1}`);
+        console.log(`⏱️ Delay between imports: ${this.config.delayBetweenImports / 1000} seconds (adapts to Medium's responses)`);
+        console.log(`📝 Auto-publish: ${this.config.autoPublish
+            ? `Yes (${this.config.visibility}${this.config.publication ? `, to "${this.config.publication}"` : ''})`
+            : 'No (saved as drafts)'}`);
+        console.log(`📅 Date preservation: Yes (Medium reads original dates from WordPress)`);
+        console.log(`🔢 Import order: ${this.config.sortByDate ? 'Oldest first → Newest last (by publish date)' : 'File order'}`);
+        if (this.config.dryRun) {
+            console.log('🧪 DRY RUN: nothing will be submitted and the progress file stays as it is');
+        }
+
+        const runStarted = Date.now();
+        this.startRunLog({ urls: urls.length, startIndex });
+
+        const page = await this.open();
+        const browser = this.browser;
+
+        // Whatever goes wrong from here on, don't leave Chrome (and its
+        // profile lock) behind - a batch moves on to the next job
+        try {
+            const index = this.config.duplicateCheck === 'off' ? null : await this.openStoryIndex(page);
+
+            if (this.config.dryRun) {
+                await this.dryRunImports(page, urls, { startIndex, store, retryEarlierFailures, index });
+                await this.finish();
+                const outcome = { counts: store.counts(), stopReason: 'dry run' };
+                this.runLog.event('run-end', { ms: Date.now() - runStarted, ...outcome });
+                await this.dispatch('done', outcome);
+                return outcome;
+            }
+
+            console.log('\n🚀 Starting import process...');
+            console.log('   Press Ctrl+C at any time to stop (progress is saved)\n');
+
+            const run = this.createRun(store, index, retryEarlierFailures);
+
+            // No other importer process may work on this progress file meanwhile
+            const releaseLock = lockFile(this.config.progressFile);
+
+            this.currentRun = run;
+            this.queue = urls.map((url, i) => ({ url, n: i + 1 })).slice(startIndex);
+            const dashboard = await this.startDashboard();
+
+            try {
+                if (this.config.workers > 1) {
+                    await this.runWorkerPool(browser, page, urls, startIndex, run);
+                } else {
+                    // Import each URL
+                    for (let i = startIndex; i < urls.length; i++) {
+                        const url = urls[i];
+                        if (!await this.claimUrl(url, i, urls.length, run)) {
+                            continue;
+                        }
+
+                        const outcome = await this.importWithRetries(page, url, i, urls.length, run);
+                        if (!outcome) {
+                            store.markPending(url);
+                            store.save();
+                            console.log(`\n🛑 ${run.stopReason}`);
+                            break;
+                        }
+
+                        await this.recordResult(url, outcome, run);
+                        if (!outcome.result.success && !outcome.result.skipped && !this.config.continueOnError) {
+                            console.log('\n❌ Stopping due to error (continueOnError is false)');
+                            break;
+                        }
+
+                        // Delay before next import
+                        if (i < urls.length - 1) {
+                            await run.pacer.waitBetweenImports();
+                        }
+                    }
+                }
+            } finally {
+                releaseLock();
+                if (dashboard) await dashboard.close();
+                this.currentRun = null;
+            }
+
+            // Final summary
+            const counts = store.counts();
+            const failedEntries = store.entries(...FAILED_STATES);
+
+            console.log('\n' + '='.repeat(60));
+            console.log('📊 IMPORT COMPLETE - SUMMARY');
+            console.log('='.repeat(60));
+            console.log(`✅ Successfully imported: ${counts.imported + counts.verified}`);
+            if (this.config.autoPublish) {
+                const published = store.entries().filter(([, item]) => item.published && item.published.publishedUrl);
+                console.log(`📤 Published: ${published.length}`);
+            }
+            console.log(`❌ Failed: ${failedEntries.length} (${counts['failed-permanent']} permanent)`);
+            console.log(`📁 Total URLs: ${urls.length}`);
+
+            if (failedEntries.length > 0) {
+                console.log('\n❌ Failed URLs:');
+                failedEntries.forEach(([url, item], i) => {
+                    console.log(`   ${i + 1}. ${url}`);
+                    console.log(`      Error: ${store.lastError(url)} (${item.state}, ${item.attempts.length} attempt(s))`);
+                });
+            }
+
+            // Save final progress
+            store.save();
+            console.log(`\n💾 Progress saved to ${this.config.progressFile}`);
+
+            await this.finish();
+            console.log('\n👋 Done! Check your Medium drafts to review imported posts.');
+
+            const outcome = { counts, stopReason: run.stopReason };
+            this.runLog.event('run-end', { ms: Date.now() - runStarted, ...outcome });
+            await this.dispatch('done', outcome);
+            return outcome;
+        } catch (error) {
+            await this.close();
+            throw error;
+        }
+    }
+
+    // A new run ID and, with CONFIG.logDir, a log file for it
+    startRunLog(fields = {}) {
+        this.runLog = createRunLog({ dir: this.config.logDir, level: this.config.logLevel });
+        this.runLog.event('run-start', {
+            settings: {
+                urlsFile: this.config.urlsFile,
+                mediumBaseUrl: this.config.mediumBaseUrl,
+                selectors: SELECTOR_VERSION,
+                dryRun: this.config.dryRun,
+                workers: this.config.workers,
+                delayBetweenImports: this.config.delayBetweenImports,
+                maxRetries: this.config.maxRetries,
+                autoPublish: this.config.autoPublish
+            },
+            ...fields
+        });
+        if (this.runLog.file) {
+            console.log(`🗒️  Run ${this.runLog.runId} - log: ${this.runLog.file}`);
+        }
+    }
+
+    // CONFIG.dashboardPort: serves lib/dashboard.js while the queue runs
+    async startDashboard() {
+        if (!this.config.dashboardPort) return null;
+
+        const dashboard = createDashboard(this);
+        try {
+            console.log(`🖥️  Dashboard: ${await dashboard.listen(Number(this.config.dashboardPort))}\n`);
+            return dashboard;
+        } catch (error) {
+            console.log(`⚠️  Could not start the dashboard on port ${this.config.dashboardPort}: ${error.message}\n`);
+            return null;
+        }
+    }
+
+    // Closes the browser if options.closeBrowser is set or you say so
+    async finish() {
+        if (this.options.closeBrowser || await this.ask('\n🔚 Close browser? (y/n): ')) {
+            await this.close();
+        } else {
+            console.log('Browser left open. Close it manually when done.');
+        }
+    }
+
+    // Goes through the queue like a real run but stops before Import is
+    // clicked, then says per URL whether the live submit would have worked.
+    // Nothing is recorded in the progress store.
+    async dryRunImports(page, urls, { startIndex, store, retryEarlierFailures, index }) {
+        console.log('\n🧪 Starting dry run...\n');
+        const results = [];
+
+        for (let i = startIndex; i < urls.length; i++) {
+            const url = urls[i];
+
+            if (store.isDone(url) || store.state(url) === 'failed-permanent'
+                || (!retryEarlierFailures && store.state(url) === 'failed-retryable')) {
+                console.log(`⏭️  [${i + 1}/${urls.length}] Would skip (${store.state(url)}): ${url}`);
+                results.push({ url, skipped: store.state(url) });
+                continue;
+            }
+
+            const existing = index && await index.match(url);
+            if (existing) {
+                console.log(`⏭️  [${i + 1}/${urls.length}] Already on Medium (${existing.matchedBy}): ${url}`);
+                console.log(`   → ${existing.story.editUrl || existing.story.publishedUrl}`);
+                results.push({ url, skipped: 'already on Medium' });
+                continue;
+            }
+
+            const log = this.runLog.child({ url, attempt: 1 });
+            const started = Date.now();
+            const result = await this.importToMedium(page, url, i, urls.length, log);
+            if (!result.success) {
+                result.debugBundle = await saveDebugBundle(page, url, this.config.debugDir, result);
+                log.info(`  🧰 Debug bundle saved: ${result.debugBundle}`, { debugBundle: result.debugBundle });
+            }
+            log.event('attempt', { ok: result.success, error: result.error || null, ms: Date.now() - started, steps: log.steps });
+            results.push(result);
+
+            if (result.sessionExpired && !await this.ensureSignedIn(page)) {
+                console.log('\n🛑 Signed out of Medium - stopping the dry run.');
+                break;
+            }
+        }
+
+        const ready = results.filter(result => result.success);
+        const problems = results.filter(result => !result.skipped && !result.success);
+
+        console.log('\n' + '='.repeat(60));
+        console.log('🧪 DRY RUN - SUMMARY');
+        console.log('='.repeat(60));
+        console.log(`✅ Would submit: ${ready.length}`);
+        console.log(`❌ Would fail: ${problems.length}`);
+        console.log(`⏭️  Would skip: ${results.length - ready.length - problems.length}`);
+
+        if (problems.length > 0) {
+            console.log('\n❌ Problems:');
+            problems.forEach((result, i) => {
+                console.log(`   ${i + 1}. ${result.url}`);
+                console.log(`      ${result.error}`);
+            });
+        }
+        if (ready.length > 0) {
+            const fields = [...new Set(ready.map(result => `field "${result.urlField}", button "${result.importButton}"`))];
+            console.log(`\n🔎 Selectors used (${SELECTOR_VERSION}): ${fields.join('; ')}`);
+        }
+        console.log('\nNothing was submitted to Medium.');
+
+        return results;
+    }
+}
+
+module.exports = {
+    EVENTS,
+    Importer
+};
@@ -0,0 +1,63 @@
+/**
+ * ============================================================
+ * WordPress → Medium mapping export
+ * ============================================================
+ *
+ * Pairs every imported WordPress URL with the Medium story it
+ * became, using the story details saved in the progress store.
+ * Used for redirects, auditing and follow-up edits to drafts.
+ *
+ * Writes <base>.json and <base>.csv (CONFIG.mappingFile).
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+
+const COLUMNS = ['wordpressUrl', 'mediumStoryId', 'mediumEditUrl', 'mediumPublishedUrl', 'title', 'importedAt'];
+
+// Medium's editor lives at /p/<storyId>/edit
+function parseStoryId(mediumUrl) {
+    const match = String(mediumUrl || '').match(/\/p\/([0-9a-f]+)\/edit/i);
+    return match ? match[1] : null;
+}
+
+function buildMapping(store) {
+    return store.entries()
+        .filter(([, item]) => item.story)
+        .map(([url, item]) => ({
+            wordpressUrl: url,
+            mediumStoryId: item.story.storyId,
+            mediumEditUrl: item.story.editUrl,
+            mediumPublishedUrl: (item.published && item.published.publishedUrl) || null,
+            title: item.story.title,
+            importedAt: item.story.importedAt
+        }));
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    const lines = [COLUMNS.join(',')];
+    rows.forEach(row => lines.push(COLUMNS.map(column => csvCell(row[column])).join(',')));
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes the mapping as <baseName>.json and <baseName>.csv.
+ * Returns { rows, files }.
+ */
+function exportMapping(store, baseName) {
+    const rows = buildMapping(store);
+    const files = [`${baseName}.json`, `${baseName}.csv`];
+
+    fs.writeFileSync(files[0], JSON.stringify(rows, null, 2));
+    fs.writeFileSync(files[1], toCsv(rows));
+
+    return { rows, files };
+}
+
+module.exports = { parseStoryId, buildMapping, toCsv, exportMapping };
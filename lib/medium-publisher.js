@@ -0,0 +1,144 @@
+/**
+ * ============================================================
+ * Medium publisher - turns an imported draft into a story
+ * ============================================================
+ *
+ * Runs on the draft editor (/p/<id>/edit) right after a
+ * successful import when CONFIG.autoPublish is true:
+ *
+ * 1. Clicks "Publish" to open the publish dialog
+ * 2. Adds up to 5 topics (Medium's name for tags)
+ * 3. Optionally switches "Publishing to" to a publication
+ * 4. Picks public or unlisted visibility
+ * 5. Clicks "Publish now" and returns the story's URL
+ *
+ * Anything it can't find throws BEFORE the final click, so a
+ * post never goes out with the wrong visibility or publication.
+ *
+ * Progress goes to the run log the importer passes in, so it
+ * lands in the JSON-lines log and follows --log-level.
+ *
+ * ============================================================
+ */
+
+const { createRunLog } = require('./run-log');
+
+const MAX_TAGS = 5;
+const VISIBILITIES = ['public', 'unlisted'];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Finds the first visible element matching `selector` whose text
+// (or aria-label) contains one of `labels`, case-insensitive
+async function findByText(page, selector, labels) {
+    const handle = await page.evaluateHandle((selector, labels) => {
+        const wanted = labels.map(label => label.toLowerCase());
+        for (const el of document.querySelectorAll(selector)) {
+            const text = `${el.textContent || ''} ${el.getAttribute('aria-label') || ''}`.toLowerCase();
+            const rect = el.getBoundingClientRect();
+            if (rect.width > 0 && rect.height > 0 && wanted.some(label => text.includes(label))) {
+                return el;
+            }
+        }
+        return null;
+    }, selector, labels);
+
+    const element = handle.asElement();
+    if (!element) await handle.dispose();
+    return element;
+}
+
+async function clickByText(page, selector, labels, description) {
+    const element = await findByText(page, selector, labels);
+    if (!element) {
+        throw new Error(`Could not find ${description}`);
+    }
+    await element.click();
+    await sleep(1000);
+}
+
+async function addTags(page, tags) {
+    const input = await page.$('[data-testid="publishTopicsInput"], input[placeholder*="topic" i], [contenteditable="true"][data-placeholder*="topic" i]');
+    if (!input) {
+        throw new Error('Could not find the topics field in the publish dialog');
+    }
+
+    for (const tag of tags) {
+        await input.click();
+        await page.keyboard.type(tag, { delay: 30 });
+        await page.keyboard.press('Enter');
+        await sleep(500);
+    }
+}
+
+async function choosePublication(page, publication) {
+    await clickByText(page, 'button, [role="button"], a', ['publishing to', 'change publication'], 'the "Publishing to" control');
+    await clickByText(page, '[role="option"], [role="menuitem"], li, button, label', [publication], `publication "${publication}"`);
+}
+
+async function chooseUnlisted(page) {
+    const option = await findByText(page, 'label, [role="radio"], [role="checkbox"], [role="option"], button', ['unlisted']);
+    if (!option) {
+        throw new Error('Could not find the "Unlisted" option in the publish dialog');
+    }
+    await option.click();
+    await sleep(500);
+}
+
+/**
+ * Publishes the draft currently open in `page`.
+ *
+ * settings.tags        - topic names; only the first 5 are used
+ * settings.publication - publication name, or null for your profile
+ * settings.visibility  - 'public' or 'unlisted'
+ * settings.timeout     - ms to wait for the story page after publishing
+ * log                  - the run log for this URL (lib/run-log.js)
+ *
+ * Returns { publishedUrl, tags }.
+ */
+async function publishDraft(page, settings = {}, log = createRunLog()) {
+    const tags = (settings.tags || []).slice(0, MAX_TAGS);
+    const visibility = settings.visibility || 'public';
+    if (!VISIBILITIES.includes(visibility)) {
+        throw new Error(`Unknown visibility "${visibility}". Use one of: ${VISIBILITIES.join(', ')}`);
+    }
+
+    log.info('  📤 Opening publish dialog...');
+    await clickByText(page, 'button', ['publish'], 'the Publish button in the editor');
+
+    if (tags.length) {
+        log.info(`  🏷️  Adding topics: ${tags.join(', ')}`, { tags });
+        await addTags(page, tags);
+    }
+
+    if (settings.publication) {
+        log.info(`  📰 Submitting to publication: ${settings.publication}`, { publication: settings.publication });
+        await choosePublication(page, settings.publication);
+    }
+
+    if (visibility === 'unlisted') {
+        log.info('  🔒 Setting visibility: unlisted');
+        await chooseUnlisted(page);
+    }
+
+    const confirmButton = await findByText(page, 'button', ['publish now', 'submit to publication', 'submit story']);
+    if (!confirmButton) {
+        throw new Error('Could not find the "Publish now" button');
+    }
+
+    await Promise.all([
+        page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: settings.timeout || 30000 }),
+        confirmButton.click()
+    ]);
+
+    const publishedUrl = page.url().split('?')[0];
+    if (publishedUrl.includes('/edit')) {
+        throw new Error('Still in the editor after clicking "Publish now"');
+    }
+
+    return { publishedUrl, tags };
+}
+
+module.exports = { publishDraft, MAX_TAGS, VISIBILITIES };
@@ -0,0 +1,279 @@
+/**
+ * ============================================================
+ * Mock Medium import server
+ * ============================================================
+ *
+ * A small local stand-in for https://medium.com/p/import so the
+ * importer can be checked without touching a real account.
+ * The import page copies the markup captured in debug-page.html
+ * (role="textbox" contenteditable field + "Import" button).
+ *
+ * Drafts at /p/<id>/edit have a minimal publish dialog (topics,
+ * "Publishing to", unlisted, "Publish now") for CONFIG.autoPublish.
+ *
+ * Every visit to /p/import takes the next scenario from the
+ * queue (then falls back to the default scenario):
+ *
+ *   success          - redirects to /p/<id>/edit
+ *   server-stopped   - "the server stopped responding" banner
+ *   cannot-import    - "sorry, this page cannot be imported"
+ *   missing-textbox  - import page without the URL field
+ *
+ * USAGE:
+ *   node lib/mock-medium-server.js [port] [scenario ...]
+ *
+ * Then set CONFIG.mediumBaseUrl to http://localhost:<port>
+ *
+ * ============================================================
+ */
+
+const http = require('http');
+
+const SCENARIOS = ['success', 'server-stopped', 'cannot-import', 'missing-textbox'];
+
+const ERROR_MESSAGES = {
+    'server-stopped': 'Sorry, the server stopped responding. Please try again.',
+    'cannot-import': 'We are sorry, but this page cannot be imported.'
+};
+
+// ============================================================
+// PAGES
+// ============================================================
+
+function layout(title, body) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+</head>
+<body>
+<div id="container">
+<nav><a href="/">Homepage</a> <a href="/new-story">Write</a> <button aria-label="user menu"><img src="" alt="avatar"></button></nav>
+${body}
+</div>
+</body>
+</html>`;
+}
+
+function importPage(scenario) {
+    const textbox = scenario === 'missing-textbox'
+        ? ''
+        : `<div id="editor_7" role="textbox" contenteditable="true" data-default-value="http://www.yoursite.org/your-post"><p><span>http://www.yoursite.org/your-post</span><br></p></div>`;
+
+    return layout('Import your story', `
+<div style="margin-top: 240px; width: 700px">
+<h1>See your story on Medium</h1>
+<p>Import a story from anywhere on the internet to publish on your Medium account.</p>
+<div>Enter a link to your blog post/article/story/manifesto to import and share it on Medium.</div>
+${textbox}
+<div>You will have a chance to edit it before making it public.</div>
+<button data-action="import-url">Import</button>
+<div id="status"></div>
+</div>
+<script>
+    const field = document.querySelector('[role="textbox"]');
+    if (field) {
+        // Medium clears the example link the first time the field gets focus
+        field.addEventListener('focus', () => {
+            if (field.innerText.trim() === field.dataset.defaultValue) field.innerHTML = '';
+        }, { once: true });
+    }
+    document.querySelector('[data-action="import-url"]').addEventListener('click', async () => {
+        const url = field ? field.innerText.trim() : '';
+        const response = await fetch('/_/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url, scenario: ${JSON.stringify(scenario)} })
+        });
+        const result = await response.json();
+        if (result.redirect) {
+            window.location.href = result.redirect;
+        } else {
+            document.getElementById('status').textContent = result.error;
+        }
+    });
+</script>`);
+}
+
+function editorPage(story, publications) {
+    const options = publications
+        .map(name => `<li role="option" style="display: none">${name}</li>`)
+        .join('');
+
+    return layout(story ? story.title : 'Draft', `
+<button id="publish">Publish</button>
+<article>
+<h3>${story ? story.title : 'Draft'}</h3>
+<p>Imported from ${story ? story.url : 'unknown'}</p>
+</article>
+<div id="dialog" style="display: none">
+<input placeholder="Add a topic...">
+<ul id="topics"></ul>
+<button id="publication">Publishing to: <span>Your profile</span></button>
+<ul>${options}</ul>
+<label><input type="checkbox" id="unlisted"> Unlisted</label>
+<button id="confirm">Publish now</button>
+</div>
+<script>
+    const topics = [];
+    let publication = null;
+    const input = document.querySelector('#dialog input[placeholder]');
+    document.getElementById('publish').addEventListener('click', () => {
+        document.getElementById('dialog').style.display = 'block';
+    });
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter' && input.value.trim()) {
+            topics.push(input.value.trim());
+            document.getElementById('topics').innerHTML += '<li>' + input.value.trim() + '</li>';
+            input.value = '';
+        }
+    });
+    document.getElementById('publication').addEventListener('click', () => {
+        document.querySelectorAll('[role="option"]').forEach(option => { option.style.display = 'block'; });
+    });
+    document.querySelectorAll('[role="option"]').forEach(option => option.addEventListener('click', () => {
+        publication = option.textContent;
+        document.querySelector('#publication span').textContent = publication;
+    }));
+    document.getElementById('confirm').addEventListener('click', async () => {
+        const response = await fetch('/_/publish', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                id: ${JSON.stringify(story ? story.id : null)},
+                topics,
+                publication,
+                unlisted: document.getElementById('unlisted').checked
+            })
+        });
+        window.location.href = (await response.json()).redirect;
+    });
+</script>`);
+}
+
+// ============================================================
+// SERVER
+// ============================================================
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Creates (but doesn't start) a mock server.
+ *
+ * options.scenarios       - queue of scenarios, one per import page visit
+ * options.defaultScenario - used once the queue is empty (default 'success')
+ * options.importDelay     - ms to wait before answering an import (default 500)
+ * options.publications    - publication names offered in the publish dialog
+ *
+ * The returned object exposes `submissions` (every URL Medium
+ * "received") and `stories` (the drafts that were created).
+ */
+function createMockMediumServer(options = {}) {
+    const queue = [...(options.scenarios || [])];
+    const defaultScenario = options.defaultScenario || 'success';
+    const importDelay = options.importDelay === undefined ? 500 : options.importDelay;
+    const publications = options.publications || [];
+    const submissions = [];
+    const stories = new Map();
+
+    for (const scenario of [...queue, defaultScenario]) {
+        if (!SCENARIOS.includes(scenario)) {
+            throw new Error(`Unknown mock scenario "${scenario}". Use one of: ${SCENARIOS.join(', ')}`);
+        }
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const path = req.url.split('?')[0];
+        const send = (status, body, type = 'text/html') => {
+            res.writeHead(status, { 'Content-Type': `${type}; charset=utf-8` });
+            res.end(body);
+        };
+
+        try {
+            if (req.method === 'GET' && path === '/p/import') {
+                return send(200, importPage(queue.length ? queue.shift() : defaultScenario));
+            }
+
+            if (req.method === 'POST' && path === '/_/import') {
+                const { url, scenario } = JSON.parse(await readBody(req));
+                submissions.push({ url, scenario });
+                await new Promise(resolve => setTimeout(resolve, importDelay));
+
+                if (ERROR_MESSAGES[scenario]) {
+                    return send(200, JSON.stringify({ error: ERROR_MESSAGES[scenario] }), 'application/json');
+                }
+
+                const id = Math.random().toString(16).slice(2, 14);
+                stories.set(id, { id, url, title: `Imported: ${url}` });
+                return send(200, JSON.stringify({ redirect: `/p/${id}/edit` }), 'application/json');
+            }
+
+            if (req.method === 'POST' && path === '/_/publish') {
+                const { id, topics, publication, unlisted } = JSON.parse(await readBody(req));
+                const story = stories.get(id);
+                if (!story) {
+                    return send(404, JSON.stringify({ error: 'No such draft' }), 'application/json');
+                }
+                Object.assign(story, { published: true, topics, publication, unlisted });
+                return send(200, JSON.stringify({ redirect: `/@mock/story-${id}` }), 'application/json');
+            }
+
+            const editMatch = path.match(/^\/p\/([^/]+)\/edit$/);
+            if (req.method === 'GET' && editMatch) {
+                return send(200, editorPage(stories.get(editMatch[1]), publications));
+            }
+
+            const storyMatch = path.match(/^\/@mock\/story-([^/]+)$/);
+            if (req.method === 'GET' && storyMatch && stories.has(storyMatch[1])) {
+                const story = stories.get(storyMatch[1]);
+                return send(200, layout(story.title, `<article><h1>${story.title}</h1></article>`));
+            }
+
+            if (req.method === 'GET' && (path === '/' || path === '/m/signin')) {
+                return send(200, layout('Medium', '<h1>Welcome back.</h1>'));
+            }
+
+            send(404, layout('Not found', '<h1>404</h1>'));
+        } catch (error) {
+            send(500, layout('Error', `<h1>Something went wrong</h1><pre>${error.message}</pre>`));
+        }
+    });
+
+    return {
+        submissions,
+        stories,
+
+        listen(port = 0) {
+            return new Promise(resolve => {
+                server.listen(port, '127.0.0.1', () => {
+                    resolve(`http://localhost:${server.address().port}`);
+                });
+            });
+        },
+
+        close() {
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+module.exports = { createMockMediumServer, SCENARIOS };
+
+if (require.main === module) {
+    const [port = '8080', ...scenarios] = process.argv.slice(2);
+    createMockMediumServer({ scenarios })
+        .listen(Number(port))
+        .then(baseUrl => {
+            console.log(`🧪 Mock Medium running at ${baseUrl}`);
+            console.log(`   Set CONFIG.mediumBaseUrl = '${baseUrl}' and run the importer.`);
+            console.log('   Press Ctrl+C to stop.');
+        });
+}
@@ -0,0 +1,146 @@
+/**
+ * ============================================================
+ * Pacing - how fast to go, driven by how Medium responds
+ * ============================================================
+ *
+ * - The gap between imports starts at delayBetweenImports.
+ *   Every throttling answer ("server stopped responding",
+ *   HTTP 429, "too many requests") doubles it, up to
+ *   maxDelayBetweenImports. After speedUpAfter successes in a
+ *   row it shrinks by a fifth, down to minDelayBetweenImports.
+ *
+ * - Retries back off exponentially from retryDelay, with
+ *   jitter so the requests don't line up.
+ *
+ * - throttleLimit throttled answers in a row pause the whole
+ *   queue for cooldownMinutes instead of spending the retries.
+ *   Throttled attempts don't count against maxRetries.
+ *
+ * - hourlyCap / dailyCap (0 = no cap) count every attempt in
+ *   the progress file, so they hold across runs. When a cap is
+ *   reached the queue waits until the oldest attempt in the
+ *   window is an hour (or a day) old.
+ *
+ * ============================================================
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const THROTTLE_PATTERN = /server stopped responding|too many requests|rate limit|HTTP 429/i;
+
+const JITTER = 0.2;
+const SLOW_DOWN_FACTOR = 2;
+const SPEED_UP_FACTOR = 0.8;
+
+// Spread a delay by ±JITTER so imports don't run like clockwork
+function withJitter(ms, random = Math.random) {
+    return Math.round(ms * (1 - JITTER + random() * JITTER * 2));
+}
+
+function isThrottled(result) {
+    if (!result || result.success) return false;
+    return result.httpStatus === 429 || THROTTLE_PATTERN.test(result.error || '');
+}
+
+function formatWait(ms) {
+    const minutes = Math.round(ms / 60000);
+    return minutes >= 1 ? `${minutes} min` : `${Math.round(ms / 1000)}s`;
+}
+
+/**
+ * options: delayBetweenImports, minDelayBetweenImports,
+ *          maxDelayBetweenImports, retryDelay, speedUpAfter,
+ *          throttleLimit, cooldownMinutes, hourlyCap, dailyCap
+ * attemptTimes: ISO timestamps of earlier attempts (for the caps)
+ * wait: ms -> promise, how every wait is done (run control
+ *       passes one that retry-now can cut short)
+ */
+function createPacer(options, attemptTimes = [], wait = ms => new Promise(resolve => setTimeout(resolve, ms))) {
+    const times = attemptTimes.map(at => Date.parse(at)).filter(Number.isFinite);
+    let delay = options.delayBetweenImports;
+    let successStreak = 0;
+    let throttleStreak = 0;
+
+    function windowWait(windowMs, cap, label) {
+        if (!cap) return 0;
+        const inWindow = times.filter(time => Date.now() - time < windowMs).sort((a, b) => a - b);
+        if (inWindow.length < cap) return 0;
+        return { ms: inWindow[inWindow.length - cap] + windowMs - Date.now(), label };
+    }
+
+    return {
+        /**
+         * Feeds one import result back in.
+         * Returns 'ok', 'throttled' or 'cooldown' (queue should pause).
+         */
+        record(result) {
+            times.push(Date.now());
+
+            if (result.success) {
+                throttleStreak = 0;
+                successStreak++;
+                if (successStreak >= options.speedUpAfter) {
+                    successStreak = 0;
+                    delay = Math.max(options.minDelayBetweenImports, Math.round(delay * SPEED_UP_FACTOR));
+                }
+                return 'ok';
+            }
+
+            successStreak = 0;
+            if (!isThrottled(result)) return 'ok';
+
+            throttleStreak++;
+            delay = Math.min(options.maxDelayBetweenImports, delay * SLOW_DOWN_FACTOR);
+            return throttleStreak >= options.throttleLimit ? 'cooldown' : 'throttled';
+        },
+
+        // Current gap between imports (before jitter)
+        currentDelay() {
+            return delay;
+        },
+
+        // Wait before the next URL
+        async waitBetweenImports() {
+            const ms = withJitter(delay);
+            console.log(`  ⏳ Waiting ${Math.round(ms / 1000)} seconds before next import...`);
+            await wait(ms);
+        },
+
+        // Wait before retry number `attempt` (1, 2, ...)
+        async waitBeforeRetry(attempt) {
+            const ms = withJitter(Math.min(options.maxDelayBetweenImports, options.retryDelay * 2 ** (attempt - 1)));
+            console.log(`  ⏳ Backing off ${Math.round(ms / 1000)} seconds...`);
+            await wait(ms);
+        },
+
+        // Pause the queue after repeated throttling
+        async coolDown() {
+            const ms = options.cooldownMinutes * 60000;
+            console.log(`\n🧊 Medium is throttling - pausing for ${formatWait(ms)} (until ${new Date(Date.now() + ms).toLocaleTimeString()})`);
+            await wait(ms);
+            throttleStreak = 0;
+            console.log(`▶️  Resuming, ${Math.round(delay / 1000)} seconds between imports`);
+        },
+
+        // Wait while the hourly or daily cap is reached
+        async waitForCapacity() {
+            for (;;) {
+                const waits = [windowWait(HOUR, options.hourlyCap, 'hourly'), windowWait(DAY, options.dailyCap, 'daily')]
+                    .filter(wait => wait && wait.ms > 0)
+                    .sort((a, b) => b.ms - a.ms);
+                if (!waits.length) return;
+
+                const { ms, label } = waits[0];
+                console.log(`\n🚦 ${label} cap reached - waiting ${formatWait(ms)} (until ${new Date(Date.now() + ms).toLocaleTimeString()})`);
+                await wait(ms + 1000);
+            }
+        }
+    };
+}
+
+module.exports = {
+    isThrottled,
+    withJitter,
+    createPacer
+};
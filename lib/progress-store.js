@@ -0,0 +1,272 @@
+/**
+ * ============================================================
+ * Progress store
+ * ============================================================
+ *
+ * Keeps one record per source URL in import_progress.json:
+ *
+ *   {
+ *     "version": 2,
+ *     "urls": {
+ *       "https://blog.example.com/post/": {
+ *         "state": "imported",
+ *         "attempts": [{ "at": "...", "ok": true }],
+ *         "story": { "storyId", "editUrl", "title", "importedAt" },
+ *         "published": { "publishedUrl", "tags", ... },
+ *         "verification": { "status", "verifiedAt" },
+ *         "fallback": { "file", "createdAt" },
+ *         "footer": { "status", "text", "at" },
+ *         "updatedAt": "..."
+ *       }
+ *     }
+ *   }
+ *
+ * States (see TRANSITIONS for the allowed moves):
+ *   pending → in-progress → imported → verified
+ *                         ↘ failed-retryable / failed-permanent
+ *   skipped - left out on purpose
+ *
+ * Files written by older versions ({ completed, failed,
+ * lastCompleted }) are migrated once on load; the original is
+ * kept next to it as <name>.v1.json.
+ *
+ * Every save writes a temp file and renames it over the real
+ * one, so Ctrl+C mid-save can't leave half a file behind.
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+
+const VERSION = 2;
+
+const STATES = [
+    'pending',
+    'in-progress',
+    'imported',
+    'verified',
+    'failed-retryable',
+    'failed-permanent',
+    'skipped'
+];
+
+const TRANSITIONS = {
+    'pending': ['in-progress', 'skipped'],
+    'in-progress': ['imported', 'failed-retryable', 'failed-permanent', 'pending', 'skipped'],
+    'imported': ['verified', 'in-progress'],
+    'verified': ['imported', 'in-progress'],
+    'failed-retryable': ['in-progress', 'failed-permanent', 'skipped', 'pending'],
+    'failed-permanent': ['in-progress', 'skipped', 'pending'],
+    'skipped': ['pending', 'in-progress']
+};
+
+// States that count as "done" - the importer never submits these again
+const DONE_STATES = ['imported', 'verified', 'skipped'];
+const FAILED_STATES = ['failed-retryable', 'failed-permanent'];
+
+function now() {
+    return new Date().toISOString();
+}
+
+function newRecord() {
+    return {
+        state: 'pending',
+        attempts: [],
+        story: null,
+        published: null,
+        verification: null,
+        fallback: null,
+        updatedAt: now()
+    };
+}
+
+// "cannot be imported" is Medium refusing the page - retrying won't help
+function isPermanentError(error) {
+    return /cannot be imported/i.test(error || '');
+}
+
+// ============================================================
+// MIGRATION FROM THE OLD FORMAT
+// ============================================================
+
+function migrateV1(data) {
+    const urls = {};
+    const recordFor = url => (urls[url] = urls[url] || newRecord());
+
+    (data.failed || []).forEach(item => {
+        const record = recordFor(item.url);
+        const count = item.attempts || 1;
+        for (let i = 0; i < count; i++) {
+            record.attempts.push({ at: null, ok: false, error: item.error });
+        }
+        record.state = isPermanentError(item.error) ? 'failed-permanent' : 'failed-retryable';
+    });
+
+    (data.completed || []).forEach(url => {
+        const record = recordFor(url);
+        record.attempts.push({ at: null, ok: true });
+        record.state = 'imported';
+    });
+
+    (data.stories || []).forEach(({ url, ...story }) => {
+        recordFor(url).story = story;
+    });
+
+    (data.published || []).forEach(({ url, ...published }) => {
+        recordFor(url).published = published;
+    });
+
+    return { version: VERSION, urls };
+}
+
+// ============================================================
+// STORE
+// ============================================================
+
+/**
+ * Opens (or creates) the progress store at `filename`.
+ */
+function createProgressStore(filename) {
+    let data = { version: VERSION, urls: {} };
+
+    if (fs.existsSync(filename)) {
+        const raw = JSON.parse(fs.readFileSync(filename, 'utf-8'));
+        if (raw.version === VERSION) {
+            data = raw;
+        } else {
+            const backup = filename.replace(/\.json$/, '') + '.v1.json';
+            fs.copyFileSync(filename, backup);
+            data = migrateV1(raw);
+            console.log(`📦 Migrated ${filename} to the new format (old file kept as ${backup})`);
+            writeAtomic(filename, data);
+        }
+    }
+
+    function writeAtomic(target, content) {
+        const temp = `${target}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify(content, null, 2));
+        fs.renameSync(temp, target);
+    }
+
+    function record(url) {
+        if (!data.urls[url]) {
+            data.urls[url] = newRecord();
+        }
+        return data.urls[url];
+    }
+
+    function transition(url, state) {
+        const current = record(url);
+        if (current.state === state) return current;
+        if (!TRANSITIONS[current.state].includes(state)) {
+            throw new Error(`Can't move ${url} from "${current.state}" to "${state}"`);
+        }
+        current.state = state;
+        current.updatedAt = now();
+        return current;
+    }
+
+    return {
+        filename,
+
+        get(url) {
+            return data.urls[url] || null;
+        },
+
+        state(url) {
+            return data.urls[url] ? data.urls[url].state : 'pending';
+        },
+
+        isDone(url) {
+            return DONE_STATES.includes(this.state(url));
+        },
+
+        // [url, record] pairs, optionally only in the given states
+        entries(...states) {
+            return Object.entries(data.urls)
+                .filter(([, item]) => states.length === 0 || states.includes(item.state));
+        },
+
+        urls(...states) {
+            return this.entries(...states).map(([url]) => url);
+        },
+
+        counts() {
+            const counts = Object.fromEntries(STATES.map(state => [state, 0]));
+            Object.values(data.urls).forEach(item => { counts[item.state]++; });
+            return counts;
+        },
+
+        markInProgress(url) {
+            transition(url, 'in-progress');
+        },
+
+        recordAttempt(url, result) {
+            record(url).attempts.push({
+                at: now(),
+                ok: Boolean(result.success),
+                ...(result.error ? { error: result.error } : {}),
+                ...(result.debugBundle ? { debugBundle: result.debugBundle } : {})
+            });
+        },
+
+        markImported(url, story) {
+            const item = transition(url, 'imported');
+            if (story) item.story = story;
+        },
+
+        markFailed(url, error, retryable) {
+            const permanent = retryable === false || isPermanentError(error);
+            transition(url, permanent ? 'failed-permanent' : 'failed-retryable');
+        },
+
+        markSkipped(url) {
+            transition(url, 'skipped');
+        },
+
+        markPending(url) {
+            transition(url, 'pending');
+        },
+
+        setPublished(url, published) {
+            record(url).published = published;
+        },
+
+        setFallback(url, fallback) {
+            record(url).fallback = fallback;
+        },
+
+        setFooter(url, footer) {
+            record(url).footer = footer;
+        },
+
+        // pass/warn count as verified; a failed check sends it back to imported
+        setVerification(url, verification) {
+            const item = record(url);
+            item.verification = verification;
+            if (['imported', 'verified'].includes(item.state)) {
+                transition(url, verification.status === 'fail' ? 'imported' : 'verified');
+            }
+        },
+
+        lastError(url) {
+            const item = data.urls[url];
+            const failed = item ? item.attempts.filter(attempt => !attempt.ok) : [];
+            return failed.length ? failed[failed.length - 1].error : null;
+        },
+
+        save() {
+            writeAtomic(filename, data);
+        }
+    };
+}
+
+module.exports = {
+    STATES,
+    TRANSITIONS,
+    DONE_STATES,
+    FAILED_STATES,
+    isPermanentError,
+    migrateV1,
+    createProgressStore
+};
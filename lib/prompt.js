@@ -0,0 +1,43 @@
+/**
+ * ============================================================
+ * Terminal prompts
+ * ============================================================
+ *
+ * The importer asks before it does anything it can't undo
+ * (import order, retrying old failures, closing the browser).
+ * On the command line it asks in the terminal; embedders pass
+ * their own ask() to the Importer, or yes: true.
+ *
+ * ============================================================
+ */
+
+const readline = require('readline');
+
+async function waitForUserInput(prompt) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+
+    return new Promise(resolve => {
+        rl.question(prompt, answer => {
+            rl.close();
+            resolve(answer);
+        });
+    });
+}
+
+// y/n prompt that answers itself when running with --yes
+async function askYesNo(prompt, assumeYes) {
+    if (assumeYes) {
+        console.log(`${prompt}y (--yes)`);
+        return true;
+    }
+    const answer = await waitForUserInput(prompt);
+    return answer.trim().toLowerCase() === 'y';
+}
+
+module.exports = {
+    waitForUserInput,
+    askYesNo
+};
@@ -0,0 +1,321 @@
+/**
+ * ============================================================
+ * Import report - Markdown and HTML from the progress file
+ * ============================================================
+ *
+ * Everything in import_progress.json, in a form you can send
+ * to someone:
+ *
+ *   - totals per state and the overall success rate
+ *   - attempts and success rate per day
+ *   - failed URLs grouped by what went wrong, each group with
+ *     a suggested next step
+ *   - attempt counts and links to the latest debug bundle
+ *
+ * Writes <base>.md and <base>.html (CONFIG.reportFile).
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Checked in order against a URL's last error - the first match wins
+const CATEGORIES = [
+    {
+        id: 'cannot-be-imported',
+        label: 'Medium refuses the page',
+        pattern: /cannot be imported/i,
+        nextStep: 'Manual fallback: run `fallback` and paste the generated HTML into Medium.'
+    },
+    {
+        id: 'signed-out',
+        label: 'Signed out of Medium',
+        pattern: /signed out|not signed in/i,
+        nextStep: 'Sign in again (`login`), then `retry-failed`.'
+    },
+    {
+        id: 'throttled',
+        label: 'Throttled by Medium',
+        pattern: /HTTP 429|too many requests|rate limit/i,
+        nextStep: 'Retry later with a lower --hourly-cap or a longer --delay-between-imports.'
+    },
+    {
+        id: 'server-timeout',
+        label: 'Server timeout',
+        pattern: /server stopped responding|timeout|no result within|timed out/i,
+        nextStep: 'Retry later (`retry-failed`) - Medium was slow or busy.'
+    },
+    {
+        id: 'input-not-found',
+        label: 'URL field not found',
+        pattern: /could not find URL input/i,
+        nextStep: 'Open the debug bundle; if Medium changed the import page, update lib/selectors.js, then `retry-failed`.'
+    },
+    {
+        id: 'url-mismatch',
+        label: 'URL field held the wrong text',
+        pattern: /URL field contains/i,
+        nextStep: 'Retry (`retry-failed`); if it keeps happening, check the debug bundle\'s screenshot.'
+    },
+    {
+        id: 'could-not-import',
+        label: 'Medium could not import',
+        pattern: /could not be imported|could not import|something went wrong|try again/i,
+        nextStep: 'Run `triage` on these URLs; retry the likely ones later, use `fallback` for the rest.'
+    },
+    {
+        id: 'browser',
+        label: 'Browser or page crashed',
+        pattern: /detached frame|target closed|session closed|execution context|net::ERR/i,
+        nextStep: 'Retry (`retry-failed`) - usually a one-off browser hiccup.'
+    },
+    {
+        id: 'unconfirmed',
+        label: 'Result not confirmed (older versions)',
+        pattern: /import may have failed/i,
+        nextStep: 'Check your Medium drafts for these, then `retry-failed` the ones that are missing.'
+    }
+];
+
+const OTHER = {
+    id: 'other',
+    label: 'Other errors',
+    nextStep: 'Open the debug bundle for details.'
+};
+
+function categorize(error) {
+    return CATEGORIES.find(category => category.pattern.test(error || '')) || OTHER;
+}
+
+function percent(part, whole) {
+    return whole ? `${Math.round(part / whole * 100)}%` : '-';
+}
+
+// ============================================================
+// BUILD
+// ============================================================
+
+/**
+ * Collects the report data from a progress store.
+ */
+function buildReport(store) {
+    const entries = store.entries();
+    const counts = store.counts();
+    const attempts = entries.flatMap(([, item]) => item.attempts);
+    const imported = counts.imported + counts.verified;
+    const failedUrls = counts['failed-retryable'] + counts['failed-permanent'];
+
+    // Attempts per day (migrated attempts have no date)
+    const days = new Map();
+    attempts.forEach(attempt => {
+        const day = attempt.at ? attempt.at.slice(0, 10) : 'undated';
+        const stat = days.get(day) || { day, attempts: 0, ok: 0 };
+        stat.attempts++;
+        if (attempt.ok) stat.ok++;
+        days.set(day, stat);
+    });
+    const timeline = [...days.values()].sort((a, b) => a.day.localeCompare(b.day));
+
+    const groups = new Map();
+    store.entries('failed-retryable', 'failed-permanent').forEach(([url, item]) => {
+        const error = store.lastError(url);
+        const category = categorize(error);
+        const withBundle = item.attempts.filter(attempt => attempt.debugBundle);
+        const group = groups.get(category.id) || { id: category.id, label: category.label, nextStep: category.nextStep, urls: [] };
+        group.urls.push({
+            url,
+            state: item.state,
+            error,
+            attempts: item.attempts.length,
+            lastAttemptAt: item.attempts.length ? item.attempts[item.attempts.length - 1].at : null,
+            debugBundle: withBundle.length ? withBundle[withBundle.length - 1].debugBundle : null
+        });
+        groups.set(category.id, group);
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        counts,
+        totals: {
+            urls: entries.length,
+            imported,
+            failed: failedUrls,
+            attempts: attempts.length,
+            successfulAttempts: attempts.filter(attempt => attempt.ok).length,
+            successRate: percent(imported, imported + failedUrls)
+        },
+        timeline,
+        failures: [...groups.values()].sort((a, b) => b.urls.length - a.urls.length)
+    };
+}
+
+// Debug bundle folders are linked relative to where the report is written
+function bundleLink(bundle, reportDir) {
+    return path.relative(reportDir, bundle).split(path.sep).join('/');
+}
+
+// ============================================================
+// MARKDOWN
+// ============================================================
+
+function mdCell(value) {
+    return String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function toMarkdown(report, reportDir = '.') {
+    const { totals, counts } = report;
+    const lines = [
+        '# Medium import report',
+        '',
+        `Generated ${report.generatedAt.replace('T', ' ').slice(0, 16)} UTC`,
+        '',
+        '## Totals',
+        '',
+        `- **${totals.imported}** of ${totals.urls} URLs imported (${totals.successRate} of the ones tried)`,
+        `- **${totals.failed}** failed (${counts['failed-permanent']} permanent)`,
+        `- ${counts.pending + counts['in-progress']} pending, ${counts.skipped} skipped`,
+        `- ${totals.attempts} attempts, ${totals.successfulAttempts} successful`,
+        '',
+        '| State | URLs |',
+        '| --- | ---: |',
+        ...Object.entries(counts).map(([state, count]) => `| ${state} | ${count} |`),
+        '',
+        '## Success rate over time',
+        '',
+        '| Day | Attempts | Successful | Rate |',
+        '| --- | ---: | ---: | ---: |',
+        ...report.timeline.map(day => `| ${day.day} | ${day.attempts} | ${day.ok} | ${percent(day.ok, day.attempts)} |`),
+        ''
+    ];
+
+    lines.push('## Failures by category', '');
+    if (report.failures.length === 0) lines.push('No failed URLs. 🎉', '');
+
+    report.failures.forEach(group => {
+        lines.push(
+            `### ${group.label} (${group.urls.length})`,
+            '',
+            `**Next step:** ${group.nextStep}`,
+            '',
+            '| URL | Attempts | Last error | Debug bundle |',
+            '| --- | ---: | --- | --- |',
+            ...group.urls.map(item => `| ${mdCell(item.url)} | ${item.attempts} | ${mdCell(item.error)} | ${
+                item.debugBundle ? `[screenshot](${bundleLink(item.debugBundle, reportDir)}/screenshot.png)` : ''} |`),
+            ''
+        );
+    });
+
+    return lines.join('\n');
+}
+
+// ============================================================
+// HTML
+// ============================================================
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function toHtml(report, reportDir = '.') {
+    const { totals, counts } = report;
+    const rows = (cells, tag = 'td') => `<tr>${cells.map(cell => `<${tag}>${cell}</${tag}>`).join('')}</tr>`;
+
+    const timeline = report.timeline.map(day => {
+        const rate = day.attempts ? Math.round(day.ok / day.attempts * 100) : 0;
+        return rows([
+            escapeHtml(day.day),
+            day.attempts,
+            day.ok,
+            `<div class="bar"><span style="width:${rate}%"></span></div> ${rate}%`
+        ]);
+    }).join('\n');
+
+    const failures = report.failures.map(group => `
+<h3>${escapeHtml(group.label)} (${group.urls.length})</h3>
+<p class="next"><strong>Next step:</strong> ${escapeHtml(group.nextStep)}</p>
+<table>
+${rows(['URL', 'Attempts', 'Last error', 'Debug bundle'], 'th')}
+${group.urls.map(item => rows([
+        `<a href="${escapeHtml(item.url)}">${escapeHtml(item.url)}</a>`,
+        item.attempts,
+        escapeHtml(item.error),
+        item.debugBundle
+            ? `<a href="${escapeHtml(bundleLink(item.debugBundle, reportDir))}/screenshot.png">screenshot</a> · <a href="${escapeHtml(bundleLink(item.debugBundle, reportDir))}/">folder</a>`
+            : ''
+    ])).join('\n')}
+</table>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Medium import report</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 1000px; margin: 2em auto; padding: 0 1em; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1.5em; font-size: 14px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+    td:nth-child(2), td:nth-child(3) { text-align: right; }
+    .totals { display: flex; gap: 1em; flex-wrap: wrap; }
+    .totals div { background: #f5f5f5; border-radius: 6px; padding: 0.8em 1.2em; }
+    .totals strong { display: block; font-size: 1.6em; }
+    .bar { display: inline-block; width: 120px; height: 10px; background: #eee; vertical-align: middle; }
+    .bar span { display: block; height: 100%; background: #1a8917; }
+    .next { background: #fff8e1; padding: 0.6em 0.8em; border-radius: 4px; }
+</style>
+</head>
+<body>
+<h1>Medium import report</h1>
+<p>Generated ${escapeHtml(report.generatedAt.replace('T', ' ').slice(0, 16))} UTC</p>
+
+<h2>Totals</h2>
+<div class="totals">
+    <div><strong>${totals.imported}</strong>imported of ${totals.urls}</div>
+    <div><strong>${totals.successRate}</strong>success rate</div>
+    <div><strong>${totals.failed}</strong>failed (${counts['failed-permanent']} permanent)</div>
+    <div><strong>${totals.attempts}</strong>attempts (${totals.successfulAttempts} ok)</div>
+</div>
+<table>
+${rows(['State', 'URLs'], 'th')}
+${Object.entries(counts).map(([state, count]) => rows([escapeHtml(state), count])).join('\n')}
+</table>
+
+<h2>Success rate over time</h2>
+<table>
+${rows(['Day', 'Attempts', 'Successful', 'Rate'], 'th')}
+${timeline}
+</table>
+
+<h2>Failures by category</h2>
+${failures || '<p>No failed URLs. 🎉</p>'}
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes <baseName>.md and <baseName>.html. Returns { report, files }.
+ */
+function writeReport(store, baseName) {
+    const report = buildReport(store);
+    const reportDir = path.dirname(path.resolve(`${baseName}.md`));
+    const files = [`${baseName}.md`, `${baseName}.html`];
+
+    fs.writeFileSync(files[0], toMarkdown(report, reportDir));
+    fs.writeFileSync(files[1], toHtml(report, reportDir));
+
+    return { report, files };
+}
+
+module.exports = {
+    CATEGORIES,
+    categorize,
+    buildReport,
+    toMarkdown,
+    toHtml,
+    writeReport
+};
@@ -0,0 +1,93 @@
+/**
+ * ============================================================
+ * Run control - pause, resume, skip and retry-now
+ * ============================================================
+ *
+ * The importer checks this between steps; the dashboard (or
+ * your own script, via importer.control) flips it:
+ *
+ *   pause()     no new attempt starts until resume(). The one
+ *               in progress finishes first
+ *   resume()
+ *   skip(url)   marks a queued URL skipped when its turn comes.
+ *               For the URL being imported it stops the retries
+ *               after the current attempt
+ *   retryNow()  ends the current wait (between imports, backoff,
+ *               cool-down) early
+ *
+ * Skipping also ends the current wait, so a URL waiting out a
+ * backoff is dropped right away.
+ *
+ * ============================================================
+ */
+
+const { dedupeKey } = require('./discover');
+
+function createRunControl() {
+    let paused = false;
+    const resumers = [];
+    let wakers = [];
+    const skips = new Set();
+
+    const wake = () => {
+        const woken = wakers.length;
+        wakers.splice(0).forEach(resolve => resolve());
+        return woken;
+    };
+
+    return {
+        isPaused() {
+            return paused;
+        },
+
+        pause() {
+            if (paused) return false;
+            paused = true;
+            console.log('\n⏸️  Paused - the current attempt finishes first');
+            return true;
+        },
+
+        resume() {
+            if (!paused) return false;
+            paused = false;
+            resumers.splice(0).forEach(resolve => resolve());
+            console.log('▶️  Resumed');
+            return true;
+        },
+
+        // Resolves straight away unless paused
+        whilePaused() {
+            if (!paused) return Promise.resolve();
+            return new Promise(resolve => resumers.push(resolve));
+        },
+
+        skip(url) {
+            skips.add(dedupeKey(url));
+            wake();
+        },
+
+        isSkipped(url) {
+            return skips.has(dedupeKey(url));
+        },
+
+        // Returns true if something was waiting
+        retryNow() {
+            return wake() > 0;
+        },
+
+        // A sleep that retryNow() and skip() cut short
+        wait(ms) {
+            return new Promise(resolve => {
+                const done = () => {
+                    clearTimeout(timer);
+                    wakers = wakers.filter(waker => waker !== done);
+                    resolve();
+                };
+                const timer = setTimeout(done, Math.max(0, ms));
+                wakers.push(done);
+            });
+        }
+    };
+}
+
+module.exports = { createRunControl };
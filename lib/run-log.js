@@ -0,0 +1,232 @@
+/**
+ * ============================================================
+ * Run log - every run as JSON lines, plus the runs command
+ * ============================================================
+ *
+ * Each import run gets an ID (2026-10-19T18-29-27-3fa1) and
+ * writes <logDir>/<run ID>.jsonl, one JSON object per line:
+ *
+ *   { "at": "...", "level": "info", "runId": "...",
+ *     "url": "...", "attempt": 2, "msg": "Current URL: ..." }
+ *
+ * Levels are debug, info, warn and error. The file gets all of
+ * them; the console shows CONFIG.logLevel and up as plain text,
+ * so the "DEBUG - Element counts" style diagnostics stay out of
+ * the way but are still there when Medium changes something.
+ *
+ * Records with an "event" field are what the runs command reads:
+ *
+ *   run-start  { settings, urls }
+ *   step       { url, attempt, step, ms }       one per step of
+ *              importToMedium: navigate, find-field, enter-url,
+ *              find-button, submit, footer, publish
+ *   attempt    { url, attempt, ok, error, ms, steps }
+ *   retry      { url, attempt, reason }
+ *   result     { url, state, attempts }
+ *   run-end    { ms, counts, stopReason }
+ *
+ * A run without run-end stopped early (Ctrl+C or a crash).
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { categorize } = require('./report');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// How far a run has to fall behind the one before it to be flagged
+const SUCCESS_DROP = 0.25;
+const SLOWER_FACTOR = 2;
+
+function newRunId(date = new Date()) {
+    return `${date.toISOString().replace(/[:.]/g, '-').slice(0, 19)}-${Math.random().toString(16).slice(2, 6)}`;
+}
+
+/**
+ * options.dir    - folder for the .jsonl file (null = console only)
+ * options.level  - lowest level shown on the console
+ * options.runId  - defaults to a new one
+ *
+ * Returns a logger: debug/info/warn/error(msg, fields),
+ * event(name, fields) (file only), time(step) and child(context).
+ */
+function createRunLog(options = {}) {
+    const level = options.level || 'info';
+    if (!LEVELS.includes(level)) {
+        throw new Error(`logLevel must be one of: ${LEVELS.join(', ')}`);
+    }
+
+    const runId = options.runId || newRunId();
+    const file = options.dir ? path.join(options.dir, `${runId}.jsonl`) : null;
+    let broken = false;
+
+    if (file) fs.mkdirSync(options.dir, { recursive: true });
+
+    function write(record) {
+        if (!file || broken) return;
+        try {
+            fs.appendFileSync(file, `${JSON.stringify({ at: new Date().toISOString(), runId, ...record })}\n`);
+        } catch (error) {
+            // A full disk shouldn't stop the import - say so once
+            broken = true;
+            console.log(`⚠️  Could not write the run log ${file}: ${error.message}`);
+        }
+    }
+
+    function make(context) {
+        const emit = (recordLevel, msg, fields = {}) => {
+            write({ level: recordLevel, ...context, msg: msg.trim(), ...fields });
+            if (LEVELS.indexOf(recordLevel) >= LEVELS.indexOf(level)) console.log(msg);
+        };
+
+        const logger = {
+            runId,
+            file,
+            steps: {},  // step -> ms, for this context's attempt
+
+            debug: (msg, fields) => emit('debug', msg, fields),
+            info: (msg, fields) => emit('info', msg, fields),
+            warn: (msg, fields) => emit('warn', msg, fields),
+            error: (msg, fields) => emit('error', msg, fields),
+
+            // A record for the runs command - nothing on the console
+            event(name, fields = {}) {
+                write({ level: 'info', ...context, event: name, ...fields });
+            },
+
+            // Starts timing a step; call the returned function when it's done
+            time(step) {
+                const started = Date.now();
+                return () => {
+                    const ms = Date.now() - started;
+                    logger.steps[step] = ms;
+                    write({ level: 'debug', ...context, event: 'step', step, ms });
+                    return ms;
+                };
+            },
+
+            child(more) {
+                return make({ ...context, ...more });
+            }
+        };
+        return logger;
+    }
+
+    return make({});
+}
+
+// ============================================================
+// RUNS COMMAND
+// ============================================================
+
+function readRecords(file) {
+    return fs.readFileSync(file, 'utf-8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;  // A line cut short when the run was killed
+            }
+        })
+        .filter(Boolean);
+}
+
+function average(values) {
+    return values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+/**
+ * What one run did: { runId, startedAt, ms, finished, dryRun,
+ * attempts, succeeded, failed, successRate, avgAttemptMs, steps
+ * (average ms per step), topError, stopReason }.
+ */
+function summarizeRun(records) {
+    const start = records.find(record => record.event === 'run-start') || records[0] || {};
+    const end = records.find(record => record.event === 'run-end');
+    const attempts = records.filter(record => record.event === 'attempt');
+    const succeeded = attempts.filter(attempt => attempt.ok).length;
+
+    const stepTimes = {};
+    records.filter(record => record.event === 'step').forEach(record => {
+        (stepTimes[record.step] = stepTimes[record.step] || []).push(record.ms);
+    });
+    const steps = Object.fromEntries(Object.entries(stepTimes).map(([step, times]) => [step, average(times)]));
+
+    const errors = {};
+    attempts.filter(attempt => !attempt.ok).forEach(attempt => {
+        const label = categorize(attempt.error).label;
+        errors[label] = (errors[label] || 0) + 1;
+    });
+    const [topError] = Object.entries(errors).sort((a, b) => b[1] - a[1]);
+
+    const last = records[records.length - 1] || {};
+    return {
+        runId: start.runId,
+        startedAt: start.at,
+        ms: end ? end.ms : Date.parse(last.at) - Date.parse(start.at),
+        finished: Boolean(end),
+        dryRun: Boolean(start.settings && start.settings.dryRun),
+        attempts: attempts.length,
+        succeeded,
+        failed: attempts.length - succeeded,
+        successRate: attempts.length ? succeeded / attempts.length : null,
+        avgAttemptMs: average(attempts.map(attempt => attempt.ms)),
+        steps,
+        topError: topError ? { label: topError[0], count: topError[1] } : null,
+        stopReason: end ? end.stopReason : null
+    };
+}
+
+// Every run in `dir`, oldest first
+function listRuns(dir) {
+    if (!dir || !fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.jsonl'))
+        .map(name => summarizeRun(readRecords(path.join(dir, name))))
+        .filter(run => run.runId)
+        .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+}
+
+/**
+ * Why `run` looks different from `previous`, if it does: a much
+ * lower success rate, a new most common error, or a step that
+ * takes twice as long. Returns a list of short notes.
+ */
+function compareRuns(run, previous) {
+    if (!previous || !run.attempts || !previous.attempts) return [];
+    const notes = [];
+
+    if (previous.successRate - run.successRate >= SUCCESS_DROP) {
+        notes.push(`success rate ${Math.round(previous.successRate * 100)}% → ${Math.round(run.successRate * 100)}%`);
+    }
+    if (run.topError && (!previous.topError || previous.topError.label !== run.topError.label)) {
+        notes.push(`new top error: ${run.topError.label}`);
+    }
+    Object.entries(run.steps).forEach(([step, ms]) => {
+        const before = previous.steps[step];
+        if (before && ms >= before * SLOWER_FACTOR && ms - before >= 1000) {
+            notes.push(`${step} ${Math.round(before / 1000)}s → ${Math.round(ms / 1000)}s`);
+        }
+    });
+    return notes;
+}
+
+function formatDuration(ms) {
+    if (!Number.isFinite(ms)) return '-';
+    const minutes = Math.floor(ms / 60000);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m ${Math.round(ms % 60000 / 1000)}s`;
+}
+
+module.exports = {
+    LEVELS,
+    newRunId,
+    createRunLog,
+    summarizeRun,
+    listRuns,
+    compareRuns,
+    formatDuration
+};
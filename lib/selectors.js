@@ -0,0 +1,156 @@
+/**
+ * ============================================================
+ * Medium import page selectors
+ * ============================================================
+ *
+ * Every guess about Medium's markup lives here. When Medium
+ * changes the import page, fix the strategies below, bump
+ * SELECTOR_VERSION, and check the saved debug bundles
+ * (see debug-bundle.js) to see what the page looked like.
+ *
+ * Each element has an ordered list of strategies. A strategy
+ * only wins if the element it finds passes the sanity checks
+ * (visible, not in the nav/header, editable or clickable).
+ * Accessibility-tree queries come first because they follow
+ * what the page means rather than how it's styled.
+ *
+ * Markup as of SELECTOR_VERSION (see debug-page.html):
+ *   <div role="textbox" contenteditable="true" ...>
+ *   <button data-action="import-url">Import</button>
+ *
+ * ============================================================
+ */
+
+const SELECTOR_VERSION = '2025-12';
+
+const URL_INPUT_STRATEGIES = [
+    { name: 'aria textbox', selector: 'aria/[role="textbox"]' },
+    { name: 'role=textbox', selector: '[role="textbox"]' },
+    { name: 'data-default-value editor', selector: '[contenteditable="true"][data-default-value]' },
+    { name: 'url/text input', selector: 'input[type="url"], input[type="text"]:not([type="search"])' },
+    // Last resort: any editable area in the main content (the old top > 200 rule)
+    { name: 'main-content contenteditable', selector: '[contenteditable="true"]', minTop: 200 }
+];
+
+const IMPORT_BUTTON_STRATEGIES = [
+    { name: 'aria button "Import"', selector: 'aria/Import[role="button"]' },
+    { name: 'data-action=import-url', selector: 'button[data-action="import-url"]' },
+    { name: 'button text "import"', selector: 'button', text: 'import' },
+    { name: 'submit button', selector: 'button[type="submit"]' }
+];
+
+// Runs inside the browser - what a human would check before clicking
+function describeElement(node) {
+    const rect = node.getBoundingClientRect();
+    const style = window.getComputedStyle(node);
+    return {
+        tag: node.tagName,
+        role: node.getAttribute('role'),
+        text: (node.textContent || '').trim().slice(0, 60),
+        top: rect.top,
+        width: rect.width,
+        height: rect.height,
+        visible: rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none',
+        inNav: node.closest('nav, header') !== null,
+        editable: node.isContentEditable || ['INPUT', 'TEXTAREA'].includes(node.tagName),
+        disabled: Boolean(node.disabled) || node.getAttribute('aria-disabled') === 'true'
+    };
+}
+
+function passesInputChecks(info, strategy) {
+    if (!info.visible || info.inNav || !info.editable) return false;
+    if (strategy.minTop !== undefined && info.top <= strategy.minTop) return false;
+    return info.width > 100;
+}
+
+function passesButtonChecks(info, strategy) {
+    if (!info.visible || info.inNav || info.disabled) return false;
+    return !strategy.text || info.text.toLowerCase().includes(strategy.text);
+}
+
+async function findWithStrategies(page, strategies, passes) {
+    const tried = [];
+
+    for (const strategy of strategies) {
+        let handles = [];
+        try {
+            handles = await page.$$(strategy.selector);
+        } catch (error) {
+            // Older Puppeteer versions don't know the aria/ prefix
+            tried.push({ strategy: strategy.name, error: error.message });
+            continue;
+        }
+
+        let found = null;
+        for (const handle of handles) {
+            const info = await handle.evaluate(describeElement);
+            if (!found && passes(info, strategy)) {
+                found = { element: handle, strategy: strategy.name, info };
+            } else {
+                await handle.dispose();
+            }
+        }
+
+        tried.push({ strategy: strategy.name, matches: handles.length, passed: Boolean(found) });
+        if (found) return { ...found, tried };
+    }
+
+    return { element: null, strategy: null, tried };
+}
+
+/**
+ * Finds the URL field on the import page.
+ * Returns { element, strategy, info, tried } - element is null if nothing passed.
+ */
+async function findUrlInput(page) {
+    return findWithStrategies(page, URL_INPUT_STRATEGIES, passesInputChecks);
+}
+
+/**
+ * Polls findUrlInput() until the field shows up or `timeout` ms pass,
+ * so a fast page isn't held up by a fixed sleep.
+ */
+async function waitForUrlInput(page, timeout) {
+    const started = Date.now();
+    const look = () => findUrlInput(page).catch(error =>
+        // The page navigated under us - look again on the next pass
+        ({ element: null, strategy: null, tried: [{ error: error.message }] }));
+
+    let found = await look();
+    while (!found.element && Date.now() - started < timeout) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        found = await look();
+    }
+    return found;
+}
+
+/**
+ * Finds the Import button. Same return shape as findUrlInput().
+ */
+async function findImportButton(page) {
+    return findWithStrategies(page, IMPORT_BUTTON_STRATEGIES, passesButtonChecks);
+}
+
+// Element counts saved with every debug bundle
+async function countElements(page) {
+    return page.evaluate(() => ({
+        inputs: document.querySelectorAll('input').length,
+        textareas: document.querySelectorAll('textarea').length,
+        contenteditable: document.querySelectorAll('[contenteditable="true"]').length,
+        roleTextbox: document.querySelectorAll('[role="textbox"]').length,
+        divWithPlaceholder: document.querySelectorAll('div[placeholder], div[data-placeholder]').length,
+        buttons: document.querySelectorAll('button').length,
+        importButtons: [...document.querySelectorAll('button')]
+            .filter(button => /import/i.test(button.textContent || '')).length
+    }));
+}
+
+module.exports = {
+    SELECTOR_VERSION,
+    URL_INPUT_STRATEGIES,
+    IMPORT_BUTTON_STRATEGIES,
+    findUrlInput,
+    waitForUrlInput,
+    findImportButton,
+    countElements
+};
@@ -0,0 +1,133 @@
+/**
+ * ============================================================
+ * Medium session - are we signed in, and staying signed in
+ * ============================================================
+ *
+ * A session counts as signed in when Medium's page shows the
+ * profile menu and no "Sign in" link. If the page can't tell
+ * (e.g. a layout change), Medium's session cookies decide: a
+ * "sid" cookie plus a "uid" that isn't a logged-out id (lo_...).
+ *
+ * Cookie files let a run go unattended or headless: sign in
+ * once with the `login` command (or export cookies from your
+ * browser) and point CONFIG.cookiesFile at the file. Both
+ * Puppeteer/browser-extension JSON and Netscape cookies.txt
+ * files are read. The file is refreshed after every check
+ * that finds a valid session.
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+
+const PROFILE_MENU_SELECTORS = [
+    '[data-testid="headerUserIcon"]',
+    'button[aria-label*="user" i]',
+    'img[alt*="avatar" i]'
+];
+
+const SAME_SITE = { no_restriction: 'None', lax: 'Lax', strict: 'Strict' };
+
+function isSignInUrl(url) {
+    return /\/m\/signin|\/signin|\/login/i.test(url);
+}
+
+function hasSessionCookie(cookies) {
+    const byName = name => cookies.find(cookie => cookie.name === name && cookie.value);
+    const uid = byName('uid');
+    return Boolean(byName('sid') && uid && !uid.value.startsWith('lo_'));
+}
+
+// ============================================================
+// COOKIE FILES
+// ============================================================
+
+// Netscape cookies.txt: domain, subdomains, path, secure, expiry, name, value
+function parseNetscapeCookies(text) {
+    return text.split('\n')
+        .map(line => line.replace(/^#HttpOnly_/, ''))
+        .filter(line => line.trim() && !line.startsWith('#'))
+        .map(line => line.split('\t'))
+        .filter(fields => fields.length >= 7)
+        .map(([domain, , path, secure, expires, name, value]) => ({
+            name,
+            value: value.trim(),
+            domain,
+            path,
+            secure: secure === 'TRUE',
+            expires: Number(expires) || undefined
+        }));
+}
+
+// Puppeteer's own format, or a browser extension export (expirationDate, sameSite "lax")
+function normalizeCookie(cookie) {
+    const sameSite = SAME_SITE[String(cookie.sameSite).toLowerCase()];
+    return {
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain,
+        path: cookie.path || '/',
+        secure: Boolean(cookie.secure),
+        httpOnly: Boolean(cookie.httpOnly),
+        ...(cookie.expires > 0 || cookie.expirationDate ? { expires: cookie.expires > 0 ? cookie.expires : cookie.expirationDate } : {}),
+        ...(sameSite ? { sameSite } : {})
+    };
+}
+
+function readCookieFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const cookies = text.trim().startsWith('[') ? JSON.parse(text) : parseNetscapeCookies(text);
+    return cookies.filter(cookie => cookie.name && cookie.domain).map(normalizeCookie);
+}
+
+/**
+ * Loads a cookie file into the browser. Returns how many cookies were set
+ * (0 when the file doesn't exist yet).
+ */
+async function importCookies(page, file) {
+    if (!file || !fs.existsSync(file)) return 0;
+    const cookies = readCookieFile(file);
+    if (cookies.length) await page.setCookie(...cookies);
+    return cookies.length;
+}
+
+// Saves Medium's cookies. Readable only by you - it's a login.
+async function exportCookies(page, file, baseUrl) {
+    const cookies = await page.cookies(baseUrl);
+    fs.writeFileSync(file, JSON.stringify(cookies, null, 2), { mode: 0o600 });
+    // `mode` only applies when the file is created - tighten one that was already there
+    fs.chmodSync(file, 0o600);
+    return cookies.length;
+}
+
+// ============================================================
+// CHECKS
+// ============================================================
+
+/**
+ * Opens Medium's home page and reports
+ * { loggedIn, via: 'profile menu' | 'cookies' | null, profileMenu, signInLink, cookie }.
+ */
+async function checkSession(page, baseUrl) {
+    await page.goto(`${baseUrl}/`, { waitUntil: 'networkidle2', timeout: 30000 });
+
+    const seen = await page.evaluate(selectors => ({
+        profileMenu: selectors.some(selector => document.querySelector(`nav ${selector}, header ${selector}`)),
+        signInLink: [...document.querySelectorAll('a, button')]
+            .some(node => /^sign in$/i.test((node.textContent || '').trim()))
+    }), PROFILE_MENU_SELECTORS);
+    const cookie = hasSessionCookie(await page.cookies(baseUrl));
+
+    if (seen.profileMenu && !seen.signInLink) return { loggedIn: true, via: 'profile menu', ...seen, cookie };
+    if (seen.signInLink) return { loggedIn: false, via: null, ...seen, cookie };
+    return { loggedIn: cookie, via: cookie ? 'cookies' : null, ...seen, cookie };
+}
+
+module.exports = {
+    isSignInUrl,
+    hasSessionCookie,
+    parseNetscapeCookies,
+    importCookies,
+    exportCookies,
+    checkSession
+};
@@ -0,0 +1,231 @@
+/**
+ * ============================================================
+ * Story index - what's already on Medium
+ * ============================================================
+ *
+ * If a run dies after Medium created a draft but before the
+ * progress file was saved, the next run would import the post
+ * again. To catch that, the importer keeps an index of the
+ * account's stories in CONFIG.storyIndexFile:
+ *
+ *   {
+ *     "updatedAt": "...",
+ *     "stories": {
+ *       "<storyId>": { id, title, status, editUrl, publishedUrl, canonicalUrl }
+ *     }
+ *   }
+ *
+ * built by scrolling through Medium's drafts and published
+ * lists. The source URL of each story comes from its canonical
+ * link or the "Originally published at" line Medium's importer
+ * adds; it's looked up once per story and then kept.
+ *
+ * Source posts match a story by canonical URL, or failing
+ * that by title (ignoring case and punctuation).
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const { dedupeKey } = require('./discover');
+const { normalizeTitle } = require('./verify');
+const { findPostTitle } = require('./wordpress');
+
+const LIST_PAGES = [
+    { status: 'draft', path: '/me/stories/drafts' },
+    { status: 'published', path: '/me/stories/public' }
+];
+
+const MAX_SCROLLS = 60;
+
+// CONFIG.duplicateCheck values
+const DUPLICATE_CHECKS = ['skip', 'flag', 'off'];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================
+// SCRAPING
+// ============================================================
+
+// Runs in the browser: every story link on a list page
+function collectStoryLinks() {
+    const stories = {};
+    document.querySelectorAll('a[href]').forEach(link => {
+        const href = link.href.split('?')[0];
+        const edit = href.match(/\/p\/([0-9a-f]{8,16})\/edit$/i);
+        const published = href.match(/-([0-9a-f]{8,16})$/i) || href.match(/\/p\/([0-9a-f]{8,16})$/i);
+        const match = edit || published;
+        if (!match) return;
+
+        const card = link.closest('article, li, [role="listitem"]') || link.parentElement || link;
+        const heading = card.querySelector('h2, h3');
+        const story = stories[match[1]] || { id: match[1] };
+        story.title = story.title || (heading ? heading.innerText : link.innerText).trim();
+        if (edit) story.editUrl = href;
+        else story.publishedUrl = href;
+        stories[match[1]] = story;
+    });
+    return Object.values(stories);
+}
+
+// The lists load more stories as you scroll
+async function scrapeList(page, url) {
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+    let stories = await page.evaluate(collectStoryLinks);
+    for (let i = 0; i < MAX_SCROLLS; i++) {
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+        await sleep(1500);
+        const more = await page.evaluate(collectStoryLinks);
+        if (more.length <= stories.length) break;
+        stories = more;
+    }
+    return stories;
+}
+
+// Canonical link (published stories), "Originally published at"
+// link (imported drafts), or the story settings page
+async function findSourceUrl(page, story, baseUrl) {
+    const foreign = url => url && !new URL(url).hostname.endsWith(new URL(baseUrl).hostname);
+
+    const pages = [story.publishedUrl, story.editUrl, `${baseUrl}/p/${story.id}/settings`].filter(Boolean);
+    for (const url of pages) {
+        try {
+            await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+            const found = await page.evaluate(() => {
+                const canonical = document.querySelector('link[rel="canonical"]');
+                const original = [...document.querySelectorAll('a[href]')].reverse()
+                    .find(link => /originally published at/i.test((link.parentElement || link).innerText || ''));
+                const input = [...document.querySelectorAll('input')]
+                    .find(field => /^https?:\/\//.test(field.value || ''));
+                return [canonical && canonical.href, original && original.href, input && input.value];
+            });
+            const source = found.find(candidate => {
+                try {
+                    return foreign(candidate);
+                } catch (error) {
+                    return false;
+                }
+            });
+            if (source) return source;
+        } catch (error) {
+            // Try the next page
+        }
+    }
+    return null;
+}
+
+// ============================================================
+// INDEX
+// ============================================================
+
+/**
+ * Opens (or creates) the index at `filename`.
+ */
+function createStoryIndex(filename) {
+    let data = { updatedAt: null, stories: {} };
+    if (filename && fs.existsSync(filename)) {
+        try {
+            data = JSON.parse(fs.readFileSync(filename, 'utf8'));
+        } catch (error) {
+            console.log(`⚠️  Ignoring unreadable story index ${filename}: ${error.message}`);
+        }
+    }
+
+    const titleCache = new Map();
+
+    return {
+        stories() {
+            return Object.values(data.stories);
+        },
+
+        add(story) {
+            data.stories[story.id] = { ...data.stories[story.id], ...story };
+        },
+
+        /**
+         * Scrapes the drafts and published lists and looks up the
+         * source URL of stories the index hasn't seen before.
+         */
+        async refresh(page, baseUrl) {
+            const seen = new Set();
+            let complete = true;
+
+            for (const list of LIST_PAGES) {
+                let found = [];
+                try {
+                    found = await scrapeList(page, `${baseUrl}${list.path}`);
+                } catch (error) {
+                    console.log(`  ⚠️  Could not read ${list.path}: ${error.message}`);
+                    complete = false;
+                    continue;
+                }
+                console.log(`  📚 ${list.path}: ${found.length} stor${found.length === 1 ? 'y' : 'ies'}`);
+                found.forEach(story => {
+                    seen.add(story.id);
+                    this.add({ ...story, status: list.status });
+                });
+            }
+
+            // Stories deleted on Medium drop out - but only when both lists were read
+            if (complete) {
+                Object.keys(data.stories).filter(id => !seen.has(id)).forEach(id => delete data.stories[id]);
+            }
+
+            const unknown = this.stories().filter(story => seen.has(story.id) && story.canonicalUrl === undefined);
+            for (let i = 0; i < unknown.length; i++) {
+                console.log(`  🔗 [${i + 1}/${unknown.length}] Source of "${unknown[i].title || unknown[i].id}"`);
+                unknown[i].canonicalUrl = await findSourceUrl(page, unknown[i], baseUrl);
+            }
+
+            data.updatedAt = new Date().toISOString();
+            return this.stories().length;
+        },
+
+        /**
+         * Finds a story that is `url` already. Returns
+         * { story, matchedBy: 'canonical URL' | 'title' } or null.
+         */
+        async match(url) {
+            const key = dedupeKey(url);
+            const byUrl = this.stories().find(story => story.canonicalUrl && dedupeKey(story.canonicalUrl) === key);
+            if (byUrl) return { story: byUrl, matchedBy: 'canonical URL' };
+
+            // Titles only matter for stories whose source is unknown
+            const candidates = this.stories().filter(story => !story.canonicalUrl && story.title);
+            if (!candidates.length) return null;
+
+            if (!titleCache.has(url)) titleCache.set(url, normalizeTitle(await findPostTitle(url)));
+            const title = titleCache.get(url);
+            const byTitle = title && candidates.find(story => normalizeTitle(story.title) === title);
+            return byTitle ? { story: byTitle, matchedBy: 'title' } : null;
+        },
+
+        /**
+         * Stories that are the same post more than once:
+         * [{ key, stories }] grouped by source URL (or title).
+         */
+        duplicates() {
+            const groups = new Map();
+            this.stories().forEach(story => {
+                const key = story.canonicalUrl ? dedupeKey(story.canonicalUrl) : `title: ${normalizeTitle(story.title)}`;
+                if (key === 'title: ') return;
+                groups.set(key, [...(groups.get(key) || []), story]);
+            });
+            return [...groups.entries()]
+                .filter(([, stories]) => stories.length > 1)
+                .map(([key, stories]) => ({ key, stories }));
+        },
+
+        save() {
+            if (filename) fs.writeFileSync(filename, JSON.stringify(data, null, 2));
+        }
+    };
+}
+
+module.exports = {
+    DUPLICATE_CHECKS,
+    createStoryIndex
+};
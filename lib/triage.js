@@ -0,0 +1,254 @@
+/**
+ * ============================================================
+ * Triage - guess which URLs Medium will import
+ * ============================================================
+ *
+ * Pre-checks every source URL without touching Medium and puts
+ * it in one of three buckets:
+ *
+ *   likely   - clean 200, readable article, nothing unusual
+ *   risky    - worth a try, but something looks off
+ *   blocked  - Medium won't be able to read it (or already
+ *              said "cannot be imported")
+ *
+ * What's checked: HTTP status, redirects, response size, a
+ * readable <article>/.entry-content body, paywall or JS-only
+ * rendering, image count and publish date.
+ *
+ * It also learns from the progress file: if most earlier posts
+ * sharing a trait (same year, lots of images, redirected...)
+ * failed, untried posts with that trait are flagged as risky.
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const { extractPublishedDate } = require('./wordpress');
+
+const REQUEST_TIMEOUT = 20000;
+const MAX_REDIRECTS = 5;
+
+const LARGE_PAGE_BYTES = 2 * 1024 * 1024;
+const MANY_IMAGES = 30;
+const MIN_ARTICLE_WORDS = 150;
+
+// A trait is a pattern once this many tried posts share it
+// and at least this share of them failed
+const PATTERN_MIN_SAMPLES = 3;
+const PATTERN_FAIL_RATE = 0.6;
+
+const PAYWALL_MARKERS = /(memberpress|pmpro|paid-memberships|class="[^"]*paywall|restrict-content|subscribe to (read|continue))/i;
+const JS_ONLY_MARKERS = /(enable javascript|<div id="(root|app|__next)"><\/div>|__NEXT_DATA__)/i;
+
+const BUCKETS = ['likely', 'risky', 'blocked'];
+
+// ============================================================
+// FETCH + ANALYSIS
+// ============================================================
+
+// Follows redirects by hand so each hop can be reported
+async function fetchWithRedirects(url) {
+    const redirects = [];
+    let current = url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const response = await fetch(current, {
+            redirect: 'manual',
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+            headers: { 'User-Agent': 'Mozilla/5.0 (medium-importer triage)' }
+        });
+        const location = response.headers.get('location');
+
+        if (response.status >= 300 && response.status < 400 && location) {
+            const next = new URL(location, current).href;
+            redirects.push({ status: response.status, to: next });
+            current = next;
+            continue;
+        }
+
+        return { status: response.status, finalUrl: current, redirects, body: await response.text() };
+    }
+
+    throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+}
+
+function articleBody(html) {
+    const article = html.match(/<article[\s>][\s\S]*?<\/article>/i);
+    if (article) return article[0];
+
+    // No <article> - everything from WordPress's content wrapper on
+    const start = html.search(/class="[^"]*entry-content/i);
+    return start >= 0 ? html.slice(start) : null;
+}
+
+function countWords(html) {
+    return html
+        .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean).length;
+}
+
+function analyzeHtml(html) {
+    const body = articleBody(html);
+    return {
+        hasArticle: Boolean(body),
+        words: countWords(body || html),
+        images: ((body || html).match(/<img[\s>]/gi) || []).length,
+        paywall: PAYWALL_MARKERS.test(html),
+        jsOnly: JS_ONLY_MARKERS.test(html) && countWords(html) < MIN_ARTICLE_WORDS,
+        publishedAt: extractPublishedDate(html)
+    };
+}
+
+async function checkUrl(url) {
+    try {
+        const response = await fetchWithRedirects(url);
+        return {
+            url,
+            status: response.status,
+            finalUrl: response.finalUrl,
+            redirects: response.redirects,
+            bytes: Buffer.byteLength(response.body),
+            ...analyzeHtml(response.body)
+        };
+    } catch (error) {
+        return { url, status: null, error: error.message, redirects: [] };
+    }
+}
+
+// ============================================================
+// CLASSIFICATION
+// ============================================================
+
+function traitsOf(check) {
+    const traits = [];
+    if (check.publishedAt) traits.push(`published in ${check.publishedAt.slice(0, 4)}`);
+    if (check.redirects && check.redirects.length) traits.push('redirected');
+    if (check.images >= MANY_IMAGES) traits.push(`${MANY_IMAGES}+ images`);
+    if (check.bytes >= LARGE_PAGE_BYTES) traits.push('page over 2 MB');
+    if (check.hasArticle === false) traits.push('no <article> element');
+    return traits;
+}
+
+/**
+ * Failure rate per trait among posts that were already tried.
+ * Returns [{ trait, failed, tried }] for traits that look like a pattern.
+ */
+function learnFailurePatterns(checks, store) {
+    const stats = new Map();
+
+    checks.forEach(check => {
+        const record = store.get(check.url);
+        if (!record || !['imported', 'verified', 'failed-retryable', 'failed-permanent'].includes(record.state)) return;
+
+        const failed = record.state.startsWith('failed');
+        traitsOf(check).forEach(trait => {
+            const stat = stats.get(trait) || { trait, failed: 0, tried: 0 };
+            stat.tried++;
+            if (failed) stat.failed++;
+            stats.set(trait, stat);
+        });
+    });
+
+    return [...stats.values()].filter(stat =>
+        stat.tried >= PATTERN_MIN_SAMPLES && stat.failed / stat.tried >= PATTERN_FAIL_RATE);
+}
+
+function classify(check, store, patterns) {
+    const blocked = [];
+    const risky = [];
+    const record = store.get(check.url);
+    const sameHost = (a, b) => new URL(a).hostname.replace(/^www\./, '') === new URL(b).hostname.replace(/^www\./, '');
+
+    if (check.error) blocked.push(`request failed: ${check.error}`);
+    else if (check.status >= 400) blocked.push(`HTTP ${check.status}`);
+
+    if (check.finalUrl && !sameHost(check.url, check.finalUrl)) blocked.push(`redirects off-site to ${check.finalUrl}`);
+    if (check.paywall) blocked.push('looks paywalled / members-only');
+    if (check.jsOnly) blocked.push('content is rendered by JavaScript');
+    if (record && record.state === 'failed-permanent') blocked.push('Medium said "cannot be imported" before');
+
+    if (!check.error) {
+        if (check.redirects.length && check.finalUrl && sameHost(check.url, check.finalUrl)) {
+            risky.push(`${check.redirects.length} redirect(s) → ${check.finalUrl}`);
+        }
+        if (!check.hasArticle) risky.push('no <article> or .entry-content element');
+        if (check.words < MIN_ARTICLE_WORDS) risky.push(`only ${check.words} words of text`);
+        if (check.images >= MANY_IMAGES) risky.push(`${check.images} images`);
+        if (check.bytes >= LARGE_PAGE_BYTES) risky.push(`${Math.round(check.bytes / 1024)} KB page`);
+        if (!check.publishedAt) risky.push('no publish date in the page metadata');
+    }
+
+    if (record && record.state === 'failed-retryable') {
+        risky.push(`failed ${record.attempts.filter(attempt => !attempt.ok).length} time(s) before`);
+    }
+
+    // Only untried posts need the learned patterns - tried ones have their own history
+    if (!record || record.state === 'pending') {
+        const traits = traitsOf(check);
+        patterns
+            .filter(pattern => traits.includes(pattern.trait))
+            .forEach(pattern => risky.push(`${pattern.failed} of ${pattern.tried} earlier posts ${pattern.trait} failed`));
+    }
+
+    if (blocked.length) return { bucket: 'blocked', reasons: [...blocked, ...risky] };
+    if (risky.length) return { bucket: 'risky', reasons: risky };
+    return { bucket: 'likely', reasons: [] };
+}
+
+/**
+ * Checks every URL and returns { results, patterns }.
+ * Each result is the check plus { bucket, reasons }.
+ */
+async function triageUrls(urls, store) {
+    const checks = [];
+    for (let i = 0; i < urls.length; i++) {
+        console.log(`  🔎 [${i + 1}/${urls.length}] ${urls[i]}`);
+        checks.push(await checkUrl(urls[i]));
+    }
+
+    const patterns = learnFailurePatterns(checks, store);
+    const results = checks.map(check => ({ ...check, ...classify(check, store, patterns) }));
+    return { results, patterns };
+}
+
+/**
+ * Writes <base>_likely.txt, <base>_risky.txt, <base>_blocked.txt
+ * (importer-ready URL lists, reasons as comments) and <base>_report.json.
+ */
+function writeTriage(results, patterns, baseName) {
+    const files = [];
+
+    BUCKETS.forEach(bucket => {
+        const file = `${baseName}_${bucket}.txt`;
+        const lines = [`# ${bucket.toUpperCase()} - ${new Date().toISOString().slice(0, 10)}`, ''];
+        results.filter(result => result.bucket === bucket).forEach(result => {
+            result.reasons.forEach(reason => lines.push(`# ${reason}`));
+            lines.push(result.url, '');
+        });
+        fs.writeFileSync(file, lines.join('\n'));
+        files.push(file);
+    });
+
+    const reportFile = `${baseName}_report.json`;
+    fs.writeFileSync(reportFile, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        patterns,
+        results: results.map(({ url, bucket, reasons, status, finalUrl, redirects, bytes, hasArticle, words, images, paywall, jsOnly, publishedAt, error }) => ({
+            url, bucket, reasons, status, finalUrl, redirects, bytes, hasArticle, words, images, paywall, jsOnly, publishedAt, error
+        }))
+    }, null, 2));
+    files.push(reportFile);
+
+    return files;
+}
+
+module.exports = {
+    BUCKETS,
+    analyzeHtml,
+    learnFailurePatterns,
+    classify,
+    triageUrls,
+    writeTriage
+};
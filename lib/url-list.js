@@ -0,0 +1,287 @@
+/**
+ * ============================================================
+ * URL lists - every format we get posts in
+ * ============================================================
+ *
+ * CONFIG.urlsFile can be any of:
+ *
+ *   .txt / .md  one URL per line, "# comments", Markdown or
+ *               bullet lists ("* https://...", "- [Title](https://...)").
+ *               "## Section ##" (or "# Section #") headers tag
+ *               the URLs below them with the section name. A URL
+ *               inside a sentence is not taken, so a README or
+ *               notes file can sit in the same list
+ *   .csv        a header row with url (or link), title, date,
+ *               tags columns - tags separated by ; or |
+ *   .json       a list of URLs or of { url|link, title, date, tags }
+ *               objects (the discover command's .json works), or
+ *               a progress file - its failed URLs are loaded
+ *   .xml        a WordPress export (WXR) - published posts, with
+ *               their categories and tags - or an RSS feed
+ *
+ * Every URL is normalized: https, lower-case host, no tracking
+ * parameters (utm_*, fbclid, ...) or #fragment, and a trailing
+ * slash on WordPress-style paths. www and non-www count as the
+ * same post, and duplicates are dropped (their tags merged).
+ * URLs that can't be posts - feeds, sitemaps, /wp-json/, tag
+ * and category archives - are dropped too.
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeDate, parseRestPosts, parseRssItems, parseWxrItems } = require('./wordpress');
+const { TRACKING_PARAMS, dedupeKey, isPostUrl } = require('./discover');
+
+// "## Section ##" or "# Section #" - a plain "# ..." or "## Heading" is prose
+const SECTION_HEADER = /^#+\s*(.+?)\s*#+$/;
+
+// What a line may hold once the bullet ("* ", "- ", "1. ") is off:
+// a bare URL or a Markdown link, nothing else
+const BULLET = /^(?:[*+-]|\d+[.)])\s+/;
+const BARE_URL = /^<?(https?:\/\/[^\s<>]+?)>?$/i;
+const MARKDOWN_LINK = /^\[([^\]]*)\]\(\s*(https?:\/\/[^\s)]+)(?:\s+"[^"]*")?\s*\)$/i;
+
+/**
+ * Canonical form of a post URL, or null if it isn't an http(s) URL.
+ */
+function normalizeUrl(raw) {
+    let url;
+    try {
+        url = new URL(String(raw).trim().replace(/[.,;:!?]+$/, ''));
+    } catch (error) {
+        return null;
+    }
+    if (!/^https?:$/.test(url.protocol)) return null;
+
+    url.protocol = 'https:';
+    url.hash = '';
+    [...url.searchParams.keys()]
+        .filter(key => TRACKING_PARAMS.test(key))
+        .forEach(key => url.searchParams.delete(key));
+
+    // WordPress permalinks end in a slash; files (.html, .php) don't
+    const last = url.pathname.split('/').pop();
+    if (url.pathname !== '/' && !url.pathname.endsWith('/') && !last.includes('.')) {
+        url.pathname += '/';
+    }
+
+    return url.href;
+}
+
+// ============================================================
+// FORMATS
+// ============================================================
+
+function splitTags(value) {
+    if (Array.isArray(value)) return value.map(String).map(tag => tag.trim()).filter(Boolean);
+    return String(value || '').split(/[;|]/).map(tag => tag.trim()).filter(Boolean);
+}
+
+function parseText(content) {
+    let section = null;
+    const entries = [];
+
+    content.split('\n').forEach(line => {
+        const header = line.trim().match(SECTION_HEADER);
+        if (header) {
+            section = header[1];
+            return;
+        }
+
+        // A comment is a line starting with # or " # ..." after the URL
+        const text = line.replace(/\s+#.*$/, '').trim();
+        if (!text || text.startsWith('#')) return;
+
+        const item = text.replace(BULLET, '');
+        const link = item.match(MARKDOWN_LINK);
+        const bare = !link && item.match(BARE_URL);
+        if (!link && !bare) return;
+
+        entries.push({
+            url: link ? link[2] : bare[1],
+            title: link ? link[1].trim() : '',
+            date: null,
+            tags: section ? [section] : []
+        });
+    });
+
+    return entries;
+}
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and newlines
+function parseCsvRows(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function parseCsv(content) {
+    const [header, ...rows] = parseCsvRows(content);
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    const column = (...names) => columns.findIndex(name => names.includes(name));
+    const urlColumn = column('url', 'link', 'wordpressurl', 'source');
+    if (urlColumn < 0) throw new Error('CSV needs a "url" (or "link") column');
+
+    const titleColumn = column('title');
+    const dateColumn = column('date', 'published', 'publishedat');
+    const tagsColumn = column('tags', 'tag', 'categories', 'section');
+    const cell = (row, index) => (index >= 0 && row[index] ? row[index].trim() : '');
+
+    return rows.map(row => ({
+        url: cell(row, urlColumn),
+        title: cell(row, titleColumn),
+        date: normalizeDate(cell(row, dateColumn)),
+        tags: splitTags(cell(row, tagsColumn))
+    }));
+}
+
+function parseJson(content) {
+    const json = JSON.parse(content);
+
+    // A progress file: retry what failed
+    if (json && !Array.isArray(json) && (json.urls || json.failed)) {
+        if (json.urls) {
+            return Object.entries(json.urls)
+                .filter(([, item]) => /^failed/.test(item.state))
+                .map(([url]) => ({ url, title: '', date: null, tags: [] }));
+        }
+        return json.failed.map(item => ({ url: item.url, title: '', date: null, tags: [] }));
+    }
+
+    const items = Array.isArray(json) ? json : json.posts || [];
+    if (items.length && items.every(item => item && item.link && item.title && item.title.rendered !== undefined)) {
+        return parseRestPosts(items).map(post => ({ ...post, tags: [] }));
+    }
+
+    return items.map(item => (typeof item === 'string'
+        ? { url: item, title: '', date: null, tags: [] }
+        : {
+            url: item.url || item.link,
+            title: (item.title && item.title.rendered) || item.title || '',
+            date: normalizeDate(item.date),
+            tags: splitTags(item.tags || item.section)
+        }));
+}
+
+function parseXml(content) {
+    if (/<wp:post_type|xmlns:wp=/i.test(content)) return parseWxrItems(content);
+    return parseRssItems(content).map(post => ({ ...post, tags: [] }));
+}
+
+function detectFormat(filename, content) {
+    const extension = path.extname(filename).toLowerCase();
+    if (extension === '.csv') return 'csv';
+    if (extension === '.json') return 'json';
+    if (extension === '.xml') return 'xml';
+
+    const start = content.trimStart();
+    if (start.startsWith('<?xml') || start.startsWith('<rss')) return 'xml';
+    if (start.startsWith('[') || start.startsWith('{')) return 'json';
+    return 'text';
+}
+
+const PARSERS = { text: parseText, csv: parseCsv, json: parseJson, xml: parseXml };
+
+// ============================================================
+// LOADING
+// ============================================================
+
+/**
+ * Normalizes and dedupes entries from one or more lists.
+ * Returns { entries, dropped: { invalid, notPosts, duplicates } }.
+ */
+function mergeEntries(parsed) {
+    const merged = new Map();
+    const dropped = { invalid: 0, notPosts: 0, duplicates: 0 };
+
+    parsed.forEach(entry => {
+        const url = normalizeUrl(entry.url);
+        if (!url) {
+            dropped.invalid++;
+            return;
+        }
+        if (!isPostUrl(url)) {
+            dropped.notPosts++;
+            return;
+        }
+
+        const key = dedupeKey(url);
+        const existing = merged.get(key);
+        if (existing) {
+            dropped.duplicates++;
+            existing.title = existing.title || entry.title || '';
+            existing.date = existing.date || entry.date || null;
+            existing.tags = [...new Set([...existing.tags, ...(entry.tags || [])])];
+            return;
+        }
+        merged.set(key, { url, title: entry.title || '', date: entry.date || null, tags: [...new Set(entry.tags || [])] });
+    });
+
+    return { entries: [...merged.values()], dropped };
+}
+
+// Entries with one of `tags` (any case)
+function filterByTags(entries, tags) {
+    if (!tags || !tags.length) return entries;
+    const wanted = tags.map(tag => tag.toLowerCase());
+    return entries.filter(entry => entry.tags.some(tag => wanted.includes(tag.toLowerCase())));
+}
+
+/**
+ * Reads a URL list in any supported format.
+ * Returns { entries: [{ url, title, date, tags }], format, dropped }
+ * where dropped counts invalid, non-post and duplicate URLs. `onlyTags`
+ * (array) keeps only entries with one of those tags.
+ */
+function loadUrlList(filename, { onlyTags = null } = {}) {
+    const content = fs.readFileSync(filename, 'utf-8').replace(/^\uFEFF/, '');
+    const format = detectFormat(filename, content);
+    const { entries, dropped } = mergeEntries(PARSERS[format](content));
+
+    return { entries: filterByTags(entries, onlyTags), format, dropped };
+}
+
+module.exports = {
+    normalizeUrl,
+    mergeEntries,
+    filterByTags,
+    loadUrlList
+};
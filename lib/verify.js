@@ -0,0 +1,187 @@
+/**
+ * ============================================================
+ * Draft verification
+ * ============================================================
+ *
+ * Loads each imported draft and the original WordPress post in
+ * the browser and compares them:
+ *
+ *   title        - same title (ignoring case and punctuation)
+ *   words        - draft has roughly as many words as the post
+ *   images       - no images lost
+ *   code blocks  - no <pre> blocks lost
+ *   canonical    - Medium's canonical link points at the post
+ *
+ * Each check is pass / warn / fail, and a post gets the worst
+ * of its checks.
+ *
+ * ============================================================
+ */
+
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+// Words may shrink a little (Medium drops share buttons, captions
+// etc.) - anything beyond these ratios is worth a look
+const WORDS_WARN_RATIO = 0.9;
+const WORDS_FAIL_RATIO = 0.7;
+
+const SOURCE_SELECTORS = {
+    title: ['h1.entry-title', 'article h1', '.post-title', 'h1'],
+    body: ['article .entry-content', '.entry-content', '.post-content', 'article', 'main']
+};
+
+const DRAFT_SELECTORS = {
+    title: ['[data-testid="editorTitleParagraph"]', 'h3.graf--title', 'article h1', 'article h3', 'h1'],
+    body: ['article', '.postArticle-content', '[role="main"]', 'main']
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Runs inside the browser - counts what a reader would see
+async function analyzePage(page, selectors) {
+    return page.evaluate(({ title, body }) => {
+        const first = list => list.map(selector => document.querySelector(selector)).find(Boolean);
+        const titleEl = first(title);
+        const ogTitle = document.querySelector('meta[property="og:title"]');
+        const root = first(body) || document.body;
+
+        const images = [...root.querySelectorAll('img')].filter(img => {
+            const width = img.naturalWidth || Number(img.getAttribute('width')) || 100;
+            return !img.classList.contains('emoji') && !img.closest('nav, header, footer') && width >= 40;
+        });
+        const codeBlocks = [...root.querySelectorAll('pre, .syntaxhighlighter')]
+            .filter(el => !el.parentElement.closest('pre, .syntaxhighlighter'));
+        const canonical = document.querySelector('link[rel="canonical"]');
+
+        return {
+            title: (titleEl && titleEl.innerText.trim()) || (ogTitle && ogTitle.content) || document.title,
+            words: (root.innerText || '').split(/\s+/).filter(Boolean).length,
+            images: images.length,
+            codeBlocks: codeBlocks.length,
+            canonical: canonical ? canonical.href : null
+        };
+    }, selectors);
+}
+
+function normalizeTitle(title) {
+    return String(title || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function normalizeUrl(url) {
+    return String(url || '').replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, '');
+}
+
+// ============================================================
+// CHECKS
+// ============================================================
+
+function checkTitle(source, draft) {
+    const a = normalizeTitle(source);
+    const b = normalizeTitle(draft);
+    if (a === b) return { status: 'pass' };
+    if (a && b && (a.includes(b) || b.includes(a))) {
+        return { status: 'warn', note: 'titles only partly match' };
+    }
+    return { status: 'fail', note: 'titles differ' };
+}
+
+function checkWords(source, draft) {
+    if (!source) return { status: 'warn', note: 'no words found in the source post' };
+    const ratio = draft / source;
+    const note = `${Math.round(ratio * 100)}% of source`;
+    if (ratio >= WORDS_WARN_RATIO) return { status: 'pass', note };
+    if (ratio >= WORDS_FAIL_RATIO) return { status: 'warn', note };
+    return { status: 'fail', note };
+}
+
+// Images and code blocks: losing some is a warning, losing all is a failure
+function checkCount(source, draft, label) {
+    if (draft >= source) return { status: 'pass' };
+    if (draft === 0) return { status: 'fail', note: `all ${label} missing` };
+    return { status: 'warn', note: `${source - draft} ${label} missing` };
+}
+
+function checkCanonical(sourceUrl, canonical) {
+    if (!canonical) return { status: 'warn', note: 'canonical link not found' };
+    if (normalizeUrl(canonical) === normalizeUrl(sourceUrl)) return { status: 'pass' };
+    return { status: 'fail', note: `points to ${canonical}` };
+}
+
+function worstStatus(statuses) {
+    return statuses.reduce((worst, status) =>
+        STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst, 'pass');
+}
+
+function compareArticles(sourceUrl, source, draft) {
+    const checks = [
+        { name: 'title', source: source.title, draft: draft.title, ...checkTitle(source.title, draft.title) },
+        { name: 'words', source: source.words, draft: draft.words, ...checkWords(source.words, draft.words) },
+        { name: 'images', source: source.images, draft: draft.images, ...checkCount(source.images, draft.images, 'images') },
+        { name: 'codeBlocks', source: source.codeBlocks, draft: draft.codeBlocks, ...checkCount(source.codeBlocks, draft.codeBlocks, 'code blocks') },
+        { name: 'canonical', source: sourceUrl, draft: draft.canonical, ...checkCanonical(sourceUrl, draft.canonical) }
+    ];
+    return { status: worstStatus(checks.map(check => check.status)), checks };
+}
+
+// ============================================================
+// BROWSER
+// ============================================================
+
+// Drafts don't expose the canonical link in the editor - published
+// stories have it in <head>, drafts show it on the story settings page
+async function findCanonical(page, story, published, baseUrl) {
+    if (published && published.publishedUrl) {
+        await page.goto(published.publishedUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        return analyzePage(page, DRAFT_SELECTORS).then(result => result.canonical);
+    }
+    if (!story.storyId) return null;
+
+    await page.goto(`${baseUrl}/p/${story.storyId}/settings`, { waitUntil: 'networkidle2', timeout: 30000 });
+    const found = await page.evaluate(sourceUrl => {
+        const strip = url => url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, '');
+        const values = [...document.querySelectorAll('input, a')].map(el => el.value || el.href || '');
+        const text = document.body.innerText;
+        return values.concat(text.match(/https?:\/\/\S+/g) || [])
+            .find(value => strip(value) === strip(sourceUrl)) || null;
+    }, story.url);
+    return found;
+}
+
+/**
+ * Verifies one imported story.
+ * Returns { url, storyId, editUrl, status, checks, verifiedAt }.
+ */
+async function verifyStory(page, story, options = {}) {
+    const record = {
+        url: story.url,
+        storyId: story.storyId,
+        editUrl: story.editUrl,
+        verifiedAt: new Date().toISOString()
+    };
+
+    try {
+        await page.goto(story.url, { waitUntil: 'networkidle2', timeout: 30000 });
+        const source = await analyzePage(page, SOURCE_SELECTORS);
+
+        await page.goto(story.editUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        await sleep(2000);
+        const draft = await analyzePage(page, DRAFT_SELECTORS);
+        draft.canonical = await findCanonical(page, story, options.published, options.baseUrl);
+
+        return { ...record, ...compareArticles(story.url, source, draft) };
+    } catch (error) {
+        return { ...record, status: 'fail', checks: [], error: error.message };
+    }
+}
+
+module.exports = {
+    STATUS_ORDER,
+    normalizeTitle,
+    compareArticles,
+    verifyStory
+};
@@ -0,0 +1,288 @@
+/**
+ * ============================================================
+ * WordPress helpers
+ * ============================================================
+ *
+ * Reads post metadata straight from the WordPress site so the
+ * importer doesn't have to rely on the order of urls.txt, and
+ * can tag published stories with the post's tags/categories.
+ *
+ * Publish dates - sources, tried in this order:
+ * 1. A saved REST API response or RSS export (CONFIG.datesFile)
+ * 2. The live REST API: /wp-json/wp/v2/posts?slug=<slug>
+ * 3. The post page itself: article:published_time meta tag
+ *    or JSON-LD "datePublished"
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+
+const REQUEST_TIMEOUT = 15000;
+
+// ============================================================
+// HTTP
+// ============================================================
+
+async function fetchText(url) {
+    const response = await fetch(url, {
+        redirect: 'follow',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+        headers: { 'User-Agent': 'Mozilla/5.0 (medium-importer)' }
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+    return response.text();
+}
+
+// ============================================================
+// PARSING
+// ============================================================
+
+function normalizeDate(value) {
+    if (!value) return null;
+    const date = new Date(String(value).trim());
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function getSlug(url) {
+    try {
+        const parts = new URL(url).pathname.split('/').filter(Boolean);
+        return parts.length ? parts[parts.length - 1] : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Matches posts by slug so http/https or trailing-slash differences don't matter
+function keyFor(url) {
+    return getSlug(url) || url;
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+function getXmlTag(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+    return match ? decodeXml(match[1].trim()) : null;
+}
+
+// Same fields as extractFromJSON() in netjoints_url_extractor.html
+function parseRestPosts(json) {
+    const posts = Array.isArray(json) ? json : [];
+    return posts
+        .filter(post => post && post.link)
+        .map(post => ({
+            url: post.link,
+            title: decodeXml((post.title && post.title.rendered) || ''),
+            date: normalizeDate(post.date_gmt ? `${post.date_gmt}Z` : post.date)
+        }));
+}
+
+// Same fields as extractFromRSS() in netjoints_url_extractor.html
+function parseRssItems(xml) {
+    const items = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || [];
+    return items
+        .map(item => ({
+            url: getXmlTag(item, 'link'),
+            title: getXmlTag(item, 'title') || '',
+            date: normalizeDate(getXmlTag(item, 'pubDate'))
+        }))
+        .filter(post => post.url);
+}
+
+// WordPress export (Tools → Export, "WXR") - published posts only
+function parseWxrItems(xml) {
+    const items = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || [];
+    return items
+        .filter(item => (getXmlTag(item, 'wp:post_type') || 'post') === 'post')
+        .filter(item => (getXmlTag(item, 'wp:status') || 'publish') === 'publish')
+        .map(item => {
+            const gmt = getXmlTag(item, 'wp:post_date_gmt');
+            const categories = item.match(/<category[^>]*>[\s\S]*?<\/category>/gi) || [];
+            return {
+                url: getXmlTag(item, 'link'),
+                title: getXmlTag(item, 'title') || '',
+                date: (gmt && !gmt.startsWith('0000') && normalizeDate(`${gmt.replace(' ', 'T')}Z`))
+                    || normalizeDate(getXmlTag(item, 'pubDate')),
+                tags: categories.map(category => decodeXml(category.replace(/^<category[^>]*>/i, '').replace(/<\/category>$/i, '')))
+                    .filter(name => name && name.toLowerCase() !== 'uncategorized')
+            };
+        })
+        .filter(post => post.url);
+}
+
+function extractPublishedDate(html) {
+    // <meta property="article:published_time" content="...">
+    const metaTags = html.match(/<meta[^>]+>/gi) || [];
+    for (const tag of metaTags) {
+        if (/(property|name)=["']article:published_time["']/i.test(tag)) {
+            const content = tag.match(/content=["']([^"']+)["']/i);
+            const date = content && normalizeDate(content[1]);
+            if (date) return date;
+        }
+    }
+
+    // JSON-LD (Yoast, RankMath and most themes emit this)
+    const scripts = html.match(/<script[^>]+application\/ld\+json[^>]*>[\s\S]*?<\/script>/gi) || [];
+    for (const script of scripts) {
+        const body = script.replace(/^<script[^>]*>/i, '').replace(/<\/script>$/i, '');
+        const found = body.match(/"datePublished"\s*:\s*"([^"]+)"/);
+        const date = found && normalizeDate(found[1]);
+        if (date) return date;
+    }
+
+    return null;
+}
+
+// og:title, then <title> (which usually carries " - Site name" too)
+function extractTitle(html) {
+    const metaTags = html.match(/<meta[^>]+>/gi) || [];
+    for (const tag of metaTags) {
+        if (/property=["']og:title["']/i.test(tag)) {
+            const content = tag.match(/content=["']([^"']+)["']/i);
+            if (content) return decodeXml(content[1]).trim();
+        }
+    }
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    return title ? decodeXml(title[1]).trim() : null;
+}
+
+// ============================================================
+// LOOKUPS
+// ============================================================
+
+/**
+ * Loads a saved REST API response (JSON) or RSS export (XML)
+ * and returns a map of slug -> { url, title, date }.
+ */
+function loadDatesFile(filename) {
+    const posts = new Map();
+    if (!filename || !fs.existsSync(filename)) return posts;
+
+    const content = fs.readFileSync(filename, 'utf-8').trim();
+    const entries = content.startsWith('[') || content.startsWith('{')
+        ? parseRestPosts(JSON.parse(content))
+        : parseRssItems(content);
+
+    entries.forEach(entry => posts.set(keyFor(entry.url), entry));
+    return posts;
+}
+
+async function fetchDateFromRestApi(url) {
+    const slug = getSlug(url);
+    if (!slug) return null;
+
+    const origin = new URL(url).origin;
+    const json = JSON.parse(await fetchText(
+        `${origin}/wp-json/wp/v2/posts?slug=${encodeURIComponent(slug)}&_fields=link,date,date_gmt,title`
+    ));
+    const [post] = parseRestPosts(json);
+    return post ? post.date : null;
+}
+
+async function fetchDateFromPage(url) {
+    return extractPublishedDate(await fetchText(url));
+}
+
+/**
+ * Finds the publish date of a single post.
+ * Returns { date, source } where date is an ISO string or null.
+ */
+async function findPostDate(url, knownPosts = new Map()) {
+    const known = knownPosts.get(keyFor(url));
+    if (known && known.date) {
+        return { date: known.date, source: 'dates file' };
+    }
+
+    const lookups = [
+        ['REST API', fetchDateFromRestApi],
+        ['page metadata', fetchDateFromPage]
+    ];
+
+    for (const [source, lookup] of lookups) {
+        try {
+            const date = await lookup(url);
+            if (date) return { date, source };
+        } catch (error) {
+            // Fall through to the next source
+        }
+    }
+
+    return { date: null, source: 'not found' };
+}
+
+/**
+ * Returns the post's title - from the REST API (clean) or the
+ * page itself - or null.
+ */
+async function findPostTitle(url) {
+    const slug = getSlug(url);
+    if (slug) {
+        try {
+            const json = JSON.parse(await fetchText(
+                `${new URL(url).origin}/wp-json/wp/v2/posts?slug=${encodeURIComponent(slug)}&_fields=link,title`
+            ));
+            const [post] = parseRestPosts(json);
+            if (post && post.title) return post.title;
+        } catch (error) {
+            // Fall back to the page
+        }
+    }
+
+    try {
+        return extractTitle(await fetchText(url));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Returns the post's tag and category names, tags first,
+ * without duplicates or WordPress's default "Uncategorized".
+ */
+async function fetchPostTerms(url) {
+    const slug = getSlug(url);
+    if (!slug) return [];
+
+    const origin = new URL(url).origin;
+    const json = JSON.parse(await fetchText(
+        `${origin}/wp-json/wp/v2/posts?slug=${encodeURIComponent(slug)}&_embed=wp:term`
+    ));
+    const post = Array.isArray(json) ? json[0] : null;
+    const groups = (post && post._embedded && post._embedded['wp:term']) || [];
+
+    const terms = groups
+        .flat()
+        .sort((a, b) => (a.taxonomy === 'post_tag' ? 0 : 1) - (b.taxonomy === 'post_tag' ? 0 : 1))
+        .map(term => decodeXml(term.name || ''))
+        .filter(name => name && name.toLowerCase() !== 'uncategorized');
+
+    return [...new Set(terms)];
+}
+
+module.exports = {
+    fetchText,
+    normalizeDate,
+    getSlug,
+    keyFor,
+    parseRestPosts,
+    parseRssItems,
+    parseWxrItems,
+    extractPublishedDate,
+    extractTitle,
+    loadDatesFile,
+    findPostDate,
+    findPostTitle,
+    fetchPostTerms
+};
@@ -0,0 +1,226 @@
+/**
+ * ============================================================
+ * Worker pool - several tabs importing from one queue
+ * ============================================================
+ *
+ * With CONFIG.workers > 1 the importer opens that many tabs in
+ * the same (signed-in) browser. They share:
+ *
+ *   - one queue: URLs are claimed under a lock, and marked
+ *     in-progress in the progress store before anyone else
+ *     can take them
+ *   - one rate gate: attempts from all workers together are
+ *     spaced by the pacer's current delay and caps, and a
+ *     cool-down pauses every worker - more tabs overlap the
+ *     waiting, they don't hit Medium harder
+ *   - the console: each worker's lines are prefixed ([w1],
+ *     [w2], ...) and a summary line is kept at the bottom
+ *
+ * The progress file itself is locked (<file>.lock) for the
+ * whole run, so two importer processes can't work on it.
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { withJitter } = require('./pacing');
+
+const workerLabel = new AsyncLocalStorage();
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================
+// LOCKS
+// ============================================================
+
+/**
+ * In-process mutex: lock.run(fn) runs fn once every earlier call
+ * has finished.
+ */
+function createLock() {
+    let last = Promise.resolve();
+    return {
+        run(fn) {
+            const result = last.then(() => fn());
+            last = result.catch(() => {});
+            return result;
+        }
+    };
+}
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Takes <file>.lock for this process. Throws if another live
+ * process holds it; a lock left by a crashed run is taken over.
+ * Returns a release() function.
+ */
+function lockFile(file) {
+    const lock = `${file}.lock`;
+    const take = () => fs.writeFileSync(lock, String(process.pid), { flag: 'wx' });
+
+    try {
+        take();
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        const pid = Number(fs.readFileSync(lock, 'utf8'));
+        if (pid && pid !== process.pid && isRunning(pid)) {
+            throw new Error(`${file} is in use by another import (process ${pid}). Remove ${lock} if that's wrong.`);
+        }
+        fs.unlinkSync(lock);
+        take();
+    }
+
+    return () => {
+        try {
+            fs.unlinkSync(lock);
+        } catch (error) {
+            // Already gone
+        }
+    };
+}
+
+// ============================================================
+// QUEUE + RATE GATE
+// ============================================================
+
+/**
+ * Hands out items one at a time. claim(item) runs under the lock
+ * and decides whether the item is worked on (true) or passed over.
+ */
+function createWorkQueue(items, claim) {
+    const lock = createLock();
+    let next = 0;
+
+    return {
+        take() {
+            return lock.run(async () => {
+                while (next < items.length) {
+                    const item = items[next++];
+                    if (await claim(item)) return item;
+                }
+                return null;
+            });
+        },
+
+        remaining() {
+            return items.length - next;
+        }
+    };
+}
+
+/**
+ * Spaces attempts from all workers by the pacer's delay and caps,
+ * and turns one worker's cool-down into a pause for everyone.
+ * `wait` is how to wait (run control passes one that retry-now
+ * cuts short - then the whole pool stops waiting).
+ */
+function createRateGate(pacer, cooldownMs, wait = sleep) {
+    const lock = createLock();
+    let nextAt = 0;
+    let pausedUntil = 0;
+
+    // Timers can fire a moment early; anything more was retry-now
+    const cutShort = time => time - Date.now() > 1000;
+
+    async function waitUntil(time) {
+        await wait(time - Date.now());
+        if (cutShort(time)) {
+            nextAt = 0;
+            pausedUntil = 0;
+        }
+    }
+
+    return {
+        beforeAttempt() {
+            return lock.run(async () => {
+                await pacer.waitForCapacity();
+                const until = Math.max(nextAt, pausedUntil);
+                if (until > Date.now()) await waitUntil(until);
+                nextAt = Date.now() + withJitter(pacer.currentDelay());
+            });
+        },
+
+        async coolDown() {
+            // Another worker already paused the pool - wait that out
+            if (Date.now() < pausedUntil) {
+                await waitUntil(pausedUntil);
+                return;
+            }
+            pausedUntil = Date.now() + cooldownMs;
+            await pacer.coolDown();
+            if (cutShort(pausedUntil)) pausedUntil = 0;
+        }
+    };
+}
+
+// ============================================================
+// CONSOLE
+// ============================================================
+
+// Runs fn with every console.log inside it prefixed by `label`
+function runAsWorker(label, fn) {
+    return workerLabel.run(label, fn);
+}
+
+/**
+ * Prefixes worker output and keeps statusLine() as the last line
+ * on a terminal (printed after each finished URL otherwise).
+ * Returns { refresh(), restore() }.
+ */
+function installWorkerConsole(statusLine) {
+    const original = console.log;
+    const live = Boolean(process.stdout.isTTY);
+    const clear = () => live && process.stdout.write('\r\x1b[K');
+    const draw = () => live && process.stdout.write(statusLine().slice(0, (process.stdout.columns || 120) - 1));
+
+    console.log = (...args) => {
+        const label = workerLabel.getStore();
+        let text = util.format(...args);
+        if (label) {
+            text = text.split('\n').map(line => (line ? `${label} ${line}` : line)).join('\n');
+        }
+        clear();
+        original(text);
+        draw();
+    };
+
+    const ticker = live ? setInterval(() => { clear(); draw(); }, 1000) : null;
+
+    return {
+        refresh() {
+            if (live) {
+                clear();
+                draw();
+            } else {
+                original(statusLine());
+            }
+        },
+
+        restore() {
+            if (ticker) clearInterval(ticker);
+            clear();
+            console.log = original;
+        }
+    };
+}
+
+module.exports = {
+    createLock,
+    lockFile,
+    createWorkQueue,
+    createRateGate,
+    runAsWorker,
+    installWorkerConsole
+};
@@ -8,26 +8,82 @@
  * 
  * FEATURES:
  * - Imports OLDEST posts first (so Medium shows correct chronology)
+ *   using each post's real publish date, with a dated plan up front
  * - Medium automatically preserves original publish dates
  * - Medium adds canonical links to your original WordPress posts
  * - Saves progress so you can resume if interrupted
+ * - Optionally publishes each draft with WordPress tags as topics,
+ *   to your profile or a publication, public or unlisted
  * 
  * SETUP:
  * 1. Install Node.js from https://nodejs.org (LTS version)
  * 2. Create a new folder for this project
- * 3. Save this file as "medium-importer.js" in that folder
+ * 3. Save this file as "medium-importer.js" in that folder,
+ *    together with the "lib" folder and package.json next to it
  * 4. Save your URLs file as "urls.txt" in the same folder
+ *    (a Markdown list, CSV, JSON or WordPress export works too -
+ *    see lib/url-list.js)
  * 5. Open terminal/command prompt in that folder
- * 6. Run: npm init -y
- * 7. Run: npm install puppeteer
- * 8. Run: node medium-importer.js
+ * 6. Run: npm install
+ * 7. Run: node medium-importer.js
+ * 
+ * TESTS:
+ *   npm test           Unit tests, plus a headless import against
+ *                      lib/mock-medium-server.js (skipped, saying
+ *                      why, if Chrome can't start - set CHROME_PATH)
+ *   npm run test:e2e   Just the browser tests. CI sets
+ *                      E2E_REQUIRE_CHROME=1 so they fail rather than
+ *                      skip (see test/e2e.test.js for getting Chrome)
+ * 
+ * COMMANDS:
+ *   node medium-importer.js [import]      Import everything in urls.txt
+ *   node medium-importer.js status        Show progress so far
+ *   node medium-importer.js retry-failed  Import only the failed URLs
+ *   node medium-importer.js reset         Delete the progress file
+ *   node medium-importer.js mapping       Export WordPress → Medium mapping (CSV + JSON)
+ *   node medium-importer.js report        Shareable Markdown + HTML report of the progress file
+ *   node medium-importer.js verify        Compare imported drafts with the original posts
+ *   node medium-importer.js fallback      Turn posts Medium refused into paste-ready HTML
+ *   node medium-importer.js discover --site-url https://blog.example.com
+ *                                         List every post on a WordPress site
+ *   node medium-importer.js triage        Sort urls.txt into likely / risky / blocked
+ *   node medium-importer.js dedupe        List posts that are on Medium more than once
+ *   node medium-importer.js footer --draft-footer "Originally published on {site} on {date}."
+ *                                         Add the footer to drafts imported earlier
+ *   node medium-importer.js runs          List past runs and flag the ones that went differently
+ *   node medium-importer.js login --cookies-file medium_cookies.json
+ *                                         Sign in once and save the session for headless runs
+ *   node medium-importer.js batch --batch-file jobs.json
+ *                                         Run several blogs/accounts one after another
+ * 
+ * Every setting in lib/config.js is also a flag, e.g.
+ *   node medium-importer.js --urls-file urls_likely_to_work.txt --max-retries 3
+ *   node medium-importer.js --dry-run     Rehearse everything up to clicking Import
+ *   node medium-importer.js --workers 3   Import in 3 tabs (same overall rate limit)
+ *   node medium-importer.js --dashboard-port 8090
+ *                                         Watch and pause/skip the run at http://localhost:8090
+ *   node medium-importer.js --only-tags "AWS POSTS"
+ *                                         Import one "## AWS POSTS ##" section of the list
+ * or can be loaded from a JSON/YAML file with --config settings.yaml.
+ * Add --yes to skip the y/n prompts. See --help for the full list.
+ * 
+ * FROM YOUR OWN SCRIPTS / CI:
+ *   const { Importer } = require('./lib/importer');
+ *   const importer = new Importer({ urlsFile: 'urls.txt' }, { yes: true });
+ *   importer.on('failed', ({ url, result }) => notify(url, result.error));
+ *   await importer.run();
+ * Events, plugins (--plugins ./my-plugin.js) and importOne(url) are
+ * described at the top of lib/importer.js.
  * 
  * HOW IT WORKS:
- * 1. Opens a Chrome browser (you can see it)
- * 2. Goes to Medium - YOU LOG IN MANUALLY
- * 3. After you log in, press ENTER in the terminal
- * 4. Script imports each URL one by one (oldest first!)
- * 5. Saves progress so you can resume if interrupted
+ * 1. Looks up each post's publish date and shows the import plan
+ * 2. Opens a Chrome browser (you can see it)
+ * 3. Goes to Medium - if there's no saved session, YOU LOG IN MANUALLY
+ *    and press ENTER in the terminal (if you're signed out mid-run,
+ *    it pauses and asks again)
+ * 4. Reuses the session from the browser profile or --cookies-file
+ * 5. Script imports each URL one by one (oldest first!)
+ * 6. Saves progress so you can resume if interrupted
  * 
  * DATE PRESERVATION:
  * Medium's import tool automatically:
@@ -38,607 +94,583 @@
  * ============================================================
  */
 
-const puppeteer = require('puppeteer');
 const fs = require('fs');
-const readline = require('readline');
+const { DEFAULTS } = require('./lib/config');
+const { Importer } = require('./lib/importer');
+const { askYesNo } = require('./lib/prompt');
+const { resolveConfig, printHelp } = require('./lib/cli');
+const { parseStoryId, exportMapping } = require('./lib/mapping');
+const { verifyStory } = require('./lib/verify');
+const { FAILED_STATES } = require('./lib/progress-store');
+const { saveFallbackPost, pasteIntoNewStory } = require('./lib/fallback');
+const { discoverPosts, writeDiscoveredPosts } = require('./lib/discover');
+const { triageUrls, writeTriage, BUCKETS } = require('./lib/triage');
+const { loadManifest, printBatchSummary } = require('./lib/batch');
+const { writeReport } = require('./lib/report');
+const { listRuns, compareRuns, formatDuration } = require('./lib/run-log');
 
 // ============================================================
-// CONFIGURATION - Adjust these settings as needed
+// CONFIGURATION - Defaults, override with flags or --config
 // ============================================================
 
+// Every setting and what it does is listed in lib/config.js.
+// Change a default for good by adding it here, e.g. autoPublish: true
 const CONFIG = {
-    // File containing your WordPress URLs (one per line)
-    urlsFile: 'urls.txt',
-    
-    // File to track progress (so you can resume)
-    progressFile: 'import_progress.json',
-    
-    // Delay between imports (in milliseconds)
-    // Medium may rate-limit if you go too fast
-    // Recommended: 20000-45000 (20-45 seconds)
-    delayBetweenImports: 25000,
-    
-    // Delay after clicking import button (wait for import to complete)
-    // Increased to 20 seconds to give Medium more time
-    importWaitTime: 20000,
-    
-    // Number of retries if import fails
-    maxRetries: 2,
-    
-    // Delay before retrying a failed import (in milliseconds)
-    retryDelay: 10000,
-    
-    // Whether to auto-publish imported posts or leave as drafts
-    // true = publish immediately, false = leave as drafts (safer)
-    autoPublish: false,
-    
-    // Skip posts that fail and continue with next
-    continueOnError: true,
-    
-    // Show browser window (set to false for headless mode)
-    showBrowser: true,
-    
-    // Start from specific URL number (useful for resuming)
-    // Set to 0 to start from beginning, or use progress file
-    startFromIndex: 0,
-    
-    // Use a dedicated profile for automation (avoids conflicts with running Chrome)
-    // Set to true to use separate profile, false to use your main Chrome profile
-    // NOTE: If using dedicated profile, you'll need to log into Medium the first time
-    useDedicatedProfile: true,
+    ...DEFAULTS,
 };
 
 // ============================================================
-// HELPER FUNCTIONS
+// IMPORT
 // ============================================================
 
-function loadUrls(filename) {
-    try {
-        const content = fs.readFileSync(filename, 'utf-8');
-        const urls = content
-            .split('\n')
-            .map(url => url.trim())
-            .filter(url => url && url.startsWith('http'));
-        console.log(`✅ Loaded ${urls.length} URLs from ${filename}`);
-        return urls;
-    } catch (error) {
-        console.error(`❌ Error loading URLs file: ${error.message}`);
-        console.log('\nMake sure you have a file called "urls.txt" with one URL per line.');
-        process.exit(1);
+/**
+ * The import command - a thin wrapper around Importer.run().
+ *
+ * options.yes          - answer every y/n prompt with "y"
+ * options.urls         - import only these URLs (used by retry-failed)
+ *                        and skip the resume prompt
+ * options.closeBrowser - close the browser at the end without asking
+ *                        (used by batch)
+ * config               - the settings to run with (batch passes each job's)
+ *
+ * Returns { counts, stopReason }, or null if nothing was started.
+ */
+async function main(options = {}, config = CONFIG) {
+    console.log('╔════════════════════════════════════════════════════════╗');
+    console.log('║         MEDIUM AUTO-IMPORTER - Puppeteer Script        ║');
+    console.log('╚════════════════════════════════════════════════════════╝');
+    console.log('');
+    
+    const importer = new Importer(config, { yes: options.yes, closeBrowser: options.closeBrowser });
+    return importer.run({ urls: options.urls });
+}
+
+// The other commands use the importer's browser, sign-in and progress file
+function createImporter(options = {}) {
+    return new Importer(CONFIG, options);
+}
+
+// ============================================================
+// OTHER COMMANDS
+// ============================================================
+
+function showStatus() {
+    if (!fs.existsSync(CONFIG.progressFile)) {
+        console.log(`📂 No progress file yet (${CONFIG.progressFile})`);
+        return;
+    }
+    
+    const store = createImporter().openProgressStore();
+    const counts = store.counts();
+    const failedEntries = store.entries(...FAILED_STATES);
+    
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 IMPORT STATUS');
+    console.log('='.repeat(60));
+    Object.entries(counts).forEach(([state, count]) => {
+        console.log(`   ${state.padEnd(18)} ${count}`);
+    });
+    
+    if (failedEntries.length > 0) {
+        console.log('\n❌ Failed URLs:');
+        failedEntries.forEach(([url, item], i) => {
+            console.log(`   ${i + 1}. ${url}`);
+            console.log(`      Error: ${store.lastError(url)} (${item.state}, ${item.attempts.length} attempt(s))`);
+        });
+        console.log('\n💡 Run "node medium-importer.js retry-failed" to try the retryable ones again.');
     }
 }
 
-function loadProgress() {
-    try {
-        if (fs.existsSync(CONFIG.progressFile)) {
-            const data = JSON.parse(fs.readFileSync(CONFIG.progressFile, 'utf-8'));
-            console.log(`📂 Found progress file. Last completed: ${data.lastCompleted}`);
-            return data;
-        }
-    } catch (error) {
-        console.log('No valid progress file found, starting fresh.');
+async function retryFailed(options) {
+    const store = createImporter().openProgressStore();
+    const failedUrls = store.urls('failed-retryable');
+    const permanent = store.urls('failed-permanent').length;
+    
+    if (permanent > 0) {
+        console.log(`⛔ Leaving out ${permanent} URL(s) Medium said cannot be imported.`);
+    }
+    if (failedUrls.length === 0) {
+        console.log('✅ Nothing to retry - no retryable failures in the progress file.');
+        return;
+    }
+    const unverified = failedUrls.filter(url => /the draft may exist/.test(store.lastError(url) || '')).length;
+    if (unverified > 0 && CONFIG.duplicateCheck === 'off') {
+        console.log(`⚠️  ${unverified} of them left the import page and may already be on Medium - check your drafts first, or set --duplicate-check skip.`);
     }
-    return { completed: [], failed: [], lastCompleted: -1 };
+    console.log(`🔄 Retrying ${failedUrls.length} failed URL(s)...`);
+    await main({ ...options, urls: failedUrls });
 }
 
-function saveProgress(progress) {
-    fs.writeFileSync(CONFIG.progressFile, JSON.stringify(progress, null, 2));
+async function resetProgress(options) {
+    if (!fs.existsSync(CONFIG.progressFile)) {
+        console.log(`📂 No progress file to reset (${CONFIG.progressFile})`);
+        return;
+    }
+    if (!await askYesNo(`\n🗑️  Delete ${CONFIG.progressFile} and start over? (y/n): `, options.yes)) {
+        console.log('Progress file kept.');
+        return;
+    }
+    fs.unlinkSync(CONFIG.progressFile);
+    console.log(`✅ Deleted ${CONFIG.progressFile}`);
 }
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function writeMapping() {
+    const { rows, files } = exportMapping(createImporter().openProgressStore(), CONFIG.mappingFile);
+    console.log(`✅ Mapped ${rows.length} WordPress URL(s) to Medium stories`);
+    files.forEach(file => console.log(`   💾 ${file}`));
+    if (rows.length === 0) {
+        console.log('   (Only imports made with this version record their Medium story.)');
+    }
 }
 
-async function waitForUserInput(prompt) {
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-    });
+function writeImportReport() {
+    if (!fs.existsSync(CONFIG.progressFile)) {
+        console.log(`📂 No progress file yet (${CONFIG.progressFile}) - nothing to report.`);
+        return;
+    }
     
-    return new Promise(resolve => {
-        rl.question(prompt, answer => {
-            rl.close();
-            resolve(answer);
-        });
+    const { report, files } = writeReport(createImporter().openProgressStore(), CONFIG.reportFile);
+    console.log(`✅ ${report.totals.imported} imported, ${report.totals.failed} failed (${report.totals.successRate} success rate)`);
+    report.failures.forEach(group => {
+        console.log(`   ${group.label}: ${group.urls.length} → ${group.nextStep}`);
     });
+    files.forEach(file => console.log(`   💾 ${file}`));
 }
 
-// ============================================================
-// MAIN IMPORT FUNCTION
-// ============================================================
-
-async function importToMedium(page, url, index, total) {
-    console.log(`\n📝 [${index + 1}/${total}] Importing: ${url}`);
+async function verifyImports(options) {
+    const store = createImporter().openProgressStore();
+    const recorded = store.entries('imported', 'verified').filter(([, item]) => item.story);
+    const stories = recorded
+        .filter(([, item]) => item.story.editUrl)
+        .map(([url, item]) => ({ url, ...item.story }));
+    
+    // Recorded by older versions from the published list, without an edit link
+    if (recorded.length > stories.length) {
+        console.log(`⏭️  Leaving out ${recorded.length - stories.length} story(ies) with no edit link recorded - find them in Medium and check them by hand.`);
+    }
+    if (stories.length === 0) {
+        console.log('📂 No imported stories recorded yet - nothing to verify.');
+        return;
+    }
     
-    try {
-        // Go to Medium import page
-        console.log('  Navigating to import page...');
-        await page.goto('https://medium.com/p/import', { 
-            waitUntil: 'networkidle2',
-            timeout: 30000 
-        });
-        
-        // Check the current URL - sometimes Medium redirects
-        const currentPageUrl = page.url();
-        console.log(`  Current URL: ${currentPageUrl}`);
-        
-        if (!currentPageUrl.includes('import')) {
-            console.log('  ⚠️  Redirected away from import page, trying again...');
-            await page.goto('https://medium.com/p/import', { 
-                waitUntil: 'domcontentloaded',
-                timeout: 30000 
-            });
-        }
-        
-        // Wait longer for dynamic content to load
-        await sleep(5000);
-        
-        // Check if the page has the expected content
-        const pageText = await page.evaluate(() => document.body.innerText);
-        console.log(`  Page contains "Import": ${pageText.includes('Import')}`);
-        console.log(`  Page contains "Enter a link": ${pageText.includes('Enter a link')}`);
-        
-        // If page doesn't have import content, something is wrong
-        if (!pageText.includes('Enter a link') && !pageText.includes('See your story')) {
-            console.log('  ⚠️  Import page content not found. Page text preview:');
-            console.log('  ' + pageText.substring(0, 200).replace(/\n/g, ' '));
-        }
-        
-        // Wait a bit longer for the page to fully render
-        await sleep(3000);
-        
-        // Medium's import field is NOT a standard <input> element!
-        // Debug shows: roleTextbox:1, contenteditable:2 - let's target those
+    const importer = createImporter(options);
+    const browser = await importer.launchBrowser();
+    const page = await importer.openMediumSession(browser);
+    const icons = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+    const report = [];
+    
+    console.log(`\n🔎 Verifying ${stories.length} imported draft(s)...`);
+    
+    for (let i = 0; i < stories.length; i++) {
+        const story = stories[i];
+        console.log(`\n📝 [${i + 1}/${stories.length}] ${story.url}`);
         
-        // Debug: Check what elements exist
-        const elementCounts = await page.evaluate(() => {
-            return {
-                inputs: document.querySelectorAll('input').length,
-                textareas: document.querySelectorAll('textarea').length,
-                contenteditable: document.querySelectorAll('[contenteditable="true"]').length,
-                roleTextbox: document.querySelectorAll('[role="textbox"]').length,
-                divWithPlaceholder: document.querySelectorAll('div[placeholder], div[data-placeholder]').length
-            };
+        const result = await verifyStory(page, story, {
+            published: store.get(story.url).published,
+            baseUrl: CONFIG.mediumBaseUrl
         });
-        console.log('  DEBUG - Element counts:', JSON.stringify(elementCounts));
-        
-        // Find the textbox element (role="textbox")
-        let urlInput = await page.$('[role="textbox"]');
-        
-        if (urlInput) {
-            console.log('  Found element with role="textbox"');
-        } else {
-            // Try contenteditable elements (skip any in header/nav)
-            console.log('  Trying contenteditable elements...');
-            const editables = await page.$$('[contenteditable="true"]');
-            for (const el of editables) {
-                const info = await el.evaluate(node => {
-                    const rect = node.getBoundingClientRect();
-                    const isInNav = node.closest('nav, header') !== null;
-                    return { 
-                        top: rect.top, 
-                        width: rect.width, 
-                        height: rect.height,
-                        isInNav,
-                        className: node.className
-                    };
-                });
-                console.log(`  DEBUG - Contenteditable: top=${info.top}, width=${info.width}, inNav=${info.isInNav}`);
-                
-                // Pick the one that's in the main content area (not in nav) and has reasonable size
-                if (!info.isInNav && info.top > 200 && info.width > 100) {
-                    urlInput = el;
-                    console.log('  Found contenteditable element in main content');
-                    break;
-                }
-            }
-        }
+        report.push(result);
+        store.setVerification(story.url, { status: result.status, verifiedAt: result.verifiedAt });
+        store.save();
         
-        if (!urlInput) {
-            await page.screenshot({ path: 'debug-screenshot.png', fullPage: true });
-            throw new Error('Could not find URL input field');
+        if (result.error) {
+            console.log(`  ❌ Could not verify: ${result.error}`);
+            continue;
         }
-        
-        // Click to focus
-        await urlInput.click();
-        await sleep(500);
-        
-        // Verify we focused on the right element
-        const focusedElement = await page.evaluate(() => {
-            const el = document.activeElement;
-            return {
-                tagName: el.tagName,
-                role: el.getAttribute('role'),
-                contentEditable: el.contentEditable
-            };
+        result.checks.forEach(check => {
+            const note = check.note ? ` (${check.note})` : '';
+            console.log(`  ${icons[check.status]} ${check.name}: ${check.source} → ${check.draft}${note}`);
         });
-        console.log('  DEBUG - Focused element:', JSON.stringify(focusedElement));
-        
-        // Clear any existing content and type the URL
-        await page.keyboard.down('Meta'); // Cmd on Mac
-        await page.keyboard.press('a');
-        await page.keyboard.up('Meta');
-        await sleep(100);
-        await page.keyboard.press('Backspace');
-        await sleep(100);
-        
-        // Type the URL
-        await page.keyboard.type(url, { delay: 30 });
-        
-        console.log('  ✓ URL entered');
-        
-        // Find and click the Import button
-        await sleep(1000);
-        
-        const buttons = await page.$$('button');
-        let importButton = null;
-        
-        for (const button of buttons) {
-            const text = await button.evaluate(el => el.textContent || '');
-            if (text.toLowerCase().includes('import')) {
-                importButton = button;
-                break;
-            }
-        }
-        
-        if (!importButton) {
-            // Try finding by other means
-            importButton = await page.$('button[type="submit"]');
-        }
-        
-        if (importButton) {
-            await importButton.click();
-            console.log('  ✓ Import button clicked');
-        } else {
-            // Try pressing Enter
-            await page.keyboard.press('Enter');
-            console.log('  ✓ Pressed Enter to submit');
-        }
-        
-        // Wait for import to complete
-        await sleep(CONFIG.importWaitTime);
-        
-        // Check if we're on a new page (story editor)
-        const currentUrl = page.url();
-        if (currentUrl.includes('/p/') && currentUrl.includes('edit')) {
-            console.log('  ✓ Import successful! Now in editor.');
-            
-            if (CONFIG.autoPublish) {
-                // Find and click publish button
-                // This is optional and risky - leaving as draft is safer
-                console.log('  ⚠️ Auto-publish disabled for safety. Post saved as draft.');
-            }
-            
-            return { success: true, url };
-        } else {
-            // Check for specific error messages from Medium
-            const pageText = await page.evaluate(() => document.body.innerText);
-            
-            // Check for specific error messages from Medium
-            if (pageText.includes('server stopped responding')) {
-                console.log('  ⚠️ Medium error: Server stopped responding');
-                return { success: false, url, error: 'server stopped responding - try again', retryable: true };
-            }
-            
-            if (pageText.includes('sorry') && pageText.includes('cannot be imported')) {
-                console.log('  ❌ Medium error: This page cannot be imported (not retryable)');
-                return { success: false, url, error: 'page cannot be imported by Medium', retryable: false };
-            }
-            
-            if (pageText.includes('could not be imported') || pageText.includes('Could not import')) {
-                console.log('  ⚠️ Medium error: Could not import');
-                return { success: false, url, error: 'could not be imported', retryable: true };
-            }
-            
-            if (pageText.includes('try again') || pageText.includes('Try again')) {
-                console.log('  ⚠️ Medium error: Try again message detected');
-                return { success: false, url, error: 'failed - try again', retryable: true };
-            }
-            
-            if (pageText.includes('Something went wrong')) {
-                console.log('  ⚠️ Medium error: Something went wrong');
-                return { success: false, url, error: 'something went wrong', retryable: true };
-            }
-            
-            // Check for generic error indicators in HTML
-            const pageContent = await page.content();
-            if (pageContent.includes('error') || pageContent.includes('Error') || pageContent.includes('failed')) {
-                // Only flag as error if we're still on the import page
-                if (currentUrl.includes('import')) {
-                    console.log('  ⚠️ Possible error during import (still on import page)');
-                    return { success: false, url, error: 'Import may have failed' };
-                }
-            }
-            
-            // If we got redirected somewhere else, might be okay
-            console.log(`  ℹ️ Redirected to: ${currentUrl}`);
-            console.log('  ✓ Import submitted (checking result...)');
-            return { success: true, url };
-        }
-        
-    } catch (error) {
-        console.log(`  ❌ Error: ${error.message}`);
-        return { success: false, url, error: error.message };
+        console.log(`  ${icons[result.status]} ${result.status.toUpperCase()}`);
     }
-}
-
-// ============================================================
-// MAIN SCRIPT
-// ============================================================
-
-async function main() {
-    console.log('╔════════════════════════════════════════════════════════╗');
-    console.log('║         MEDIUM AUTO-IMPORTER - Puppeteer Script        ║');
-    console.log('╚════════════════════════════════════════════════════════╝');
-    console.log('');
     
-    // Load URLs
-    const urls = loadUrls(CONFIG.urlsFile);
+    fs.writeFileSync(CONFIG.verificationFile, JSON.stringify(report, null, 2));
     
+    console.log('\n' + '='.repeat(60));
+    console.log('🔎 VERIFICATION SUMMARY');
+    console.log('='.repeat(60));
+    ['pass', 'warn', 'fail'].forEach(status => {
+        console.log(`${icons[status]} ${status}: ${report.filter(item => item.status === status).length}`);
+    });
+    console.log(`\n💾 Report saved to ${CONFIG.verificationFile}`);
+    
+    if (await askYesNo('\n🔚 Close browser? (y/n): ', options.yes)) {
+        await browser.close();
+    }
+}
+
+async function runFallback(options) {
+    const store = createImporter().openProgressStore();
+    const urls = store.urls('failed-permanent');
     if (urls.length === 0) {
-        console.log('❌ No URLs found in the file.');
+        console.log('✅ No URLs marked "cannot be imported" - nothing needs the manual fallback.');
         return;
     }
     
-    // Load progress
-    const progress = loadProgress();
-    
-    // Determine starting point
-    let startIndex = CONFIG.startFromIndex;
-    if (progress.lastCompleted >= 0) {
-        const resumeAnswer = await waitForUserInput(
-            `\n📌 Found progress: ${progress.completed.length} completed, ${progress.failed.length} failed.\n` +
-            `   Resume from URL #${progress.lastCompleted + 2}? (y/n): `
-        );
-        if (resumeAnswer.toLowerCase() === 'y') {
-            startIndex = progress.lastCompleted + 1;
-        }
-    }
-    
-    console.log(`\n📊 Total URLs: ${urls.length}`);
-    console.log(`📍 Starting from: #${startIndex + 1}`);
-    console.log(`⏱️ Delay between imports: ${CONFIG.delayBetweenImports / 1000} seconds`);
-    console.log(`📝 Auto-publish: ${CONFIG.autoPublish ? 'Yes' : 'No (saved as drafts)'}`);
-    console.log(`📅 Date preservation: Yes (Medium reads original dates from WordPress)`);
-    console.log(`🔢 Import order: Oldest first → Newest last (for correct chronology)`);
-    
-    // Detect OS and set paths
-    const os = require('os');
-    const path = require('path');
+    const importer = createImporter(options);
+    const browser = await importer.launchBrowser();
+    const page = CONFIG.fallbackPaste ? await importer.openMediumSession(browser) : await browser.newPage();
+    let saved = 0;
+    let pasted = 0;
     
-    let userDataDir;
-    let executablePath;
+    console.log(`\n🛠️  Converting ${urls.length} post(s) Medium couldn't import...`);
     
-    // Set Chrome executable path based on OS
-    if (process.platform === 'darwin') {
-        executablePath = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
-    } else if (process.platform === 'win32') {
-        executablePath = 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe';
-    } else {
-        executablePath = '/usr/bin/google-chrome';
-    }
-    
-    // Set user data directory
-    if (CONFIG.useDedicatedProfile) {
-        // Use a dedicated profile in the script's directory - avoids conflicts!
-        userDataDir = path.join(process.cwd(), 'chrome-medium-profile');
-        console.log('\n🚀 Launching browser with DEDICATED Chrome profile...');
-        console.log('   (This avoids conflicts with your regular Chrome)');
-        
-        // Check if this is the first run with dedicated profile
-        if (!fs.existsSync(userDataDir)) {
-            console.log('\n⚠️  First run with dedicated profile - you will need to log into Medium');
-        } else {
-            console.log('   (Using saved session from previous runs)');
+    for (let i = 0; i < urls.length; i++) {
+        const url = urls[i];
+        console.log(`\n📝 [${i + 1}/${urls.length}] ${url}`);
+        
+        let article;
+        try {
+            article = await saveFallbackPost(page, url, CONFIG.fallbackDir);
+            store.setFallback(url, { file: article.file, createdAt: new Date().toISOString() });
+            saved++;
+            console.log(`  💾 Saved "${article.title}" → ${article.file}`);
+        } catch (error) {
+            console.log(`  ❌ Could not convert: ${error.message}`);
+            continue;
+        } finally {
+            store.save();
         }
-    } else {
-        // Use main Chrome profile (requires closing all Chrome windows)
-        console.log('\n🚀 Launching browser with your existing Chrome profile...');
-        console.log('⚠️  IMPORTANT: Close all other Chrome windows first!\n');
         
-        if (process.platform === 'darwin') {
-            userDataDir = path.join(os.homedir(), 'Library', 'Application Support', 'Google', 'Chrome');
-        } else if (process.platform === 'win32') {
-            userDataDir = path.join(os.homedir(), 'AppData', 'Local', 'Google', 'Chrome', 'User Data');
-        } else {
-            userDataDir = path.join(os.homedir(), '.config', 'google-chrome');
+        if (!CONFIG.fallbackPaste) continue;
+        
+        store.markInProgress(url);
+        store.save();
+        try {
+            const editUrl = await pasteIntoNewStory(page, CONFIG.mediumBaseUrl, article);
+            store.recordAttempt(url, { success: true });
+            store.markImported(url, {
+                storyId: parseStoryId(editUrl),
+                editUrl,
+                title: article.title,
+                importedAt: new Date().toISOString(),
+                via: 'fallback'
+            });
+            pasted++;
+            console.log(`  ✅ Pasted into new story: ${editUrl}`);
+        } catch (error) {
+            store.recordAttempt(url, { success: false, error: `fallback paste: ${error.message}` });
+            store.markFailed(url, error.message, false);
+            console.log(`  ❌ Could not paste into Medium: ${error.message}`);
         }
+        store.save();
     }
     
-    console.log(`📂 Chrome profile location: ${userDataDir}`);
-    
-    // Browser launch options
-    const launchOptions = {
-        headless: false,
-        defaultViewport: { width: 1280, height: 800 },
-        executablePath: executablePath,
-        userDataDir: userDataDir,
-        timeout: 60000,  // Increased timeout for slower systems
-        args: [
-            '--start-maximized',
-            '--no-first-run',
-            '--no-default-browser-check',
-            '--disable-blink-features=AutomationControlled',
-        ]
-    };
+    console.log('\n' + '='.repeat(60));
+    console.log('🛠️  MANUAL FALLBACK SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`💾 HTML files written: ${saved} (in ${CONFIG.fallbackDir}/)`);
+    if (CONFIG.fallbackPaste) {
+        console.log(`✅ Pasted into Medium: ${pasted}`);
+    } else {
+        console.log('💡 Open each file, select all, copy, and paste into https://medium.com/new-story');
+    }
     
-    // Only add profile-directory flag when NOT using dedicated profile
-    if (!CONFIG.useDedicatedProfile) {
-        launchOptions.args.push('--profile-directory=Default');
+    if (await askYesNo('\n🔚 Close browser? (y/n): ', options.yes)) {
+        await browser.close();
+    }
+}
+
+async function runDiscover() {
+    if (!CONFIG.siteUrl) {
+        console.log('❌ Tell me which site to look at, e.g. --site-url https://blog.example.com');
+        process.exit(1);
     }
     
-    let browser;
-    try {
-        browser = await puppeteer.launch(launchOptions);
-    } catch (error) {
-        if (error.message.includes('Timed out') || error.message.includes('WS endpoint')) {
-            console.log('\n❌ Failed to launch Chrome. This usually means:');
-            console.log('   1. Chrome is already running with this profile');
-            console.log('   2. Chrome didn\'t start in time');
-            console.log('\n💡 Solutions:');
-            console.log('   - Close ALL Chrome windows and try again');
-            console.log('   - Or set useDedicatedProfile: true in CONFIG (recommended)');
-            console.log('\nTo close all Chrome processes, run:');
-            if (process.platform === 'darwin') {
-                console.log('   pkill -f "Google Chrome"');
-            } else if (process.platform === 'win32') {
-                console.log('   taskkill /F /IM chrome.exe');
-            } else {
-                console.log('   pkill chrome');
-            }
-            process.exit(1);
-        }
-        throw error;
+    const posts = await discoverPosts(CONFIG.siteUrl);
+    if (posts.length === 0) {
+        console.log('❌ No posts found. Is the site a WordPress blog, and is it public?');
+        return;
     }
     
-    const page = await browser.newPage();
+    const files = writeDiscoveredPosts(posts, CONFIG.discoverFile, CONFIG.siteUrl);
+    const dated = posts.filter(post => post.date).length;
     
-    // Set a reasonable user agent
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    console.log(`\n✅ Found ${posts.length} post(s) (${dated} with publish dates)`);
+    files.forEach(file => console.log(`   💾 ${file}`));
+    console.log(`\n💡 Import them with: node medium-importer.js --urls-file ${files[0]} --dates-file ${files[1]}`);
+}
+
+async function runTriage() {
+    const importer = createImporter();
+    const urls = (await importer.loadSources()).map(entry => entry.url);
+    const store = importer.openProgressStore();
     
-    // Go to Medium login page
-    console.log('\n🔐 Opening Medium...');
-    await page.goto('https://medium.com/m/signin', { waitUntil: 'networkidle2' });
+    console.log(`\n🩺 Pre-checking ${urls.length} URL(s) (nothing is sent to Medium)...`);
+    const { results, patterns } = await triageUrls(urls, store);
+    const files = writeTriage(results, patterns, CONFIG.triageFile);
     
+    const icons = { likely: '✅', risky: '⚠️ ', blocked: '⛔' };
     console.log('\n' + '='.repeat(60));
-    console.log('⚠️  IMPORTANT: LOG INTO MEDIUM NOW');
-    console.log('='.repeat(60));
-    console.log('1. The browser window should be open');
-    console.log('2. Log into your Medium account');
-    console.log('3. Make sure you can see your profile/dashboard');
-    console.log('4. Then come back here and press ENTER');
-    if (CONFIG.useDedicatedProfile) {
-        console.log('\n💡 TIP: Your login will be saved for future runs!');
-    }
+    console.log('🩺 TRIAGE SUMMARY');
     console.log('='.repeat(60));
+    BUCKETS.forEach(bucket => {
+        console.log(`${icons[bucket]} ${bucket}: ${results.filter(result => result.bucket === bucket).length}`);
+    });
     
-    await waitForUserInput('\n✋ Press ENTER after you have logged into Medium...');
-    
-    // Verify login by checking for user menu
-    console.log('\n🔍 Verifying login...');
-    await page.goto('https://medium.com/', { waitUntil: 'networkidle2' });
-    await sleep(2000);
+    if (patterns.length) {
+        console.log('\n📈 Patterns from earlier runs:');
+        patterns.forEach(pattern => {
+            console.log(`   ${pattern.failed} of ${pattern.tried} posts ${pattern.trait} failed`);
+        });
+    }
     
-    const isLoggedIn = await page.evaluate(() => {
-        // Check for common logged-in indicators
-        return document.body.innerHTML.includes('Write') || 
-               document.body.innerHTML.includes('New story') ||
-               document.querySelector('img[alt*="avatar"]') !== null ||
-               document.querySelector('button[aria-label*="user"]') !== null;
-    });
+    console.log('');
+    files.forEach(file => console.log(`   💾 ${file}`));
+    console.log(`\n💡 Import the likely ones first: node medium-importer.js --urls-file ${files[0]}`);
+}
+
+async function runBatch(options) {
+    if (!CONFIG.batchFile) {
+        console.log('❌ Set --batch-file, e.g. --batch-file jobs.json');
+        return;
+    }
     
-    if (!isLoggedIn) {
-        console.log('⚠️  Could not verify login. Continuing anyway...');
-    } else {
-        console.log('✅ Login verified!');
+    let jobs;
+    try {
+        jobs = loadManifest(CONFIG.batchFile, CONFIG);
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+        return;
     }
     
-    console.log('\n🚀 Starting import process...');
-    console.log('   Press Ctrl+C at any time to stop (progress is saved)\n');
+    const results = [];
+    
+    for (let i = 0; i < jobs.length; i++) {
+        const job = jobs[i];
+        console.log('\n' + '#'.repeat(60));
+        console.log(`📦 Job ${i + 1}/${jobs.length}: ${job.name} (${job.config.urlsFile} → ${job.config.profileDir})`);
+        console.log('#'.repeat(60));
+        
+        // Every job runs with its own settings - nothing carries over
+        try {
+            const outcome = await main({ ...options, closeBrowser: true }, job.config);
+            results.push({ ...job, counts: outcome && outcome.counts, stopReason: outcome && outcome.stopReason });
+        } catch (error) {
+            console.log(`\n❌ Job "${job.name}" stopped: ${error.message}`);
+            results.push({ ...job, error: error.message });
+        }
+    }
     
-    // Import each URL
-    for (let i = startIndex; i < urls.length; i++) {
-        const url = urls[i];
+    printBatchSummary(results);
+}
+
+async function runDedupe() {
+    const importer = createImporter();
+    const browser = await importer.launchBrowser();
+    try {
+        const page = await importer.openMediumSession(browser);
+        const index = await importer.openStoryIndex(page);
+        const groups = index.duplicates();
         
-        // Skip already completed
-        if (progress.completed.includes(url)) {
-            console.log(`⏭️  [${i + 1}/${urls.length}] Skipping (already completed): ${url}`);
-            continue;
+        console.log('\n' + '='.repeat(60));
+        console.log('🪞 DUPLICATE STORIES');
+        console.log('='.repeat(60));
+        
+        if (groups.length === 0) {
+            console.log('✅ No post is on Medium more than once.');
+            return;
         }
         
-        // Try importing with retries
-        let result = null;
-        let attempts = 0;
+        groups.forEach((group, i) => {
+            console.log(`\n${i + 1}. ${group.stories[0].canonicalUrl || group.stories[0].title}`);
+            group.stories.forEach(story => {
+                console.log(`   ${story.status === 'published' ? '📤' : '📝'} ${story.status.padEnd(9)} ${story.editUrl || story.publishedUrl}`);
+            });
+        });
+        console.log(`\n💡 ${groups.length} post(s) have extra copies. Keep the published one (or the oldest draft) and delete the rest on Medium.`);
+    } finally {
+        await browser.close();
+    }
+}
+
+async function runFooter(options) {
+    const importer = createImporter(options);
+    if (!importer.wantsFooter()) {
+        console.log('❌ Set --draft-footer (and/or --footer-call-to-action, --series-file) first');
+        return;
+    }
+    
+    const store = importer.openProgressStore();
+    importer.store = store;
+    const recorded = store.entries('imported', 'verified').filter(([, item]) => item.story);
+    const drafts = recorded.filter(([, item]) => item.story.editUrl);
+    if (recorded.length > drafts.length) {
+        console.log(`⏭️  Leaving out ${recorded.length - drafts.length} story(ies) with no edit link recorded - add the footer to those by hand.`);
+    }
+    if (drafts.length === 0) {
+        console.log('📂 No imported drafts recorded yet - nothing to add a footer to.');
+        return;
+    }
+    
+    // Titles and dates from the URL list, when there is one
+    if (fs.existsSync(CONFIG.urlsFile)) {
+        await importer.loadSources();
+    }
+    
+    const browser = await importer.launchBrowser();
+    const page = await importer.openMediumSession(browser);
+    const counts = { added: 0, 'already there': 0, failed: 0, skipped: 0 };
+    
+    console.log(`\n🖋️  Adding the footer to ${drafts.length} draft(s)...`);
+    
+    for (let i = 0; i < drafts.length; i++) {
+        const [url, item] = drafts[i];
+        console.log(`\n📝 [${i + 1}/${drafts.length}] ${url}`);
         
-        while (attempts <= CONFIG.maxRetries) {
-            if (attempts > 0) {
-                console.log(`  🔄 Retry attempt ${attempts}/${CONFIG.maxRetries}...`);
-                await sleep(CONFIG.retryDelay);
-            }
-            
-            result = await importToMedium(page, url, i, urls.length);
-            
-            if (result.success) {
-                break;  // Success, no need to retry
-            }
-            
-            // Check if error is marked as non-retryable
-            if (result.retryable === false) {
-                console.log('  ⛔ Error is not retryable, skipping...');
-                break;
-            }
-            
-            // Check if error is retryable (server timeout, etc.)
-            const isRetryable = result.error && (
-                result.error.includes('server stopped') ||
-                result.error.includes('timeout') ||
-                result.error.includes('try again') ||
-                result.error.includes('failed')
-            );
-            
-            if (!isRetryable) {
-                break;  // Not a retryable error
-            }
-            
-            attempts++;
+        // Editing a published story needs a separate "Save and publish"
+        if ((item.published && item.published.publishedUrl) || item.story.publishedUrl) {
+            console.log('  ⏭️  Already published - add the footer on Medium by hand');
+            counts.skipped++;
+            continue;
         }
         
-        if (result.success) {
-            progress.completed.push(url);
-            progress.lastCompleted = i;
-            console.log(`  ✅ Success! (${progress.completed.length} total completed)`);
-        } else {
-            progress.failed.push({ url, error: result.error, attempts: attempts + 1 });
-            console.log(`  ❌ Failed after ${attempts + 1} attempt(s)`);
-            if (!CONFIG.continueOnError) {
-                console.log('\n❌ Stopping due to error (continueOnError is false)');
-                break;
-            }
+        try {
+            await page.goto(item.story.editUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+        } catch (error) {
+            console.log(`  ❌ Could not open the draft: ${error.message}`);
+            counts.failed++;
+            continue;
         }
         
-        // Save progress after each import
-        saveProgress(progress);
-        
-        // Delay before next import
-        if (i < urls.length - 1) {
-            console.log(`  ⏳ Waiting ${CONFIG.delayBetweenImports / 1000} seconds before next import...`);
-            await sleep(CONFIG.delayBetweenImports);
-        }
+        const footer = await importer.addDraftFooter(page, url, item.story.title);
+        counts[footer.status]++;
+        store.setFooter(url, footer);
+        store.save();
     }
     
-    // Final summary
     console.log('\n' + '='.repeat(60));
-    console.log('📊 IMPORT COMPLETE - SUMMARY');
+    console.log('🖋️  FOOTER SUMMARY');
     console.log('='.repeat(60));
-    console.log(`✅ Successfully imported: ${progress.completed.length}`);
-    console.log(`❌ Failed: ${progress.failed.length}`);
-    console.log(`📁 Total URLs: ${urls.length}`);
+    console.log(`✅ Added: ${counts.added}`);
+    console.log(`➖ Already there: ${counts['already there']}`);
+    console.log(`⏭️  Published (skipped): ${counts.skipped}`);
+    console.log(`❌ Failed: ${counts.failed}`);
     
-    if (progress.failed.length > 0) {
-        console.log('\n❌ Failed URLs:');
-        progress.failed.forEach((item, i) => {
-            console.log(`   ${i + 1}. ${item.url}`);
-            console.log(`      Error: ${item.error}`);
-        });
+    if (await askYesNo('\n🔚 Close browser? (y/n): ', options.yes)) {
+        await browser.close();
+    }
+}
+
+// Past runs from their logs, oldest first, each compared with the
+// run before it so a change on Medium's side stands out
+function listPastRuns() {
+    const runs = listRuns(CONFIG.logDir);
+    if (runs.length === 0) {
+        console.log(`📂 No run logs in ${CONFIG.logDir || '(logDir is off)'} yet`);
+        return;
     }
     
-    // Save final progress
-    saveProgress(progress);
-    console.log(`\n💾 Progress saved to ${CONFIG.progressFile}`);
+    console.log('\n' + '='.repeat(60));
+    console.log('🗂️  PAST RUNS');
+    console.log('='.repeat(60));
     
-    // Ask if user wants to close browser
-    const closeAnswer = await waitForUserInput('\n🔚 Close browser? (y/n): ');
-    if (closeAnswer.toLowerCase() === 'y') {
+    let previous = null;
+    runs.forEach(run => {
+        const icon = !run.finished ? '⏹️ ' : run.dryRun ? '🧪' : '✅';
+        const rate = run.successRate === null ? '-' : `${Math.round(run.successRate * 100)}%`;
+        const perAttempt = run.avgAttemptMs === null ? '' : `, ${Math.round(run.avgAttemptMs / 1000)}s per attempt`;
+        console.log(`${icon} ${run.runId}  ${formatDuration(run.ms)}  ${run.succeeded}/${run.attempts} attempts succeeded (${rate})${perAttempt}`);
+        
+        if (run.topError) {
+            console.log(`     Most common error: ${run.topError.label} (${run.topError.count})`);
+        }
+        if (!run.finished) {
+            console.log('     Stopped before the end (Ctrl+C or a crash)');
+        } else if (run.stopReason) {
+            console.log(`     Stopped: ${run.stopReason}`);
+        }
+        
+        // Dry runs and runs that never got to Medium don't count as "before"
+        if (run.dryRun || run.attempts === 0) return;
+        const notes = compareRuns(run, previous);
+        if (notes.length > 0) {
+            console.log(`     ⚠️  Different from the run before: ${notes.join('; ')}`);
+        }
+        previous = run;
+    });
+    
+    console.log(`\n💡 Every step of every attempt is in ${CONFIG.logDir}/<run ID>.jsonl`);
+}
+
+async function runLogin(options) {
+    if (!CONFIG.cookiesFile) {
+        console.log('❌ Set --cookies-file, e.g. --cookies-file medium_cookies.json');
+        return;
+    }
+    if (!CONFIG.showBrowser) {
+        console.log('❌ login needs the browser window - drop --no-show-browser');
+        return;
+    }
+    
+    const importer = createImporter(options);
+    const browser = await importer.launchBrowser();
+    try {
+        await importer.openMediumSession(browser);
+        console.log(`\n💡 Headless runs can now use: --no-show-browser --cookies-file ${CONFIG.cookiesFile}`);
+    } finally {
         await browser.close();
-    } else {
-        console.log('Browser left open. Close it manually when done.');
+    }
+}
+
+async function run(argv) {
+    let parsed;
+    try {
+        parsed = resolveConfig(argv, CONFIG);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    if (parsed.help) {
+        printHelp(CONFIG);
+        return;
     }
     
-    console.log('\n👋 Done! Check your Medium drafts to review imported posts.');
+    Object.assign(CONFIG, parsed.config);
+    const options = { yes: parsed.yes };
+    
+    switch (parsed.command) {
+        case 'status':
+            return showStatus();
+        case 'retry-failed':
+            return retryFailed(options);
+        case 'reset':
+            return resetProgress(options);
+        case 'mapping':
+            return writeMapping();
+        case 'report':
+            return writeImportReport();
+        case 'verify':
+            return verifyImports(options);
+        case 'fallback':
+            return runFallback(options);
+        case 'discover':
+            return runDiscover();
+        case 'triage':
+            return runTriage();
+        case 'login':
+            return runLogin(options);
+        case 'dedupe':
+            return runDedupe();
+        case 'footer':
+            return runFooter(options);
+        case 'runs':
+            return listPastRuns();
+        case 'batch':
+            return runBatch(options);
+        default:
+            return main(options);
+    }
 }
 
+module.exports = { CONFIG, main, run, Importer };
+
 // Run the script
-main().catch(error => {
-    console.error('Fatal error:', error);
-    process.exit(1);
-});
+if (require.main === module) {
+    run(process.argv.slice(2)).catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
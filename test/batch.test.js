@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULTS } = require('../lib/config');
+const { loadManifest, printBatchSummary } = require('../lib/batch');
+const { Importer } = require('../lib/importer');
+const { run } = require('../medium-importer');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-batch-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function writeManifest(dir, content) {
+    const file = path.join(dir, 'batch.json');
+    fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+}
+
+test('batch jobs get their own progress file, profile and cookie file', t => {
+    const dir = tempDir(t);
+    const manifest = writeManifest(dir, {
+        defaults: { cookiesFile: 'cookies.json' },
+        jobs: [{ name: 'eng', urlsFile: 'eng.txt' }, { name: 'mkt', urlsFile: 'mkt.txt', profileDir: 'profiles/mkt' }]
+    });
+
+    const [eng, mkt] = loadManifest(manifest, DEFAULTS);
+    assert.equal(eng.config.progressFile, 'eng_progress.json');
+    assert.equal(eng.config.profileDir, 'chrome-medium-profile-eng');
+    assert.equal(eng.config.cookiesFile, 'eng_cookies.json');
+    assert.equal(mkt.config.cookiesFile, 'mkt_cookies.json');
+    assert.equal(mkt.config.profileDir, 'profiles/mkt');
+    assert.equal(mkt.config.useDedicatedProfile, true);
+
+    writeManifest(dir, { jobs: [{ name: 'eng', urlsFile: 'eng.txt' }] });
+    assert.equal(loadManifest(manifest, DEFAULTS)[0].config.cookiesFile, null);
+});
+
+test('a manifest that would mix two jobs\' state is refused', t => {
+    const dir = tempDir(t);
+    const refused = (content, pattern) => assert.throws(() => loadManifest(writeManifest(dir, content), DEFAULTS), pattern);
+
+    refused({ jobs: [{ name: 'a', urlsFile: 'a.txt', cookiesFile: 'c.json' }, { name: 'b', urlsFile: 'b.txt', cookiesFile: 'c.json' }] },
+        /jobs "a" and "b" share cookiesFile/);
+    refused({ jobs: [{ name: 'a', urlsFile: 'a.txt', progressFile: 'p.json' }, { name: 'b', urlsFile: 'b.txt', progressFile: './p.json' }] },
+        /share progressFile/);
+    refused({ jobs: [{ name: 'a', urlsFile: 'a.txt' }, { name: 'a', urlsFile: 'b.txt' }] }, /two jobs are named "a"/);
+    refused({ jobs: [{ name: 'a', urlsFile: 'a.txt', colour: 'red' }] }, /unknown setting "colour"/);
+    refused({ jobs: [{ name: 'a' }] }, /"urlsFile" is required/);
+    refused({ jobs: [] }, /has no "jobs" list/);
+});
+
+test('printBatchSummary adds up the jobs', t => {
+    t.mock.method(console, 'log', () => {});
+    const counts = { pending: 1, 'in-progress': 0, imported: 3, verified: 1, 'failed-retryable': 1, 'failed-permanent': 1, skipped: 0 };
+
+    const totals = printBatchSummary([
+        { name: 'eng', config: { progressFile: 'eng_progress.json' }, counts },
+        { name: 'mkt', config: { progressFile: 'mkt_progress.json' }, error: 'Chrome crashed' }
+    ]);
+    assert.deepEqual(totals, { imported: 4, failed: 2, pending: 1 });
+});
+
+test('a job that fails after Chrome started closes it before the next job runs', async t => {
+    t.mock.method(console, 'log', () => {});
+    const dir = tempDir(t);
+    const launched = [];
+
+    t.mock.method(Importer.prototype, 'open', async function () {
+        const browser = { closed: false, close: async () => { browser.closed = true; } };
+        launched.push(browser);
+        this.browser = browser;
+        this.page = {};
+        return this.page;
+    });
+    t.mock.method(Importer.prototype, 'openStoryIndex', async () => {
+        throw new Error('Medium stories page did not load');
+    });
+
+    const jobs = ['eng', 'mkt'].map(name => {
+        const urlsFile = path.join(dir, `${name}.txt`);
+        fs.writeFileSync(urlsFile, `https://${name}.example.com/post/\n`);
+        return { name, urlsFile, progressFile: path.join(dir, `${name}_progress.json`) };
+    });
+    const manifest = writeManifest(dir, {
+        defaults: { sortByDate: false, logDir: path.join(dir, 'logs'), storyIndexFile: path.join(dir, 'stories.json') },
+        jobs
+    });
+
+    await run(['batch', '--batch-file', manifest, '--yes']);
+
+    assert.equal(launched.length, 2);
+    assert.ok(launched.every(browser => browser.closed), 'every job\'s Chrome was closed');
+});
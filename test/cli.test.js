@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, parseSimpleYaml, resolveConfig } = require('../lib/cli');
+
+const DEFAULTS = {
+    urlsFile: 'wordpress_urls.txt',
+    showBrowser: true,
+    autoPublish: false,
+    maxRetries: 3,
+    publication: null
+};
+
+test('parseArgs reads the command and coerces values to the defaults\' types', () => {
+    const parsed = parseArgs(['import', '--max-retries', '5', '--urls-file=list.csv', '--publication', 'null', '--yes'], DEFAULTS);
+
+    assert.equal(parsed.command, 'import');
+    assert.equal(parsed.yes, true);
+    assert.deepEqual(parsed.options, { maxRetries: 5, urlsFile: 'list.csv', publication: null });
+});
+
+test('boolean flags take --flag, --no-flag, --flag=value or a true/false word after them', () => {
+    const options = argv => parseArgs(argv, DEFAULTS).options;
+
+    assert.deepEqual(options(['--auto-publish']), { autoPublish: true });
+    assert.deepEqual(options(['--no-show-browser']), { showBrowser: false });
+    assert.deepEqual(options(['--show-browser=no']), { showBrowser: false });
+    assert.deepEqual(options(['--show-browser', 'false', '--auto-publish', 'TRUE']), { showBrowser: false, autoPublish: true });
+    assert.throws(() => parseArgs(['--auto-publish', 'maybe'], DEFAULTS), /Unexpected argument "maybe"/);
+});
+
+test('parseArgs refuses unknown commands, options and missing values', () => {
+    assert.throws(() => parseArgs(['explode'], DEFAULTS), /Unknown command "explode"/);
+    assert.throws(() => parseArgs(['--colour', 'red'], DEFAULTS), /Unknown option --colour/);
+    assert.throws(() => parseArgs(['--max-retries'], DEFAULTS), /--max-retries expects a value/);
+    assert.throws(() => parseArgs(['--max-retries', 'lots'], DEFAULTS), /expects a number/);
+});
+
+test('flags override the config file, which overrides the defaults', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-cli-'));
+    const file = path.join(dir, 'settings.yml');
+    fs.writeFileSync(file, '# settings\nmaxRetries: 7\nautoPublish: yes\nurlsFile: "from-file.txt"\n');
+
+    try {
+        assert.deepEqual(parseSimpleYaml(fs.readFileSync(file, 'utf8')), { maxRetries: '7', autoPublish: 'yes', urlsFile: 'from-file.txt' });
+
+        const { config } = resolveConfig(['--config', file, '--max-retries', '1'], DEFAULTS);
+        assert.equal(config.maxRetries, 1);
+        assert.equal(config.autoPublish, true);
+        assert.equal(config.urlsFile, 'from-file.txt');
+        assert.equal(config.showBrowser, true);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createDashboard, describeRun } = require('../lib/dashboard');
+const { createRunControl } = require('../lib/run-control');
+
+function fakeImporter(page) {
+    return {
+        control: createRunControl(),
+        active: new Map(),
+        queue: [],
+        store: null,
+        currentRun: null,
+        page,
+        config: { delayBetweenImports: 30000, workers: 1 }
+    };
+}
+
+// http.request rather than fetch - fetch won't let us set Host
+function request(baseUrl, path, { method = 'GET', host, type, body } = {}) {
+    const url = new URL(path, baseUrl);
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, {
+            method,
+            headers: {
+                host: host || url.host,
+                ...(type ? { 'content-type': type } : {})
+            }
+        }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+async function withDashboard(importer, fn) {
+    const dashboard = createDashboard(importer);
+    const baseUrl = await dashboard.listen();
+    try {
+        await fn(baseUrl);
+    } finally {
+        await dashboard.close();
+    }
+}
+
+test('the dashboard only answers for localhost and 127.0.0.1', async () => {
+    await withDashboard(fakeImporter(null), async baseUrl => {
+        const { port } = new URL(baseUrl);
+        assert.equal((await request(baseUrl, '/state')).status, 200);
+        assert.equal((await request(baseUrl, '/state', { host: `127.0.0.1:${port}` })).status, 200);
+        assert.equal((await request(baseUrl, '/state', { host: `evil.example.com:${port}` })).status, 403);
+        assert.equal((await request(baseUrl, '/', { host: 'localhost:1' })).status, 403);
+    });
+});
+
+test('the buttons only take JSON and steer the run control', async t => {
+    t.mock.method(console, 'log', () => {});
+    const importer = fakeImporter(null);
+
+    await withDashboard(importer, async baseUrl => {
+        assert.equal((await request(baseUrl, '/pause', { method: 'POST', type: 'text/plain' })).status, 415);
+        assert.equal(importer.control.isPaused(), false);
+
+        const paused = await request(baseUrl, '/pause', { method: 'POST', type: 'application/json' });
+        assert.equal(JSON.parse(paused.body).message, 'Paused after the current attempt');
+        assert.equal(importer.control.isPaused(), true);
+
+        await request(baseUrl, '/skip', { method: 'POST', type: 'application/json', body: JSON.stringify({ url: 'https://blog.example.com/a/' }) });
+        assert.ok(importer.control.isSkipped('https://blog.example.com/a/'));
+
+        const noUrl = await request(baseUrl, '/skip', { method: 'POST', type: 'application/json', body: '{}' });
+        assert.equal(noUrl.status, 500);
+    });
+});
+
+test('a screenshot that fails answers 500 and keeps the process alive', async () => {
+    const page = {
+        isClosed: () => false,
+        screenshot: async () => { throw new Error('Target closed'); }
+    };
+
+    await withDashboard(fakeImporter(page), async baseUrl => {
+        const failed = await request(baseUrl, '/screenshot.png');
+        assert.equal(failed.status, 500);
+        assert.match(failed.body.toString(), /Target closed/);
+
+        page.screenshot = async () => Buffer.from('png');
+        const shot = await request(baseUrl, '/screenshot.png');
+        assert.equal(shot.status, 200);
+        assert.equal(shot.type, 'image/png');
+    });
+});
+
+test('describeRun counts what is left and estimates the time', () => {
+    const importer = fakeImporter(null);
+    importer.queue = [{ url: 'https://blog.example.com/a/', n: 1 }, { url: 'https://blog.example.com/b/', n: 2 }];
+    importer.store = {
+        get: () => null,
+        counts: () => ({ pending: 2 }),
+        lastError: () => null
+    };
+    importer.currentRun = {
+        stopReason: null,
+        importTimes: [10000],
+        retryEarlierFailures: false,
+        pacer: { currentDelay: () => 20000 }
+    };
+
+    const state = describeRun(importer);
+    assert.equal(state.running, true);
+    assert.deepEqual(state.eta, { remaining: 2, ms: 60000 });
+    assert.deepEqual(state.queue.map(item => item.state), ['pending', 'pending']);
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { recordConsole, saveDebugBundle } = require('../lib/debug-bundle');
+const { SELECTOR_VERSION } = require('../lib/selectors');
+
+test('a failed attempt saves what the page showed, even when part of it cannot be read', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-debug-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const page = new EventEmitter();
+    Object.assign(page, {
+        url: () => 'https://medium.com/p/import',
+        content: async () => '<html><body>Import a story</body></html>',
+        screenshot: async () => { throw new Error('Target closed'); },
+        evaluate: async () => ({ inputs: 0, buttons: 1 })
+    });
+    recordConsole(page);
+    page.emit('console', { type: () => 'error', text: () => 'Failed to load resource' });
+    page.emit('pageerror', new Error('x is not defined'));
+
+    const tried = [{ strategy: 'role=textbox', matches: 0, passed: false }];
+    const folder = await saveDebugBundle(page, 'https://blog.example.com/first-post/', dir, { error: 'Could not find URL input', tried });
+
+    assert.match(path.basename(folder), /_first-post$/);
+    assert.deepEqual(fs.readdirSync(folder).sort(), ['console.log', 'elements.json', 'info.json', 'page.html', 'screenshot.png.error.txt']);
+    assert.equal(fs.readFileSync(path.join(folder, 'screenshot.png.error.txt'), 'utf8'), 'Target closed');
+    assert.match(fs.readFileSync(path.join(folder, 'console.log'), 'utf8'), /\[error\] Failed to load resource\n.*\[pageerror\] x is not defined\n$/);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(folder, 'elements.json'), 'utf8')), { counts: { inputs: 0, buttons: 1 }, tried });
+
+    const info = JSON.parse(fs.readFileSync(path.join(folder, 'info.json'), 'utf8'));
+    assert.equal(info.error, 'Could not find URL input');
+    assert.equal(info.pageUrl, 'https://medium.com/p/import');
+    assert.equal(info.selectorVersion, SELECTOR_VERSION);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isPostUrl, mergePosts, writeDiscoveredPosts } = require('../lib/discover');
+const { loadUrlList } = require('../lib/url-list');
+
+const POSTS = [
+    { url: 'https://blog.example.com/older/', title: 'Older', date: '2023-05-01T10:00:00' },
+    { url: 'https://blog.example.com/newer/', title: 'Newer', date: '2024-02-01T10:00:00' }
+];
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-discover-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('isPostUrl keeps posts on the site and drops archives, feeds and sitemaps', () => {
+    const origin = 'https://blog.example.com';
+    assert.ok(isPostUrl('https://www.blog.example.com/a-post/', origin));
+    assert.ok(isPostUrl('https://blog.example.com/?p=12', origin));
+    assert.ok(!isPostUrl('https://blog.example.com/', origin));
+    assert.ok(!isPostUrl('https://other.example.com/a-post/', origin));
+    assert.ok(!isPostUrl('https://blog.example.com/category/aws/', origin));
+    assert.ok(!isPostUrl('https://blog.example.com/feed/', origin));
+    assert.ok(!isPostUrl('https://blog.example.com/wp-json/wp/v2/posts', origin));
+    assert.ok(!isPostUrl('https://blog.example.com/post-sitemap.xml', origin));
+});
+
+test('mergePosts dedupes across sources and sorts oldest first, undated last', () => {
+    const merged = mergePosts([
+        [{ url: 'https://blog.example.com/newer/', title: '', date: null }, { url: 'https://blog.example.com/undated/', title: 'Undated' }],
+        [...POSTS].reverse()
+    ]);
+
+    assert.deepEqual(merged.map(post => [post.url, post.title]), [
+        ['https://blog.example.com/older/', 'Older'],
+        ['https://blog.example.com/newer/', 'Newer'],
+        ['https://blog.example.com/undated/', 'Undated']
+    ]);
+});
+
+test('the discovered list reads back as the import queue', t => {
+    t.mock.method(console, 'log', () => {});
+    const file = path.join(tempDir(t), 'discovered.txt');
+
+    writeDiscoveredPosts(POSTS, file, 'blog.example.com');
+    assert.deepEqual(loadUrlList(file).entries.map(entry => entry.url), POSTS.map(post => post.url));
+});
+
+test('the JSON copy never replaces the list, whatever it is called', t => {
+    const dir = tempDir(t);
+    const written = name => writeDiscoveredPosts(POSTS, path.join(dir, name), 'blog.example.com')
+        .map(file => path.relative(dir, file));
+
+    assert.deepEqual(written('list.json'), ['list.json', 'list.posts.json']);
+    assert.match(fs.readFileSync(path.join(dir, 'list.json'), 'utf8'), /^# Posts discovered/);
+
+    fs.mkdirSync(path.join(dir, 'out.d'));
+    assert.deepEqual(written(path.join('out.d', 'list')), [path.join('out.d', 'list'), path.join('out.d', 'list.posts.json')]);
+    assert.deepEqual(written('.urls'), ['.urls', '.urls.posts.json']);
+
+    const copy = JSON.parse(fs.readFileSync(path.join(dir, 'list.posts.json'), 'utf8'));
+    assert.deepEqual(copy[0], { link: POSTS[0].url, date: POSTS[0].date, title: { rendered: 'Older' } });
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatDate, loadSeries, buildFooter, addFooter } = require('../lib/draft-footer');
+
+const POST = { url: 'https://www.netjoints.com/vpc-peering/', title: 'VPC <peering>', date: '2019-03-04T10:00:00.000Z' };
+const TEMPLATE = 'Originally published on {site} on {date}.';
+
+function seriesFile(t, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-footer-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'series.json');
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+test('formatDate spells the date out in UTC', () => {
+    assert.equal(formatDate('2019-03-04T23:30:00.000Z'), 'March 4, 2019');
+    assert.equal(formatDate(null), null);
+});
+
+test('the footer links the original post and escapes the post\'s own text', () => {
+    const footer = buildFooter(POST, { template: 'Originally published as "{title}" at {url}', callToAction: 'Follow me for more.' });
+
+    assert.equal(footer.html, '<p><em>Originally published as &quot;VPC &lt;peering&gt;&quot; at '
+        + '<a href="https://www.netjoints.com/vpc-peering/">https://www.netjoints.com/vpc-peering/</a></em></p>'
+        + '<p><em>Follow me for more.</em></p>');
+    assert.equal(footer.text, 'Originally published as "VPC <peering>" at https://www.netjoints.com/vpc-peering/\nFollow me for more.');
+    assert.equal(buildFooter(POST, {}), null);
+});
+
+test('the marker ignores a date found later, so a second run sees the footer', () => {
+    const undated = buildFooter({ ...POST, date: null }, { template: TEMPLATE });
+    const dated = buildFooter(POST, { template: TEMPLATE });
+
+    assert.equal(undated.text, 'Originally published on netjoints.com on an earlier date.');
+    assert.equal(dated.text, 'Originally published on netjoints.com on March 4, 2019.');
+    assert.equal(undated.marker, 'Originally published on netjoints.com on');
+    assert.equal(dated.marker, undated.marker);
+});
+
+test('series links point wherever linkFor says, skipping the post itself', t => {
+    const series = loadSeries(seriesFile(t, {
+        'AWS networking': ['https://netjoints.com/vpc-basics/', 'https://netjoints.com/vpc-peering', 'https://netjoints.com/transit-gateway/']
+    }));
+    const linkFor = url => (url.includes('basics') ? 'https://medium.com/@me/vpc-basics-1a2b' : url);
+
+    const footer = buildFooter(POST, { series, linkFor });
+    assert.equal(footer.text, 'Part 2 of 3 in AWS networking: Part 1 · Part 3');
+    assert.equal(footer.marker, 'Part 2 of 3 in AWS networking');
+    assert.match(footer.html, /<a href="https:\/\/medium\.com\/@me\/vpc-basics-1a2b">Part 1<\/a> · <a href="https:\/\/netjoints\.com\/transit-gateway\/">Part 3<\/a>/);
+});
+
+test('a series file that is not a map of URL lists is refused', t => {
+    assert.equal(loadSeries(null).size, 0);
+    assert.throws(() => loadSeries(seriesFile(t, '{ not json')), /Could not read series file/);
+    assert.throws(() => loadSeries(seriesFile(t, { 'AWS networking': 'https://netjoints.com/a/' })), /"AWS networking" should be a list of URLs/);
+});
+
+test('addFooter leaves a draft that already has the footer alone', async () => {
+    const footer = buildFooter(POST, { template: TEMPLATE });
+    const calls = [];
+    const page = { evaluate: async fn => { calls.push(fn.name); return 'Body text. Originally published on netjoints.com on March 4, 2019.'; } };
+
+    assert.equal(await addFooter(page, footer), 'already there');
+    assert.deepEqual(calls, ['readStoryText']);
+    await assert.rejects(addFooter({ evaluate: async () => null }, footer), /Could not find the story editor/);
+});
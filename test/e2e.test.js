@@ -0,0 +1,243 @@
+/**
+ * Browser tests: the whole import command - main() - in headless
+ * Chrome against lib/mock-medium-server.js, plus the pieces that
+ * only run in a page (publishing, the fallback, the URL field).
+ * Needs puppeteer's Chrome (npm install) or CHROME_PATH; each test
+ * is skipped, with the reason in the output, when Chrome can't start.
+ *
+ *   npm run test:e2e
+ *   CHROME_PATH=/usr/bin/chromium npm run test:e2e
+ *
+ * In CI, set E2E_REQUIRE_CHROME=1 so a missing browser fails the
+ * build instead of skipping. puppeteer's Chrome downloads on
+ * npm install (or `npx puppeteer browsers install chrome`) but
+ * needs the system libraries it links against - on Debian/Ubuntu
+ * runners install them with `npx puppeteer browsers install chrome
+ * --install-deps`, or run in the ghcr.io/puppeteer/puppeteer image,
+ * or point CHROME_PATH at the runner's own Chrome/Chromium.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { DEFAULTS } = require('../lib/config');
+const { saveFallbackPost } = require('../lib/fallback');
+const { enterUrl, readFieldValue } = require('../lib/field-input');
+const { publishDraft } = require('../lib/medium-publisher');
+const { createMockMediumServer } = require('../lib/mock-medium-server');
+const { main } = require('../medium-importer');
+
+const chromePath = process.env.CHROME_PATH || puppeteer.executablePath();
+
+function launch() {
+    return puppeteer.launch({
+        executablePath: chromePath,
+        headless: true,
+        args: process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : []
+    });
+}
+
+// Chrome has to start, not just be there - slim CI images can lack its libraries
+async function browserProblem() {
+    if (!fs.existsSync(chromePath)) return `no Chrome at ${chromePath} - run npm install or set CHROME_PATH`;
+    try {
+        const browser = await launch();
+        await browser.close();
+        return null;
+    } catch (error) {
+        return `Chrome does not start here (set CHROME_PATH to one that does): ${error.message.replace(/\s+/g, ' ').slice(0, 200)}`;
+    }
+}
+
+let problemCheck = null;
+
+// True (after marking the test skipped) when Chrome can't start here -
+// unless E2E_REQUIRE_CHROME is set, where that fails the test instead
+async function skipWithoutChrome(t) {
+    problemCheck = problemCheck || browserProblem();
+    const problem = await problemCheck;
+    if (!problem) return false;
+    if (process.env.E2E_REQUIRE_CHROME) assert.fail(`E2E_REQUIRE_CHROME is set, but ${problem}`);
+    t.skip(problem);
+    return true;
+}
+
+const URLS = [
+    'https://blog.example.com/first-post/',
+    'https://blog.example.com/refused-post/',
+    'https://blog.example.com/third-post/'
+];
+
+function settings(dir, baseUrl) {
+    return {
+        ...DEFAULTS,
+        mediumBaseUrl: baseUrl,
+        chromePath,
+        showBrowser: false,
+        urlsFile: path.join(dir, 'urls.txt'),
+        progressFile: path.join(dir, 'progress.json'),
+        profileDir: path.join(dir, 'profile'),
+        debugDir: path.join(dir, 'debug'),
+        logDir: path.join(dir, 'logs'),
+        sortByDate: false,
+        duplicateCheck: 'off',
+        delayBetweenImports: 200,
+        minDelayBetweenImports: 100,
+        maxDelayBetweenImports: 1000,
+        retryDelay: 200,
+        importWaitTime: 15000,
+        importPageTimeout: 10000
+    };
+}
+
+test('main() imports the queue, retries a throttled import and records a refused one', { timeout: 240000 }, async t => {
+    if (await skipWithoutChrome(t)) return;
+
+    // Visits to /p/import in order: first post throttled then fine, second refused, third fine
+    const server = createMockMediumServer({ scenarios: ['server-stopped', 'success', 'cannot-import'], importDelay: 100 });
+    const baseUrl = await server.listen();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-e2e-'));
+    const config = settings(dir, baseUrl);
+    fs.writeFileSync(config.urlsFile, URLS.join('\n') + '\n');
+
+    try {
+        const outcome = await main({ yes: true, closeBrowser: true }, config);
+
+        assert.equal(outcome.stopReason, null);
+        assert.equal(outcome.counts.imported, 2);
+        assert.equal(outcome.counts['failed-permanent'], 1);
+        assert.deepEqual(server.submissions.map(submission => submission.url), [URLS[0], URLS[0], URLS[1], URLS[2]]);
+
+        const progress = JSON.parse(fs.readFileSync(config.progressFile, 'utf8'));
+        assert.equal(progress.urls[URLS[0]].state, 'imported');
+        assert.equal(progress.urls[URLS[0]].attempts.length, 2);
+        assert.match(progress.urls[URLS[0]].story.editUrl, /\/p\/[0-9a-f]+\/edit$/);
+        assert.equal(progress.urls[URLS[1]].state, 'failed-permanent');
+        assert.ok(fs.readdirSync(config.debugDir).length >= 2, 'a debug bundle per failed attempt');
+
+        const [log] = fs.readdirSync(config.logDir);
+        const events = fs.readFileSync(path.join(config.logDir, log), 'utf8').trim().split('\n')
+            .map(line => JSON.parse(line).event)
+            .filter(Boolean);
+        assert.equal(events[0], 'run-start');
+        assert.equal(events[events.length - 1], 'run-end');
+        assert.equal(events.filter(event => event === 'attempt').length, 4);
+
+        // Running again resumes: imported posts are left alone, and so is the
+        // one Medium refused, even with --yes (that's for the fallback command)
+        const again = await main({ yes: true, closeBrowser: true }, config);
+        assert.equal(server.submissions.length, 4);
+        assert.equal(again.counts.imported, 2);
+        assert.equal(again.counts['failed-permanent'], 1);
+    } finally {
+        await server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('publishDraft adds topics, picks the publication and goes out unlisted', { timeout: 60000 }, async t => {
+    if (await skipWithoutChrome(t)) return;
+
+    const server = createMockMediumServer({ publications: ['Cloud Notes'], importDelay: 0 });
+    const baseUrl = await server.listen();
+    const browser = await launch();
+
+    try {
+        const created = await fetch(`${baseUrl}/_/import`, {
+            method: 'POST',
+            body: JSON.stringify({ url: URLS[0], scenario: 'success' })
+        });
+        const { redirect } = await created.json();
+        const page = await browser.newPage();
+        await page.goto(`${baseUrl}${redirect}`);
+
+        const tags = ['aws', 'iam', 'security', 'cloud', 'devops', 'one-too-many'];
+        const published = await publishDraft(page, { tags, publication: 'Cloud Notes', visibility: 'unlisted' });
+
+        const [story] = server.stories.values();
+        assert.equal(published.publishedUrl, `${baseUrl}/@mock/story-${story.id}`);
+        assert.deepEqual(published.tags, tags.slice(0, 5));
+        assert.deepEqual(story.topics, tags.slice(0, 5));
+        assert.equal(story.publication, 'Cloud Notes');
+        assert.equal(story.unlisted, true);
+    } finally {
+        await browser.close();
+        await server.close();
+    }
+});
+
+const WORDPRESS_POST = `<!DOCTYPE html><html><head><title>Site title</title></head><body>
+<nav><a href="/">Home</a></nav>
+<article>
+<h1 class="entry-title">Rotating keys &amp; secrets</h1>
+<div class="entry-content">
+<h2>Why</h2>
+<p>Keys <b>leak</b>. See <a href="/older-post/">the older post</a>.</p>
+<figure><img data-src="/img/diagram.png" src="data:image/gif;base64,R0lGODlhAQABAAAAACw=" alt="Diagram"><figcaption>The flow</figcaption></figure>
+<div class="syntaxhighlighter"><div class="line">aws iam create-access-key</div><div class="line">aws iam delete-access-key</div></div>
+<figure class="wp-block-embed"><iframe src="https://www.youtube.com/embed/abc123"></iframe></figure>
+<div class="sharedaddy"><button>Share</button></div>
+<script>document.title = 'changed';</script>
+</div>
+</article>
+</body></html>`;
+
+test('the fallback turns a WordPress post into HTML Medium keeps', { timeout: 60000 }, async t => {
+    if (await skipWithoutChrome(t)) return;
+
+    const site = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(WORDPRESS_POST);
+    });
+    await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${site.address().port}`;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-fallback-'));
+    const browser = await launch();
+
+    try {
+        const url = `${origin}/rotating-keys/`;
+        const saved = await saveFallbackPost(await browser.newPage(), url, dir);
+
+        assert.equal(saved.file, path.join(dir, 'rotating-keys.html'));
+        assert.equal(saved.title, 'Rotating keys & secrets');
+        // Blank lines between blocks are the page's own whitespace - Medium ignores them
+        assert.equal(saved.html.replace(/\n\s*\n/g, '\n'), [
+            '<h3>Why</h3>',
+            `<p>Keys <strong>leak</strong>. See <a href="${origin}/older-post/">the older post</a>.</p>`,
+            `<figure><img src="${origin}/img/diagram.png" alt="Diagram"><figcaption>The flow</figcaption></figure>`,
+            '<pre>aws iam create-access-key\naws iam delete-access-key</pre>',
+            '<p><a href="https://www.youtube.com/embed/abc123">https://www.youtube.com/embed/abc123</a></p>',
+            '<hr>',
+            `<p><em>Originally published at <a href="${url}">${url}</a>.</em></p>`
+        ].join('\n'));
+        assert.match(fs.readFileSync(saved.file, 'utf8'), new RegExp(`<link rel="canonical" href="${url}">`));
+    } finally {
+        await browser.close();
+        site.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('enterUrl replaces whatever the URL field already holds', { timeout: 60000 }, async t => {
+    if (await skipWithoutChrome(t)) return;
+
+    const browser = await launch();
+    try {
+        const page = await browser.newPage();
+        await page.setContent(`
+<div role="textbox" contenteditable="true" style="width: 400px">Paste a link&#8203; https://blog.example.com/old/</div>
+<input type="url" value="https://blog.example.com/stale/" style="width: 400px">`);
+
+        for (const selector of ['[role="textbox"]', 'input']) {
+            const element = await page.$(selector);
+            await enterUrl(page, element, URLS[2]);
+            assert.equal(await readFieldValue(element), URLS[2]);
+        }
+    } finally {
+        await browser.close();
+    }
+});
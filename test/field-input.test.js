@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { selectAllModifier, enterUrl } = require('../lib/field-input');
+
+test('select-all uses Cmd on macOS and Ctrl everywhere else', () => {
+    assert.equal(selectAllModifier('darwin'), 'Meta');
+    assert.equal(selectAllModifier('linux'), 'Control');
+    assert.equal(selectAllModifier('win32'), 'Control');
+});
+
+test('a field that will not hold the URL fails the attempt instead of submitting', async t => {
+    t.mock.method(console, 'log', () => {});
+    const keys = [];
+    const page = { keyboard: { down: async key => keys.push(`down ${key}`), up: async () => {}, press: async () => {}, type: async text => keys.push(`type ${text}`) } };
+    // An editor that keeps its old text whatever is done to it
+    const element = { click: async () => {}, evaluate: async () => 'https://blog.example.com/old-post/' };
+
+    await assert.rejects(
+        enterUrl(page, element, 'https://blog.example.com/new-post/'),
+        /URL field contains "https:\/\/blog\.example\.com\/old-post\/" instead of the URL/
+    );
+    assert.deepEqual(keys.filter(key => key.startsWith('type')), Array(2).fill('type https://blog.example.com/new-post/'));
+    assert.ok(keys.includes(`down ${selectAllModifier()}`), 'the keyboard fallback ran');
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolvePostDates, sortOldestFirst } = require('../lib/import-order');
+
+test('sortOldestFirst puts dated posts first and keeps file order for ties and undated posts', () => {
+    const sorted = sortOldestFirst([
+        { url: 'undated-1', date: null },
+        { url: 'newer', date: '2024-02-01T10:00:00.000Z' },
+        { url: 'older', date: '2019-05-01T10:00:00.000Z' },
+        { url: 'undated-2', date: null },
+        { url: 'newer-too', date: '2024-02-01T10:00:00.000Z' }
+    ]);
+
+    assert.deepEqual(sorted.map(entry => entry.url), ['older', 'newer', 'newer-too', 'undated-1', 'undated-2']);
+});
+
+test('dates come from the cache, then the dates file and the list, and hits are cached', async t => {
+    t.mock.method(console, 'log', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-order-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const cacheFile = path.join(dir, 'dates.json');
+    const datesFile = path.join(dir, 'posts.json');
+    fs.writeFileSync(cacheFile, JSON.stringify({ 'https://blog.example.com/cached/': { date: '2020-01-01T00:00:00.000Z', source: 'REST API' } }));
+    fs.writeFileSync(datesFile, JSON.stringify([{ link: 'https://blog.example.com/exported/', date_gmt: '2021-03-04T05:06:07', title: { rendered: 'Exported' } }]));
+
+    const entries = await resolvePostDates(
+        ['https://blog.example.com/exported/', 'https://blog.example.com/listed/', 'https://blog.example.com/cached/'],
+        { cacheFile, datesFile, knownPosts: [{ url: 'https://blog.example.com/listed/', date: '2022-06-01T00:00:00.000Z' }] }
+    );
+
+    assert.deepEqual(entries.map(entry => [entry.date, entry.source]), [
+        ['2021-03-04T05:06:07.000Z', 'dates file'],
+        ['2022-06-01T00:00:00.000Z', 'dates file'],
+        ['2020-01-01T00:00:00.000Z', 'cache']
+    ]);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(cacheFile, 'utf8'))).sort(), [
+        'https://blog.example.com/cached/',
+        'https://blog.example.com/exported/',
+        'https://blog.example.com/listed/'
+    ]);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { waitForImportOutcome } = require('../lib/import-outcome');
+
+const IMPORT_PAGE = 'https://medium.com/p/import';
+const HELP_TEXT = 'Import a story. If it fails, try again later.';
+
+// A page that shows `states` in turn, one per poll, the last one for good
+function fakePage(states) {
+    const page = new EventEmitter();
+    page.off = page.removeListener;
+    page.evaluate = async () => {
+        const state = states.length > 1 ? states.shift() : states[0];
+        if (state instanceof Error) throw state;
+        return state;
+    };
+    return page;
+}
+
+test('the new draft ends the wait as soon as the page reaches the editor', async () => {
+    const page = fakePage([
+        { url: IMPORT_PAGE, text: HELP_TEXT },
+        new Error('Execution context was destroyed'),
+        { url: 'https://medium.com/p/abc123/edit', text: '' }
+    ]);
+
+    const outcome = await waitForImportOutcome(page, async () => {}, { timeout: 5000 });
+    assert.equal(outcome.type, 'editor');
+    assert.equal(outcome.url, 'https://medium.com/p/abc123/edit');
+    assert.ok(outcome.elapsed < 5000);
+});
+
+test('only banners that were not there before the click count', async () => {
+    const refused = fakePage([
+        { url: IMPORT_PAGE, text: HELP_TEXT },
+        { url: IMPORT_PAGE, text: `${HELP_TEXT}\nSorry, this page cannot be imported.` }
+    ]);
+    const outcome = await waitForImportOutcome(refused, async () => {}, { timeout: 5000 });
+    assert.deepEqual([outcome.type, outcome.error, outcome.retryable], ['error', 'page cannot be imported by Medium', false]);
+
+    const quiet = fakePage([{ url: IMPORT_PAGE, text: HELP_TEXT }]);
+    assert.equal((await waitForImportOutcome(quiet, async () => {}, { timeout: 1200 })).type, 'timeout');
+});
+
+test('leaving the import page without a draft is reported as a redirect', async () => {
+    const page = fakePage([
+        { url: IMPORT_PAGE, text: HELP_TEXT },
+        { url: 'https://medium.com/m/signin', text: 'Welcome back.' }
+    ]);
+
+    const outcome = await waitForImportOutcome(page, async () => {}, { timeout: 5000 });
+    assert.deepEqual([outcome.type, outcome.url], ['redirected', 'https://medium.com/m/signin']);
+});
+
+test('an HTTP error from the import request fails the attempt if no banner follows', async () => {
+    const page = fakePage([{ url: IMPORT_PAGE, text: HELP_TEXT }]);
+    const submit = async () => {
+        page.emit('response', { request: () => ({ method: () => 'POST' }), url: () => 'https://medium.com/_/import', status: () => 429 });
+    };
+
+    const outcome = await waitForImportOutcome(page, submit, { timeout: 10000 });
+    assert.equal(outcome.error, 'import request failed (HTTP 429)');
+    assert.equal(outcome.retryable, true);
+    assert.deepEqual(outcome.response, { status: 429, url: 'https://medium.com/_/import' });
+    assert.equal(page.listenerCount('response'), 0);
+});
@@ -0,0 +1,236 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Importer } = require('../lib/importer');
+const { createProgressStore } = require('../lib/progress-store');
+const { createRunLog } = require('../lib/run-log');
+
+const URL_A = 'https://blog.example.com/first-post/';
+
+// Enough of a page for the debug bundle
+function fakePage() {
+    return {
+        url: () => 'https://medium.com/me/stories',
+        content: async () => '<html></html>',
+        screenshot: async () => { throw new Error('no screen'); },
+        evaluate: async () => { throw new Error('no page'); },
+        goto: async () => {}
+    };
+}
+
+// An Importer whose importToMedium answers from `results` in turn
+function testImporter(t, results, config = {}, options = { yes: true }) {
+    t.mock.method(console, 'log', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-run-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const importer = new Importer({
+        progressFile: path.join(dir, 'progress.json'),
+        debugDir: path.join(dir, 'debug'),
+        logDir: null,
+        maxRetries: 2,
+        retryDelay: 10,
+        delayBetweenImports: 10,
+        minDelayBetweenImports: 10,
+        maxDelayBetweenImports: 50,
+        ...config
+    }, options);
+    const submitted = [];
+    importer.importToMedium = async (page, url) => {
+        submitted.push(url);
+        return { url, ...results.shift() };
+    };
+    return { importer, submitted, store: createProgressStore(importer.config.progressFile) };
+}
+
+async function importUrl(importer, store, index, url = URL_A) {
+    const run = importer.createRun(store, index, false);
+    assert.ok(await importer.claimUrl(url, 0, 1, run));
+    const outcome = await importer.importWithRetries(fakePage(), url, 0, 1, run);
+    await importer.recordResult(url, outcome, run);
+    return outcome;
+}
+
+const REDIRECTED = { success: false, error: 'redirected to https://medium.com/ instead of the editor', retryable: true, mayHaveImported: true };
+
+test('leaving the import page with no drafts list to check is left retryable, not retried now', async t => {
+    const { importer, submitted, store } = testImporter(t, [REDIRECTED], { duplicateCheck: 'off' });
+
+    const { result } = await importUrl(importer, store, null);
+
+    assert.equal(result.unverified, true);
+    assert.deepEqual(submitted, [URL_A]);
+    assert.equal(store.state(URL_A), 'failed-retryable');
+    assert.match(store.lastError(URL_A), /unverified - the draft may exist/);
+});
+
+test('a drafts list that cannot be read is treated the same way', async t => {
+    const { importer, submitted, store } = testImporter(t, [REDIRECTED]);
+    const index = { refresh: async () => { throw new Error('stories page timed out'); }, save() {}, match: async () => null };
+
+    await importUrl(importer, store, index);
+
+    assert.equal(submitted.length, 1);
+    assert.equal(store.state(URL_A), 'failed-retryable');
+});
+
+test('a draft Medium made after all counts as imported', async t => {
+    const { importer, submitted, store } = testImporter(t, [REDIRECTED]);
+    const story = { id: 'abc123', title: 'First post', editUrl: 'https://medium.com/p/abc123/edit' };
+    // Not there when the URL is claimed, there once the drafts are refreshed
+    let refreshed = false;
+    const index = {
+        refresh: async () => { refreshed = true; },
+        save() {},
+        match: async () => (refreshed ? { story, matchedBy: 'canonical' } : null),
+        add() {}
+    };
+
+    await importUrl(importer, store, index);
+
+    assert.equal(submitted.length, 1);
+    assert.equal(store.state(URL_A), 'imported');
+    assert.equal(store.get(URL_A).story.editUrl, story.editUrl);
+});
+
+test('no draft in the list means it is safe to try again', async t => {
+    const { importer, submitted, store } = testImporter(t, [REDIRECTED, { success: true, story: { storyId: 'def456' } }]);
+    const index = { refresh: async () => {}, save() {}, match: async () => null, add() {} };
+
+    await importUrl(importer, store, index);
+
+    assert.equal(submitted.length, 2);
+    assert.equal(store.state(URL_A), 'imported');
+});
+
+test('posts Medium refused are never claimed again, retryable failures only when asked', async t => {
+    const { importer, store } = testImporter(t, []);
+    const refused = 'https://blog.example.com/refused/';
+    [[URL_A, 'Server stopped responding'], [refused, 'This page cannot be imported']].forEach(([url, error]) => {
+        store.markInProgress(url);
+        store.markFailed(url, error);
+    });
+
+    const retrying = importer.createRun(store, null, true);
+    assert.equal(await importer.claimUrl(refused, 0, 2, retrying), false);
+    assert.equal(await importer.claimUrl(URL_A, 1, 2, retrying), true);
+
+    store.markFailed(URL_A, 'Server stopped responding');
+    assert.equal(await importer.claimUrl(URL_A, 1, 2, importer.createRun(store, null, false)), false);
+    assert.equal(store.state(refused), 'failed-permanent');
+});
+
+// Signed out until `signedInAfter` session checks have happened
+function signInPage(signedInAfter) {
+    let checks = 0;
+    return {
+        visits: [],
+        goto: async function (url) { this.visits.push(url); },
+        evaluate: async () => {
+            checks++;
+            return checks > signedInAfter ? { profileMenu: true, signInLink: false } : { profileMenu: false, signInLink: true };
+        },
+        cookies: async () => []
+    };
+}
+
+test('signing in by hand goes through the injected ask()', async t => {
+    const questions = [];
+    const ask = async question => { questions.push(question.trim()); return true; };
+    const { importer } = testImporter(t, [], { showBrowser: true }, { ask });
+
+    assert.equal(await importer.signIn(signInPage(1)), true);
+    assert.deepEqual(questions, [
+        '✋ Have you logged into Medium in the browser window? (y/n):',
+        '⚠️  Still not signed in. Try again? (y/n):',
+        '✋ Have you logged into Medium in the browser window? (y/n):'
+    ]);
+
+    const { importer: declined } = testImporter(t, [], { showBrowser: true }, { ask: async () => false });
+    assert.equal(await declined.signIn(signInPage(0)), false);
+});
+
+test('a --yes run without ask() does not wait for a sign-in', async t => {
+    const { importer } = testImporter(t, [], { showBrowser: true }, { yes: true });
+    const page = signInPage(0);
+
+    assert.equal(await importer.signIn(page), false);
+    assert.deepEqual(page.visits, []);
+});
+
+test('a duplicate found on the published list is recorded with a link the editor opens', async t => {
+    const { importer, store } = testImporter(t, [], { mediumBaseUrl: 'https://medium.example.com' });
+    const story = { id: 'abc123', title: 'First post', publishedUrl: 'https://medium.example.com/@me/first-post-abc123' };
+    const index = { match: async () => ({ story, matchedBy: 'canonical' }) };
+
+    assert.equal(await importer.handleDuplicate(index, store, URL_A, 0, 1), true);
+    assert.equal(store.state(URL_A), 'imported');
+    assert.deepEqual(store.get(URL_A).story, {
+        storyId: 'abc123',
+        editUrl: 'https://medium.example.com/p/abc123/edit',
+        publishedUrl: story.publishedUrl,
+        title: 'First post',
+        importedAt: null,
+        matchedBy: 'canonical'
+    });
+});
+
+test('footer progress goes to the run log with the URL it belongs to', async t => {
+    const { importer } = testImporter(t, [], { draftFooter: 'Originally published at {url}' });
+    const logDir = path.dirname(importer.config.progressFile);
+    importer.runLog = createRunLog({ dir: path.join(logDir, 'logs'), level: 'error' });
+    const page = { evaluate: async () => null };
+
+    const footer = await importer.addDraftFooter(page, URL_A, 'First post');
+
+    assert.equal(footer.status, 'failed');
+    assert.equal(console.log.mock.callCount(), 0, '--log-level error keeps the warning off the console');
+    const records = fs.readFileSync(importer.runLog.file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(records.map(({ level, url, msg }) => [level, url, msg]), [
+        ['warn', URL_A, '⚠️ Could not add the footer, draft left without it: Could not find the story editor']
+    ]);
+});
+
+test('plugins reshape the URL list and hear about every attempt', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-plugin-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const pluginFile = path.join(dir, 'drop-drafts.js');
+    fs.writeFileSync(pluginFile, 'module.exports = { transformUrls: entries => entries.filter(entry => !entry.url.includes("draft")) };');
+
+    const refused = 'https://blog.example.com/refused/';
+    const { importer, store } = testImporter(t, [
+        { success: false, error: 'Could not find URL input on import page', retryable: true },
+        { success: true, story: { storyId: 'abc123' } },
+        { success: false, error: 'This page cannot be imported', retryable: false }
+    ], { plugins: pluginFile });
+
+    const heard = [];
+    let given = null;
+    importer.use(instance => { given = instance; });
+    assert.equal(given, importer, 'a function plugin is called with the importer');
+    importer.use({
+        beforeImport: ({ url, attempt }) => heard.push(`beforeImport ${url} #${attempt}`),
+        retry: ({ url, reason }) => heard.push(`retry ${url} ${reason}`),
+        imported: ({ url, attempts }) => heard.push(`imported ${url} after ${attempts}`),
+        failed: async ({ url }) => { heard.push(`failed ${url}`); throw new Error('webhook down'); }
+    });
+
+    const entries = await importer.loadSources([URL_A, 'https://blog.example.com/draft-notes/', { url: refused, title: 'Refused' }]);
+    assert.deepEqual(entries.map(entry => entry.url), [URL_A, refused]);
+
+    await importUrl(importer, store, null, URL_A);
+    await importUrl(importer, store, null, refused);
+
+    assert.deepEqual(heard, [
+        `beforeImport ${URL_A} #1`,
+        `retry ${URL_A} error`,
+        `beforeImport ${URL_A} #2`,
+        `imported ${URL_A} after 2`,
+        `beforeImport ${refused} #1`,
+        `failed ${refused}`
+    ]);
+    assert.ok(console.log.mock.calls.some(call => /A "failed" listener failed: webhook down/.test(call.arguments[0])));
+    assert.equal(store.state(refused), 'failed-permanent');
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseStoryId, toCsv } = require('../lib/mapping');
+
+test('parseStoryId reads the id from an editor link', () => {
+    assert.equal(parseStoryId('https://medium.com/p/1a2b3c4d5e6f/edit'), '1a2b3c4d5e6f');
+    assert.equal(parseStoryId('https://medium.com/@me/a-story-1a2b3c4d5e6f'), null);
+    assert.equal(parseStoryId(null), null);
+});
+
+test('toCsv quotes cells with commas, quotes and line breaks of either kind', () => {
+    const csv = toCsv([{
+        wordpressUrl: 'https://blog.example.com/post/',
+        mediumStoryId: 'abc123',
+        mediumEditUrl: 'https://medium.com/p/abc123/edit',
+        mediumPublishedUrl: null,
+        title: 'Say "hi", then\r\nleave',
+        importedAt: undefined
+    }, {
+        wordpressUrl: 'https://blog.example.com/other/',
+        title: 'Old Mac\rline break'
+    }]);
+
+    assert.deepEqual(csv.split('\n'), [
+        'wordpressUrl,mediumStoryId,mediumEditUrl,mediumPublishedUrl,title,importedAt',
+        'https://blog.example.com/post/,abc123,https://medium.com/p/abc123/edit,,"Say ""hi"", then\r',
+        'leave",',
+        'https://blog.example.com/other/,,,,"Old Mac\rline break",',
+        ''
+    ]);
+});
@@ -0,0 +1,8 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { publishDraft } = require('../lib/medium-publisher');
+
+test('an unknown visibility is refused before anything is clicked', async () => {
+    const page = new Proxy({}, { get: (_, name) => { throw new Error(`page.${String(name)} was used`); } });
+    await assert.rejects(publishDraft(page, { visibility: 'private' }), /Unknown visibility "private"\. Use one of: public, unlisted/);
+});
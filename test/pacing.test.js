@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isThrottled, withJitter, createPacer } = require('../lib/pacing');
+
+const OPTIONS = {
+    delayBetweenImports: 10000,
+    minDelayBetweenImports: 5000,
+    maxDelayBetweenImports: 60000,
+    retryDelay: 2000,
+    speedUpAfter: 2,
+    throttleLimit: 3,
+    cooldownMinutes: 10,
+    hourlyCap: 0,
+    dailyCap: 0
+};
+
+// Records every wait instead of sleeping
+function pacerWithWaits(options, attemptTimes = []) {
+    const waits = [];
+    const pacer = createPacer({ ...OPTIONS, ...options }, attemptTimes, async ms => { waits.push(ms); });
+    return { pacer, waits };
+}
+
+test('isThrottled spots rate limiting, not other failures', () => {
+    assert.ok(isThrottled({ success: false, error: 'Server stopped responding' }));
+    assert.ok(isThrottled({ success: false, httpStatus: 429 }));
+    assert.ok(!isThrottled({ success: false, error: 'This page cannot be imported' }));
+    assert.ok(!isThrottled({ success: true }));
+    assert.ok(!isThrottled(null));
+});
+
+test('withJitter stays within 20% of the delay', () => {
+    assert.equal(withJitter(1000, () => 0), 800);
+    assert.equal(withJitter(1000, () => 0.5), 1000);
+    assert.equal(withJitter(1000, () => 1), 1200);
+});
+
+test('throttling doubles the delay up to the max and asks for a cool-down', () => {
+    const { pacer } = pacerWithWaits({});
+    const throttled = { success: false, error: 'Server stopped responding' };
+
+    assert.equal(pacer.record(throttled), 'throttled');
+    assert.equal(pacer.currentDelay(), 20000);
+    assert.equal(pacer.record(throttled), 'throttled');
+    assert.equal(pacer.record(throttled), 'cooldown');
+    assert.equal(pacer.currentDelay(), 60000);
+});
+
+test('successes in a row speed it up again, down to the min', () => {
+    const { pacer } = pacerWithWaits({});
+    for (let i = 0; i < 20; i++) pacer.record({ success: true });
+    assert.equal(pacer.currentDelay(), 5000);
+
+    // Other failures break the streak but don't slow down
+    const fresh = pacerWithWaits({}).pacer;
+    fresh.record({ success: true });
+    assert.equal(fresh.record({ success: false, error: 'Import button not found' }), 'ok');
+    fresh.record({ success: true });
+    assert.equal(fresh.currentDelay(), 10000);
+});
+
+test('retries back off exponentially, capped at the max delay', async () => {
+    const { pacer, waits } = pacerWithWaits({});
+    const random = Math.random;
+    Math.random = () => 0.5;
+    try {
+        await pacer.waitBeforeRetry(1);
+        await pacer.waitBeforeRetry(3);
+        await pacer.waitBeforeRetry(10);
+    } finally {
+        Math.random = random;
+    }
+    assert.deepEqual(waits, [2000, 8000, 60000]);
+});
+
+test('the cool-down waits cooldownMinutes and resets the throttle streak', async () => {
+    const { pacer, waits } = pacerWithWaits({ throttleLimit: 2 });
+    const throttled = { success: false, httpStatus: 429 };
+
+    pacer.record(throttled);
+    assert.equal(pacer.record(throttled), 'cooldown');
+    await pacer.coolDown();
+    assert.deepEqual(waits, [600000]);
+    assert.equal(pacer.record(throttled), 'throttled');
+});
+
+test('the hourly cap counts earlier attempts and waits for the oldest to age out', async () => {
+    const minutesAgo = minutes => new Date(Date.now() - minutes * 60000).toISOString();
+    const attempts = [minutesAgo(50), minutesAgo(10), minutesAgo(120)];
+
+    // A clock that jumps ahead by every wait
+    const realNow = Date.now;
+    let offset = 0;
+    Date.now = () => realNow() + offset;
+    const waits = [];
+    const pacer = createPacer({ ...OPTIONS, hourlyCap: 2 }, attempts, async ms => {
+        waits.push(ms);
+        offset += ms;
+    });
+    try {
+        await pacer.waitForCapacity();
+    } finally {
+        Date.now = realNow;
+    }
+
+    assert.equal(waits.length, 1);
+    assert.ok(Math.abs(waits[0] - (10 * 60000 + 1000)) < 2000, `waited ${waits[0]}ms`);
+
+    const uncapped = pacerWithWaits({}, [minutesAgo(1), minutesAgo(2)]);
+    await uncapped.pacer.waitForCapacity();
+    assert.deepEqual(uncapped.waits, []);
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProgressStore, migrateV1 } = require('../lib/progress-store');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-progress-'));
+}
+
+const V1 = {
+    completed: ['https://blog.example.com/done/'],
+    failed: [
+        { url: 'https://blog.example.com/flaky/', error: 'Import may have failed', attempts: 2 },
+        { url: 'https://blog.example.com/refused/', error: 'This page cannot be imported' }
+    ],
+    stories: [{ url: 'https://blog.example.com/done/', storyId: 'abc123', editUrl: 'https://medium.com/p/abc123/edit' }],
+    lastCompleted: 'https://blog.example.com/done/'
+};
+
+test('migrateV1 turns completed and failed lists into records', () => {
+    const { version, urls } = migrateV1(V1);
+
+    assert.equal(version, 2);
+    assert.equal(urls['https://blog.example.com/done/'].state, 'imported');
+    assert.deepEqual(urls['https://blog.example.com/done/'].story, { storyId: 'abc123', editUrl: 'https://medium.com/p/abc123/edit' });
+    assert.equal(urls['https://blog.example.com/flaky/'].state, 'failed-retryable');
+    assert.equal(urls['https://blog.example.com/flaky/'].attempts.length, 2);
+    assert.equal(urls['https://blog.example.com/refused/'].state, 'failed-permanent');
+});
+
+test('an old progress file is migrated on load and kept as .v1.json', () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'progress.json');
+    fs.writeFileSync(file, JSON.stringify(V1));
+
+    try {
+        const store = createProgressStore(file);
+        assert.equal(store.state('https://blog.example.com/done/'), 'imported');
+        assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'progress.v1.json'), 'utf8')), V1);
+        assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).version, 2);
+
+        // Loading again reads the new format as it is
+        assert.equal(createProgressStore(file).counts()['failed-permanent'], 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('records move through the allowed states and save atomically', () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'progress.json');
+    const url = 'https://blog.example.com/post/';
+
+    try {
+        const store = createProgressStore(file);
+        assert.equal(store.state(url), 'pending');
+        assert.throws(() => store.markImported(url), /from "pending" to "imported"/);
+
+        store.markInProgress(url);
+        store.recordAttempt(url, { success: false, error: 'Server stopped responding' });
+        store.markFailed(url, 'Server stopped responding');
+        assert.equal(store.state(url), 'failed-retryable');
+        assert.equal(store.lastError(url), 'Server stopped responding');
+
+        store.markInProgress(url);
+        store.recordAttempt(url, { success: true });
+        store.markImported(url, { storyId: 'abc123' });
+        store.setVerification(url, { status: 'pass' });
+        assert.equal(store.state(url), 'verified');
+        assert.ok(store.isDone(url));
+
+        store.save();
+        assert.deepEqual(fs.readdirSync(dir), ['progress.json']);
+        const saved = createProgressStore(file);
+        assert.equal(saved.get(url).attempts.length, 2);
+        assert.deepEqual(saved.urls('verified'), [url]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('markFailed makes "cannot be imported" and non-retryable errors permanent', () => {
+    const store = createProgressStore(path.join(os.tmpdir(), 'medium-importer-never-saved.json'));
+
+    store.markInProgress('a');
+    store.markFailed('a', 'This page cannot be imported');
+    store.markInProgress('b');
+    store.markFailed('b', 'Left the import page', false);
+
+    assert.deepEqual(store.urls('failed-permanent'), ['a', 'b']);
+});
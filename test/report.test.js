@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { categorize, buildReport, writeReport } = require('../lib/report');
+const { createProgressStore } = require('../lib/progress-store');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-report-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// One imported post and three failures, two of them server timeouts
+function storeWithFailures(dir) {
+    const store = createProgressStore(path.join(dir, 'progress.json'));
+    const attempt = (url, result) => {
+        store.markInProgress(url);
+        store.recordAttempt(url, result);
+        if (result.success) store.markImported(url, { storyId: 'abc123' });
+        else store.markFailed(url, result.error);
+    };
+
+    attempt('https://blog.example.com/ok/', { success: true });
+    attempt('https://blog.example.com/slow/', { success: false, error: 'server stopped responding - try again' });
+    attempt('https://blog.example.com/slow/', { success: false, error: 'No result within 60s', debugBundle: path.join(dir, 'debug', '2024_slow') });
+    attempt('https://blog.example.com/slower/', { success: false, error: 'Timed out waiting for the page' });
+    attempt('https://blog.example.com/refused/', { success: false, error: 'Sorry, this page cannot be imported | really' });
+    return store;
+}
+
+test('errors fall into the first category that matches', () => {
+    assert.equal(categorize('page cannot be imported by Medium').id, 'cannot-be-imported');
+    assert.equal(categorize('import request failed (HTTP 429)').id, 'throttled');
+    assert.equal(categorize('Could not find URL input on import page').id, 'input-not-found');
+    assert.equal(categorize('failed - try again').id, 'could-not-import');
+    assert.equal(categorize('Protocol error: Target closed').id, 'browser');
+    assert.equal(categorize('Something odd').id, 'other');
+    assert.equal(categorize(null).id, 'other');
+});
+
+test('the report groups failures by category, biggest group first', t => {
+    const report = buildReport(storeWithFailures(tempDir(t)));
+
+    assert.deepEqual(report.totals, { urls: 4, imported: 1, failed: 3, attempts: 5, successfulAttempts: 1, successRate: '25%' });
+    assert.deepEqual(report.failures.map(group => [group.id, group.urls.length]), [['server-timeout', 2], ['cannot-be-imported', 1]]);
+    assert.equal(report.failures[0].urls[0].attempts, 2);
+    assert.equal(report.failures[0].urls[0].error, 'No result within 60s');
+    assert.equal(report.timeline.length, 1);
+});
+
+test('writeReport links debug bundles from where the report is written and escapes errors', t => {
+    const dir = tempDir(t);
+    fs.mkdirSync(path.join(dir, 'reports'));
+    const { files } = writeReport(storeWithFailures(dir), path.join(dir, 'reports', 'failures'));
+
+    const markdown = fs.readFileSync(files[0], 'utf8');
+    assert.match(markdown, /\| https:\/\/blog\.example\.com\/slow\/ \| 2 \| No result within 60s \| \[screenshot\]\(\.\.\/debug\/2024_slow\/screenshot\.png\) \|/);
+    assert.match(markdown, /Sorry, this page cannot be imported \\\| really/);
+    assert.match(markdown, /\*\*Next step:\*\* Manual fallback/);
+
+    const html = fs.readFileSync(files[1], 'utf8');
+    assert.match(html, /<a href="\.\.\/debug\/2024_slow\/screenshot\.png">screenshot<\/a>/);
+    assert.match(html, /<h3>Server timeout \(2\)<\/h3>/);
+});
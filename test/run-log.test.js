@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { newRunId, createRunLog, summarizeRun, listRuns, compareRuns, formatDuration } = require('../lib/run-log');
+
+function readLines(file) {
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('newRunId is a sortable timestamp plus a random suffix', () => {
+    assert.match(newRunId(new Date('2026-10-19T18:29:27.123Z')), /^2026-10-19T18-29-27-[0-9a-f]{4}$/);
+});
+
+test('the log writes every level to the file and only logLevel and up to the console', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-log-'));
+    const shown = [];
+    t.mock.method(console, 'log', msg => shown.push(msg));
+
+    try {
+        const log = createRunLog({ dir, level: 'warn', runId: 'run-1' });
+        const child = log.child({ url: 'https://blog.example.com/post/', attempt: 2 });
+        child.debug('  DEBUG - Element counts: 3');
+        child.warn('⚠️  Slow import');
+        log.event('run-start', { urls: 1 });
+        child.time('navigate')();
+
+        assert.deepEqual(shown, ['⚠️  Slow import']);
+        assert.ok(child.steps.navigate >= 0);
+
+        const records = readLines(path.join(dir, 'run-1.jsonl'));
+        assert.deepEqual(records.map(record => record.event || record.level), ['debug', 'warn', 'run-start', 'step']);
+        assert.equal(records[0].msg, 'DEBUG - Element counts: 3');
+        assert.equal(records[0].url, 'https://blog.example.com/post/');
+        assert.equal(records[3].step, 'navigate');
+        assert.ok(records.every(record => record.runId === 'run-1' && record.at));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('an unknown log level is refused', () => {
+    assert.throws(() => createRunLog({ level: 'verbose' }), /logLevel must be one of: debug, info, warn, error/);
+});
+
+function runRecords(runId, startedAt, attempts, end = true) {
+    const at = offset => new Date(Date.parse(startedAt) + offset).toISOString();
+    return [
+        { at: at(0), runId, event: 'run-start', settings: { dryRun: false } },
+        ...attempts.flatMap(([ok, ms, error], i) => [
+            { at: at(i * 1000), runId, event: 'step', step: 'navigate', ms },
+            { at: at(i * 1000 + 500), runId, event: 'attempt', ok, ms, ...(error ? { error } : {}) }
+        ]),
+        ...(end ? [{ at: at(60000), runId, event: 'run-end', ms: 60000, stopReason: null }] : [])
+    ];
+}
+
+test('summarizeRun counts attempts, step times and the top error', () => {
+    const run = summarizeRun(runRecords('run-1', '2026-10-01T10:00:00.000Z', [
+        [true, 2000],
+        [false, 4000, 'Server stopped responding'],
+        [false, 6000, 'Server stopped responding']
+    ]));
+
+    assert.equal(run.runId, 'run-1');
+    assert.equal(run.finished, true);
+    assert.equal(run.attempts, 3);
+    assert.equal(run.succeeded, 1);
+    assert.equal(run.avgAttemptMs, 4000);
+    assert.deepEqual(run.steps, { navigate: 4000 });
+    assert.equal(run.topError.count, 2);
+
+    const cut = summarizeRun(runRecords('run-2', '2026-10-01T10:00:00.000Z', [[true, 1000]], false));
+    assert.equal(cut.finished, false);
+    assert.equal(cut.ms, 500);
+});
+
+test('listRuns reads every run oldest first, skipping cut-off lines', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-runs-'));
+    const write = (runId, records, extra = '') => fs.writeFileSync(path.join(dir, `${runId}.jsonl`),
+        records.map(record => JSON.stringify(record)).join('\n') + '\n' + extra);
+
+    try {
+        write('newer', runRecords('newer', '2026-10-02T10:00:00.000Z', [[true, 1000]]), '{"at":"2026-10-');
+        write('older', runRecords('older', '2026-10-01T10:00:00.000Z', [[false, 1000, 'x']]));
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a run');
+
+        assert.deepEqual(listRuns(dir).map(run => run.runId), ['older', 'newer']);
+        assert.deepEqual(listRuns(path.join(dir, 'missing')), []);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('compareRuns flags a success drop, a new top error and a slower step', () => {
+    const previous = summarizeRun(runRecords('a', '2026-10-01T10:00:00.000Z', [[true, 2000], [true, 2000]]));
+    const run = summarizeRun(runRecords('b', '2026-10-02T10:00:00.000Z', [[true, 6000], [false, 6000, 'Server stopped responding']]));
+
+    const notes = compareRuns(run, previous);
+    assert.equal(notes.length, 3);
+    assert.match(notes[0], /success rate 100% → 50%/);
+    assert.match(notes[1], /^new top error: /);
+    assert.equal(notes[2], 'navigate 2s → 6s');
+
+    assert.deepEqual(compareRuns(previous, null), []);
+});
+
+test('formatDuration', () => {
+    assert.equal(formatDuration(95000), '1m 35s');
+    assert.equal(formatDuration(3 * 3600000 + 5 * 60000), '3h 5m');
+    assert.equal(formatDuration(NaN), '-');
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { findUrlInput, findImportButton } = require('../lib/selectors');
+
+const FIELD = { tag: 'DIV', role: 'textbox', text: '', top: 300, width: 600, height: 40, visible: true, inNav: false, editable: true, disabled: false };
+const BUTTON = { tag: 'BUTTON', role: null, text: 'Import', top: 360, width: 80, height: 32, visible: true, inNav: false, editable: false, disabled: false };
+
+// A page whose $$() answers from `elements` (selector -> element infos or an Error)
+function fakePage(elements) {
+    const disposed = [];
+    return {
+        disposed,
+        $$: async selector => {
+            const found = elements[selector] || [];
+            if (found instanceof Error) throw found;
+            return found.map(info => ({ info, evaluate: async () => info, dispose: async () => { disposed.push(info); } }));
+        }
+    };
+}
+
+test('the URL field comes from the first strategy whose element passes the checks', async () => {
+    const search = { ...FIELD, inNav: true };
+    const tiny = { ...FIELD, width: 20 };
+    const page = fakePage({
+        'aria/[role="textbox"]': new Error('Unknown selector type aria'),
+        '[role="textbox"]': [search, tiny],
+        '[contenteditable="true"][data-default-value]': [FIELD]
+    });
+
+    const found = await findUrlInput(page);
+
+    assert.equal(found.strategy, 'data-default-value editor');
+    assert.equal(found.element.info, FIELD);
+    assert.deepEqual(found.tried, [
+        { strategy: 'aria textbox', error: 'Unknown selector type aria' },
+        { strategy: 'role=textbox', matches: 2, passed: false },
+        { strategy: 'data-default-value editor', matches: 1, passed: true }
+    ]);
+    assert.deepEqual(page.disposed, [search, tiny], 'elements that lost are let go');
+});
+
+test('the last-resort editable area has to sit below the header', async () => {
+    const high = { ...FIELD, top: 120 };
+    assert.equal((await findUrlInput(fakePage({ '[contenteditable="true"]': [high] }))).element, null);
+    assert.equal((await findUrlInput(fakePage({ '[contenteditable="true"]': [FIELD] }))).strategy, 'main-content contenteditable');
+});
+
+test('a disabled or mislabelled button is not the Import button', async () => {
+    const page = fakePage({
+        'button[data-action="import-url"]': [{ ...BUTTON, disabled: true }],
+        button: [{ ...BUTTON, text: 'Cancel' }, BUTTON]
+    });
+
+    const found = await findImportButton(page);
+    assert.equal(found.strategy, 'button text "import"');
+    assert.equal(found.element.info, BUTTON);
+
+    const none = await findImportButton(fakePage({}));
+    assert.equal(none.element, null);
+    assert.equal(none.tried.length, 4);
+});
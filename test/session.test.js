@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isSignInUrl, hasSessionCookie, parseNetscapeCookies, importCookies, exportCookies, checkSession } = require('../lib/session');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-session-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// A page that shows `seen` on the home page and holds `cookies`
+function sessionPage(seen, cookies = []) {
+    return {
+        set: [],
+        goto: async () => {},
+        evaluate: async () => seen,
+        cookies: async () => cookies,
+        setCookie: async function (...added) { this.set.push(...added); }
+    };
+}
+
+const SIGNED_IN = [{ name: 'sid', value: '1:abc' }, { name: 'uid', value: 'f00d' }];
+
+test('a session needs a sid and a uid that is not a logged-out one', () => {
+    assert.ok(hasSessionCookie(SIGNED_IN));
+    assert.ok(!hasSessionCookie([{ name: 'sid', value: '1:abc' }, { name: 'uid', value: 'lo_f00d' }]));
+    assert.ok(!hasSessionCookie([{ name: 'uid', value: 'f00d' }]));
+    assert.ok(isSignInUrl('https://medium.com/m/signin?redirect=%2Fp%2Fimport'));
+    assert.ok(!isSignInUrl('https://medium.com/p/import'));
+});
+
+test('Netscape cookies.txt files are read, HttpOnly lines included', () => {
+    const text = [
+        '# Netscape HTTP Cookie File',
+        '.medium.com\tTRUE\t/\tTRUE\t1900000000\tsid\t1:abc',
+        '#HttpOnly_.medium.com\tTRUE\t/\tTRUE\t0\tuid\tf00d\r',
+        'too\tfew\tfields'
+    ].join('\n');
+
+    assert.deepEqual(parseNetscapeCookies(text), [
+        { name: 'sid', value: '1:abc', domain: '.medium.com', path: '/', secure: true, expires: 1900000000 },
+        { name: 'uid', value: 'f00d', domain: '.medium.com', path: '/', secure: true, expires: undefined }
+    ]);
+});
+
+test('browser-extension cookie exports load into Puppeteer\'s format and save back privately', async t => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'cookies.json');
+    fs.writeFileSync(file, JSON.stringify([
+        { name: 'sid', value: '1:abc', domain: '.medium.com', expirationDate: 1900000000, sameSite: 'no_restriction', secure: true },
+        { name: 'nameless', domain: '.medium.com' },
+        { value: 'no name' }
+    ]));
+    const page = sessionPage({}, SIGNED_IN);
+
+    assert.equal(await importCookies(page, path.join(dir, 'missing.json')), 0);
+    assert.equal(await importCookies(page, file), 2);
+    assert.deepEqual(page.set[0], {
+        name: 'sid', value: '1:abc', domain: '.medium.com', path: '/', secure: true, httpOnly: false, expires: 1900000000, sameSite: 'None'
+    });
+
+    assert.equal(await exportCookies(page, file, 'https://medium.com'), 2);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), SIGNED_IN);
+    if (process.platform !== 'win32') assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+});
+
+test('the page decides when it can, the cookies when it cannot', async () => {
+    const check = (seen, cookies) => checkSession(sessionPage(seen, cookies), 'https://medium.com');
+
+    assert.deepEqual(await check({ profileMenu: true, signInLink: false }, []), { loggedIn: true, via: 'profile menu', profileMenu: true, signInLink: false, cookie: false });
+    assert.equal((await check({ profileMenu: false, signInLink: true }, SIGNED_IN)).loggedIn, false);
+    assert.deepEqual(await check({ profileMenu: false, signInLink: false }, SIGNED_IN), { loggedIn: true, via: 'cookies', profileMenu: false, signInLink: false, cookie: true });
+    assert.equal((await check({ profileMenu: false, signInLink: false }, [])).loggedIn, false);
+});
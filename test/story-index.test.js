@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createStoryIndex } = require('../lib/story-index');
+
+const BASE_URL = 'https://medium.com';
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-stories-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Medium's story lists and story pages, as the index's page.evaluate() calls see them
+function storiesPage(lists, canonicals) {
+    let at = null;
+    return {
+        visited: [],
+        goto: async function (url) { at = url; this.visited.push(url); },
+        evaluate: async fn => {
+            if (fn.name === 'collectStoryLinks') return lists[new URL(at).pathname].map(story => ({ ...story }));
+            if (new URL(at).pathname.startsWith('/me/stories')) return undefined;  // scrolling
+            return [canonicals[at] || null, null, null];
+        }
+    };
+}
+
+test('refresh reads both lists, finds each new story\'s source once and drops deleted stories', async t => {
+    t.mock.method(console, 'log', () => {});
+    const file = path.join(tempDir(t), 'stories.json');
+    const draft = { id: 'aaaa1111', title: 'VPC peering', editUrl: `${BASE_URL}/p/aaaa1111/edit` };
+    const published = { id: 'bbbb2222', title: 'Transit gateway', publishedUrl: `${BASE_URL}/@me/transit-gateway-bbbb2222` };
+    const page = storiesPage(
+        { '/me/stories/drafts': [draft], '/me/stories/public': [published] },
+        {
+            [draft.editUrl]: 'https://www.netjoints.com/vpc-peering/',
+            [published.publishedUrl]: `${BASE_URL}/@me/transit-gateway-bbbb2222`
+        }
+    );
+
+    const index = createStoryIndex(file);
+    index.add({ id: 'cccc3333', title: 'Deleted on Medium', canonicalUrl: null });
+    assert.equal(await index.refresh(page, BASE_URL), 2);
+
+    assert.deepEqual(index.stories().map(story => [story.id, story.status, story.canonicalUrl]), [
+        ['aaaa1111', 'draft', 'https://www.netjoints.com/vpc-peering/'],
+        ['bbbb2222', 'published', null]
+    ]);
+    assert.ok(page.visited.includes(`${BASE_URL}/p/bbbb2222/settings`), 'a Medium canonical sends it on to the settings page');
+
+    index.save();
+    page.visited.length = 0;
+    await createStoryIndex(file).refresh(page, BASE_URL);
+    assert.deepEqual(page.visited, [`${BASE_URL}/me/stories/drafts`, `${BASE_URL}/me/stories/public`], 'sources are looked up once');
+});
+
+test('posts match by canonical URL, then by title for stories with no known source', async t => {
+    const site = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify([{ link: 'http://127.0.0.1/transit-gateway/', title: { rendered: 'Transit Gateway!' } }]));
+    });
+    await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+    t.after(() => site.close());
+    const origin = `http://127.0.0.1:${site.address().port}`;
+
+    const index = createStoryIndex(null);
+    index.add({ id: 'aaaa1111', title: 'VPC peering', canonicalUrl: 'https://netjoints.com/vpc-peering' });
+    index.add({ id: 'bbbb2222', title: 'Transit gateway', canonicalUrl: null });
+    index.add({ id: 'dddd4444', title: 'transit  GATEWAY', canonicalUrl: null });
+
+    assert.equal((await index.match('http://www.netjoints.com/vpc-peering/?utm_source=x')).matchedBy, 'canonical URL');
+    const byTitle = await index.match(`${origin}/transit-gateway/`);
+    assert.deepEqual([byTitle.story.id, byTitle.matchedBy], ['bbbb2222', 'title']);
+
+    assert.deepEqual(index.duplicates().map(group => [group.key, group.stories.map(story => story.id)]), [
+        ['title: transit gateway', ['bbbb2222', 'dddd4444']]
+    ]);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { analyzeHtml, learnFailurePatterns, classify, triageUrls, writeTriage } = require('../lib/triage');
+const { loadUrlList } = require('../lib/url-list');
+
+const WORDS = Array.from({ length: 200 }, (_, i) => `word${i}`).join(' ');
+const POST = `<html><head><meta property="article:published_time" content="2021-04-05T06:07:08+00:00"></head>
+<body><article><h1>Post</h1><p>${WORDS}</p><img src="a.png"></article></body></html>`;
+
+// A store with just the records triage reads
+function storeOf(records) {
+    return { get: url => records[url] || null };
+}
+
+test('analyzeHtml reads the article, its words, images and publish date', () => {
+    assert.deepEqual(analyzeHtml(POST), {
+        hasArticle: true,
+        words: 201,
+        images: 1,
+        paywall: false,
+        jsOnly: false,
+        publishedAt: '2021-04-05T06:07:08.000Z'
+    });
+
+    const app = analyzeHtml('<html><body><div id="root"></div><script>render()</script></body></html>');
+    assert.equal(app.hasArticle, false);
+    assert.equal(app.jsOnly, true);
+    assert.equal(analyzeHtml(`<div class="pmpro_content">${POST}</div>`).paywall, true);
+});
+
+test('a trait most tried posts failed with makes untried posts risky', () => {
+    const check = (url, year) => ({ url, status: 200, redirects: [], hasArticle: true, words: 500, images: 1, bytes: 1000, publishedAt: `${year}-01-01T00:00:00.000Z` });
+    const checks = ['a', 'b', 'c', 'd'].map(name => check(`https://blog.example.com/${name}/`, 2015));
+    const tried = {
+        'https://blog.example.com/a/': { state: 'failed-permanent', attempts: [] },
+        'https://blog.example.com/b/': { state: 'failed-retryable', attempts: [{ ok: false }] }
+    };
+    assert.deepEqual(learnFailurePatterns(checks, storeOf(tried)), [], 'two tried posts are not a pattern yet');
+
+    // a, b and c were tried and two of them failed; d is untried
+    const store = storeOf({ ...tried, 'https://blog.example.com/c/': { state: 'imported', attempts: [] } });
+    const patterns = learnFailurePatterns(checks, store);
+    assert.deepEqual(patterns, [{ trait: 'published in 2015', failed: 2, tried: 3 }]);
+
+    assert.deepEqual(classify(checks[3], store, patterns), {
+        bucket: 'risky',
+        reasons: ['2 of 3 earlier posts published in 2015 failed']
+    });
+    assert.deepEqual(classify(check('https://blog.example.com/new/', 2023), store, patterns), { bucket: 'likely', reasons: [] });
+    assert.deepEqual(classify(checks[1], store, patterns), { bucket: 'risky', reasons: ['failed 1 time(s) before'] });
+    assert.equal(classify(checks[0], store, patterns).bucket, 'blocked');
+});
+
+test('triage checks each URL over HTTP and writes importer-ready lists', async t => {
+    t.mock.method(console, 'log', () => {});
+    const site = http.createServer((req, res) => {
+        if (req.url === '/moved/') {
+            res.writeHead(301, { Location: `http://localhost:${site.address().port}/good/` });
+            return res.end();
+        }
+        if (req.url === '/gone/') {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(req.url === '/short/' ? '<article><p>Just a note.</p></article>' : POST);
+    });
+    await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-triage-'));
+    t.after(() => {
+        site.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const origin = `http://127.0.0.1:${site.address().port}`;
+    const urls = ['/good/', '/short/', '/moved/', '/gone/'].map(route => `${origin}${route}`);
+    const { results, patterns } = await triageUrls(urls, storeOf({}));
+
+    assert.deepEqual(results.map(result => result.bucket), ['likely', 'risky', 'blocked', 'blocked']);
+    assert.deepEqual(results[2].reasons, [`redirects off-site to http://localhost:${site.address().port}/good/`]);
+    assert.equal(results[3].reasons[0], 'HTTP 404');
+
+    const baseName = path.join(dir, 'triage');
+    const files = writeTriage(results, patterns, baseName);
+    assert.deepEqual(files.map(file => path.basename(file)), ['triage_likely.txt', 'triage_risky.txt', 'triage_blocked.txt', 'triage_report.json']);
+    assert.deepEqual(loadUrlList(files[1]).entries.map(entry => new URL(entry.url).pathname), ['/short/']);
+    assert.match(fs.readFileSync(files[1], 'utf8'), /# only 3 words of text\n/);
+});
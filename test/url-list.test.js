@@ -0,0 +1,154 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeUrl, mergeEntries, filterByTags, loadUrlList } = require('../lib/url-list');
+const { dedupeKey } = require('../lib/discover');
+
+function withList(name, content, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'medium-importer-urls-'));
+    try {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return fn(file);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('normalizeUrl makes one canonical form per post', () => {
+    assert.equal(normalizeUrl('http://Blog.Example.com/my-post?utm_source=x&fbclid=1#comments'), 'https://blog.example.com/my-post/');
+    assert.equal(normalizeUrl('https://blog.example.com/page.html'), 'https://blog.example.com/page.html');
+    assert.equal(normalizeUrl('https://blog.example.com/?p=12'), 'https://blog.example.com/?p=12');
+    assert.equal(normalizeUrl('https://blog.example.com/post/.'), 'https://blog.example.com/post/');
+    assert.equal(normalizeUrl('ftp://blog.example.com/post/'), null);
+    assert.equal(normalizeUrl('not a url'), null);
+});
+
+test('mergeEntries drops invalid URLs and merges duplicates, www or not', () => {
+    const { entries, dropped } = mergeEntries([
+        { url: 'https://blog.example.com/post/', title: '', tags: ['aws'] },
+        { url: 'https://www.blog.example.com/post', title: 'Post', date: '2024-01-02', tags: ['security'] },
+        { url: 'mailto:me@example.com' }
+    ]);
+
+    assert.deepEqual(dropped, { invalid: 1, notPosts: 0, duplicates: 1 });
+    assert.deepEqual(entries, [{
+        url: 'https://blog.example.com/post/',
+        title: 'Post',
+        date: '2024-01-02',
+        tags: ['aws', 'security']
+    }]);
+});
+
+test('dedupeKey keeps the query that picks the post and drops the rest', () => {
+    assert.equal(dedupeKey('http://www.Blog.example.com/post/#comments'), dedupeKey('https://blog.example.com/post'));
+    assert.equal(dedupeKey('https://blog.example.com/?p=12&utm_source=x'), dedupeKey('https://blog.example.com/?p=12'));
+    assert.equal(dedupeKey('https://blog.example.com/?page_id=3&lang=en'), dedupeKey('https://blog.example.com/?lang=en&page_id=3'));
+    assert.notEqual(dedupeKey('https://blog.example.com/?p=12'), dedupeKey('https://blog.example.com/?p=13'));
+    assert.notEqual(dedupeKey('https://blog.example.com/?p=12'), dedupeKey('https://blog.example.com/'));
+});
+
+test('?p= permalinks stay separate posts', () => {
+    const { entries, dropped } = mergeEntries([
+        { url: 'https://blog.example.com/?p=101' },
+        { url: 'https://blog.example.com/?p=102' },
+        { url: 'https://www.blog.example.com/?p=103#respond' },
+        { url: 'https://blog.example.com/?p=101&utm_medium=social' }
+    ]);
+
+    assert.equal(dropped.duplicates, 1);
+    assert.deepEqual(entries.map(entry => entry.url), [
+        'https://blog.example.com/?p=101',
+        'https://blog.example.com/?p=102',
+        'https://www.blog.example.com/?p=103'
+    ]);
+});
+
+test('filterByTags matches any of the tags, ignoring case', () => {
+    const entries = [{ url: 'a', tags: ['AWS'] }, { url: 'b', tags: ['Azure'] }, { url: 'c', tags: [] }];
+    assert.deepEqual(filterByTags(entries, ['aws']).map(entry => entry.url), ['a']);
+    assert.equal(filterByTags(entries, []), entries);
+});
+
+test('text lists take comments, Markdown links and section tags', () => {
+    const content = [
+        '# my posts',
+        '## AWS ##',
+        'https://blog.example.com/one/  # first',
+        '- [Second post](https://blog.example.com/two/)',
+        '# Azure #',
+        '* https://blog.example.com/three/',
+        'no url on this line'
+    ].join('\n');
+
+    withList('urls.txt', content, file => {
+        const { entries, format } = loadUrlList(file);
+        assert.equal(format, 'text');
+        assert.deepEqual(entries.map(({ url, title, tags }) => [url, title, tags]), [
+            ['https://blog.example.com/one/', '', ['AWS']],
+            ['https://blog.example.com/two/', 'Second post', ['AWS']],
+            ['https://blog.example.com/three/', '', ['Azure']]
+        ]);
+    });
+});
+
+test('prose, feeds, sitemaps and API links in a notes file are not queued', () => {
+    const content = [
+        '## Following process worked for me',
+        'Visit: https://blog.example.com/not-a-list-item/ to see them',
+        'See [the guide](https://blog.example.com/guide/) for more.',
+        '- https://blog.example.com/wp-sitemap.xml',
+        '* https://blog.example.com/feed/',
+        '1. https://blog.example.com/wp-json/wp/v2/posts?per_page=100',
+        '- https://blog.example.com/category/aws/',
+        '<https://blog.example.com/kept/>',
+        '2) [Also kept](https://blog.example.com/?p=42 "title")'
+    ].join('\n');
+
+    withList('README.md', content, file => {
+        const { entries, dropped } = loadUrlList(file);
+        assert.deepEqual(entries.map(({ url, title, tags }) => [url, title, tags]), [
+            ['https://blog.example.com/kept/', '', []],
+            ['https://blog.example.com/?p=42', 'Also kept', []]
+        ]);
+        assert.equal(dropped.notPosts, 4);
+    });
+});
+
+test('CSV lists handle quoted fields and tag columns', () => {
+    const content = 'URL,Title,Date,Tags\r\n'
+        + 'https://blog.example.com/one/,"Commas, and ""quotes""",2024-03-01,aws;iam\r\n'
+        + 'https://blog.example.com/two/,Two,,\r\n';
+
+    withList('posts.csv', content, file => {
+        const { entries, format } = loadUrlList(file, { onlyTags: ['IAM'] });
+        assert.equal(format, 'csv');
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].title, 'Commas, and "quotes"');
+        assert.deepEqual(entries[0].tags, ['aws', 'iam']);
+    });
+
+    withList('bad.csv', 'title\nNo URL\n', file => {
+        assert.throws(() => loadUrlList(file), /"url" \(or "link"\) column/);
+    });
+});
+
+test('a progress file as the list loads its failed URLs', () => {
+    const progress = {
+        version: 2,
+        urls: {
+            'https://blog.example.com/done/': { state: 'imported' },
+            'https://blog.example.com/broken/': { state: 'failed-retryable' }
+        }
+    };
+
+    withList('import_progress.json', JSON.stringify(progress), file => {
+        assert.deepEqual(loadUrlList(file).entries.map(entry => entry.url), ['https://blog.example.com/broken/']);
+    });
+
+    withList('old_progress.json', JSON.stringify({ completed: [], failed: [{ url: 'https://blog.example.com/old/' }] }), file => {
+        assert.deepEqual(loadUrlList(file).entries.map(entry => entry.url), ['https://blog.example.com/old/']);
+    });
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeTitle, compareArticles } = require('../lib/verify');
+
+const SOURCE_URL = 'https://blog.example.com/first-post/';
+const SOURCE = { title: 'First Post: IAM & You!', words: 1000, images: 3, codeBlocks: 2 };
+
+function statuses(draft) {
+    const { status, checks } = compareArticles(SOURCE_URL, SOURCE, draft);
+    return { status, ...Object.fromEntries(checks.map(check => [check.name, check.status])) };
+}
+
+test('normalizeTitle ignores case and punctuation, not letters in other scripts', () => {
+    assert.equal(normalizeTitle('  First Post: IAM & You! '), 'first post iam you');
+    assert.equal(normalizeTitle('Café — Größe'), 'café größe');
+    assert.equal(normalizeTitle(null), '');
+});
+
+test('a faithful draft passes every check', () => {
+    const draft = { title: 'first post iam you', words: 950, images: 3, codeBlocks: 2, canonical: 'http://www.blog.example.com/first-post' };
+    assert.deepEqual(statuses(draft), { status: 'pass', title: 'pass', words: 'pass', images: 'pass', codeBlocks: 'pass', canonical: 'pass' });
+});
+
+test('a draft gets the worst of its checks', () => {
+    const shrunk = { title: 'First Post', words: 800, images: 1, codeBlocks: 2, canonical: null };
+    assert.deepEqual(statuses(shrunk), { status: 'warn', title: 'warn', words: 'warn', images: 'warn', codeBlocks: 'pass', canonical: 'warn' });
+
+    const broken = { title: 'Something else', words: 500, images: 0, codeBlocks: 0, canonical: 'https://medium.com/@me/first-post' };
+    assert.deepEqual(statuses(broken), { status: 'fail', title: 'fail', words: 'fail', images: 'fail', codeBlocks: 'fail', canonical: 'fail' });
+
+    const { checks } = compareArticles(SOURCE_URL, SOURCE, broken);
+    assert.deepEqual(checks.map(check => check.note).filter(Boolean), [
+        'titles differ', '50% of source', 'all images missing', 'all code blocks missing', 'points to https://medium.com/@me/first-post'
+    ]);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLock, createWorkQueue, createRateGate } = require('../lib/worker-pool');
+const { createRunControl } = require('../lib/run-control');
+
+test('the lock runs one task at a time, in order', async () => {
+    const lock = createLock();
+    const order = [];
+    const task = (name, ms) => lock.run(async () => {
+        order.push(`${name} start`);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        order.push(`${name} end`);
+    });
+
+    await Promise.all([task('a', 30), task('b', 0)]);
+    assert.deepEqual(order, ['a start', 'a end', 'b start', 'b end']);
+});
+
+test('the work queue hands each claimed item to one worker', async () => {
+    const queue = createWorkQueue([1, 2, 3, 4, 5], async item => item % 2 === 1);
+    const taken = await Promise.all([queue.take(), queue.take(), queue.take(), queue.take()]);
+
+    assert.deepEqual(taken, [1, 3, 5, null]);
+    assert.equal(queue.remaining(), 0);
+});
+
+function fakePacer(delay) {
+    return {
+        currentDelay: () => delay,
+        waitForCapacity: async () => {},
+        coolDown: () => new Promise(resolve => setTimeout(resolve, 5000))
+    };
+}
+
+test('the rate gate spaces attempts from every worker', async () => {
+    const gate = createRateGate(fakePacer(100), 5000);
+    const started = Date.now();
+
+    await Promise.all([gate.beforeAttempt(), gate.beforeAttempt(), gate.beforeAttempt()]);
+    assert.ok(Date.now() - started >= 150, 'two gaps of 80ms or more');
+});
+
+test('retry-now ends the pool\'s cool-down and spacing for every worker', async t => {
+    t.mock.method(console, 'log', () => {});
+    const control = createRunControl();
+    const pacer = { ...fakePacer(60000), coolDown: () => control.wait(60000) };
+    const gate = createRateGate(pacer, 60000, ms => control.wait(ms));
+
+    await gate.beforeAttempt();
+    const waiting = [gate.coolDown(), gate.coolDown(), gate.beforeAttempt()];
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const started = Date.now();
+    assert.equal(control.retryNow(), true);
+    await Promise.all(waiting);
+    assert.ok(Date.now() - started < 1000, 'nobody sat out the full minute');
+});
+
+test('run control pauses, resumes and marks skips by post', async t => {
+    t.mock.method(console, 'log', () => {});
+    const control = createRunControl();
+
+    assert.equal(control.retryNow(), false);
+    assert.equal(control.pause(), true);
+    assert.equal(control.pause(), false);
+
+    let resumed = false;
+    const paused = control.whilePaused().then(() => { resumed = true; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(resumed, false);
+    control.resume();
+    await paused;
+    assert.equal(resumed, true);
+
+    const waiting = control.wait(60000);
+    control.skip('http://www.blog.example.com/post/');
+    await waiting;
+    assert.ok(control.isSkipped('https://blog.example.com/post/'));
+});